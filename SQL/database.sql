@@ -11,7 +11,8 @@ CREATE TABLE IF NOT EXISTS usuario (
   correo_electronico VARCHAR(150) NOT NULL UNIQUE,
   password_hash VARCHAR(255) NOT NULL,
   fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
-  rol VARCHAR(10) NOT NULL
+  -- Rol del usuario: 'admin', 'editor', 'moderator' o 'contributor' (ver migración 009)
+  rol VARCHAR(20) NOT NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
 -- Tabla Categoria
@@ -0,0 +1,40 @@
+-- Esquema equivalente a SQL/database.sql para el driver SQLite (desarrollo local y pruebas)
+-- Las llaves foráneas se activan desde el driver con PRAGMA foreign_keys = ON
+
+-- Tabla Usuario
+CREATE TABLE IF NOT EXISTS usuario (
+  id_user INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+  nombre VARCHAR(100) NOT NULL,
+  correo_electronico VARCHAR(150) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  -- Rol del usuario: 'admin', 'editor', 'moderator' o 'contributor' (ver migración 009)
+  rol VARCHAR(20) NOT NULL
+);
+
+-- Tabla Categoria
+CREATE TABLE IF NOT EXISTS categoria (
+  id_category INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+  nombre VARCHAR(80) NOT NULL UNIQUE,
+  descripcion VARCHAR(255)
+);
+
+-- Tabla Frase (el ENUM de MySQL se representa con un CHECK)
+CREATE TABLE IF NOT EXISTS frase (
+  id_quote INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+  texto TEXT NOT NULL,
+  autor VARCHAR(120),
+  fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+  scheduled_at DATETIME NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft','scheduled','published')),
+  creado_por INTEGER NOT NULL,
+  categoria_id INTEGER NOT NULL,
+  FOREIGN KEY (creado_por) REFERENCES usuario(id_user),
+  FOREIGN KEY (categoria_id) REFERENCES categoria(id_category)
+);
+
+-- Índices recomendados
+CREATE INDEX IF NOT EXISTS idx_frase_fecha ON frase(fecha_creacion);
+CREATE INDEX IF NOT EXISTS idx_frase_categoria_fecha ON frase(categoria_id, fecha_creacion);
+CREATE INDEX IF NOT EXISTS idx_frase_scheduled_at ON frase(scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_frase_status ON frase(status);
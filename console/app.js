@@ -4,7 +4,10 @@
  */
 
 const inquirer = require('inquirer');
-const { Database, Usuario, Categoria, Frase } = require('../src/index');
+const { Database, Usuario, Categoria, Frase, Preferencias, Publisher, LockoutError, TwoFactorRequiredError, permissions } = require('../src/index');
+
+// Roles disponibles para los menús de usuarios
+const ROLE_CHOICES = Object.keys(permissions.ROLES).map(rol => ({ name: permissions.ROLES[rol].nombre, value: rol }));
 
 // Colores para la consola
 const colors = {
@@ -58,6 +61,41 @@ class GratiDayConsole {
     constructor() {
         this.db = new Database();
         this.currentUser = null;
+        this.sessionToken = null;
+        this.preferences = null;
+    }
+
+    /**
+     * Resuelve el usuario actual a partir del token de sesión
+     * Si la sesión expiró o se cerró desde otro lugar, se descarta
+     */
+    async refreshSession() {
+        if (!this.sessionToken) {
+            this.preferences = null;
+            return;
+        }
+
+        try {
+            this.currentUser = await Usuario.fromToken(this.sessionToken);
+            this.preferences = this.currentUser ? await this.currentUser.getPreferences() : null;
+        } catch (error) {
+            this.currentUser = null;
+            this.preferences = null;
+        }
+
+        if (!this.currentUser) {
+            this.sessionToken = null;
+            logWarning('La sesión expiró o fue cerrada; vuelve a autenticarte');
+        }
+    }
+
+    /**
+     * Muestra una fecha en el idioma y la zona horaria del usuario autenticado
+     * @param {Date|string} date - Fecha a mostrar
+     * @returns {string} - Fecha formateada
+     */
+    formatDate(date) {
+        return this.preferences ? this.preferences.formatDate(date) : new Date(date).toLocaleString();
     }
 
     /**
@@ -92,6 +130,11 @@ class GratiDayConsole {
      */
     async showMainMenu() {
         logInfo('Tip: Siempre puedes usar "Volver al Menu Principal" para regresar aqui');
+
+        await this.refreshSession();
+        if (this.currentUser) {
+            logInfo(`Sesión iniciada como ${this.currentUser.nombre} (${this.currentUser.rol})`);
+        }
         
         const choices = [
             { name: 'Gestionar Usuarios', value: 'usuarios' },
@@ -153,11 +196,19 @@ class GratiDayConsole {
                     { name: 'Buscar Usuario por Email', value: 'findByEmail' },
                     { name: 'Actualizar Usuario', value: 'update' },
                     { name: 'Cambiar Contraseña', value: 'changePassword' },
+                    { name: 'Solicitar Restablecimiento de Contraseña', value: 'requestReset' },
+                    { name: 'Restablecer Contraseña con Código', value: 'resetPassword' },
+                    { name: 'Verificar Correo Electrónico', value: 'verifyEmail' },
+                    { name: 'Reenviar Código de Verificación', value: 'resendVerification' },
+                    { name: 'Preferencias de Usuario', value: 'preferences' },
+                    { name: 'Autenticación en Dos Pasos', value: 'twoFactor' },
                     { name: 'Eliminar Usuario', value: 'delete' },
                     { name: 'Autenticar Usuario', value: 'authenticate' },
+                    { name: 'Desbloquear Usuario', value: 'unlock' },
+                    { name: 'Cerrar Sesión', value: 'logout' },
                     { name: 'Volver al Menu Principal', value: 'back' }
                 ],
-                pageSize: 10
+                pageSize: 18
             }
         ]);
 
@@ -180,12 +231,36 @@ class GratiDayConsole {
             case 'changePassword':
                 await this.changeUserPassword();
                 break;
+            case 'requestReset':
+                await this.requestPasswordReset();
+                break;
+            case 'resetPassword':
+                await this.resetUserPassword();
+                break;
+            case 'verifyEmail':
+                await this.verifyUserEmail();
+                break;
+            case 'resendVerification':
+                await this.resendVerification();
+                break;
+            case 'preferences':
+                await this.editPreferences();
+                break;
+            case 'twoFactor':
+                await this.manageTwoFactor();
+                break;
             case 'delete':
                 await this.deleteUser();
                 break;
             case 'authenticate':
                 await this.authenticateUser();
                 break;
+            case 'unlock':
+                await this.unlockUser();
+                break;
+            case 'logout':
+                await this.logoutUser();
+                break;
             case 'back':
                 await this.showMainMenu();
                 break;
@@ -224,10 +299,8 @@ class GratiDayConsole {
                 type: 'list',
                 name: 'rol',
                 message: 'Rol del usuario:',
-                choices: [
-                    { name: 'Usuario Regular', value: 'user' },
-                    { name: 'Administrador', value: 'admin' }
-                ]
+                choices: ROLE_CHOICES,
+                default: permissions.DEFAULT_ROLE
             }
         ]);
 
@@ -238,8 +311,9 @@ class GratiDayConsole {
                 rol: answers.rol
             });
 
-            await usuario.create(answers.password);
+            await usuario.create(answers.password, this.currentUser);
             logSuccess(`Usuario creado exitosamente con ID: ${usuario.id_user}`);
+            logInfo(`Se envió un código de verificación a ${usuario.correo_electronico}`);
             
         } catch (error) {
             logError(`Error al crear usuario: ${error.message}`);
@@ -255,17 +329,92 @@ class GratiDayConsole {
         logSection('LISTA DE USUARIOS');
         
         try {
-            const { limit } = await inquirer.prompt([
+            const validDate = (input) => {
+                const value = input.trim();
+                if (!value) {
+                    return true;
+                }
+                const date = new Date(`${value}T00:00:00Z`);
+                return (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value) ||
+                    'Usa una fecha válida con el formato AAAA-MM-DD';
+            };
+            const answers = await inquirer.prompt([
                 {
                     type: 'number',
                     name: 'limit',
                     message: 'Número de usuarios a mostrar:',
                     default: 10,
                     validate: (input) => input > 0 || 'Debe ser un número positivo'
+                },
+                {
+                    type: 'list',
+                    name: 'rol',
+                    message: 'Filtrar por rol:',
+                    choices: [{ name: 'Todos', value: '' }, ...ROLE_CHOICES]
+                },
+                {
+                    type: 'input',
+                    name: 'search',
+                    message: 'Buscar en nombre o correo (vacío para no filtrar):'
+                },
+                {
+                    type: 'input',
+                    name: 'desde',
+                    message: 'Creados desde (AAAA-MM-DD, vacío para no filtrar):',
+                    validate: validDate
+                },
+                {
+                    type: 'input',
+                    name: 'hasta',
+                    message: 'Creados hasta (AAAA-MM-DD, vacío para no filtrar):',
+                    validate: validDate
+                },
+                {
+                    type: 'list',
+                    name: 'con_frases_publicadas',
+                    message: 'Contenido publicado:',
+                    choices: [
+                        { name: 'Todos', value: null },
+                        { name: 'Con frases publicadas', value: true },
+                        { name: 'Sin frases publicadas', value: false }
+                    ]
+                },
+                {
+                    type: 'list',
+                    name: 'sort',
+                    message: 'Ordenar por:',
+                    choices: [
+                        { name: 'Fecha de creación', value: 'fecha_creacion' },
+                        { name: 'Nombre', value: 'nombre' },
+                        { name: 'Correo electrónico', value: 'correo_electronico' },
+                        { name: 'Rol', value: 'rol' },
+                        { name: 'Frases publicadas', value: 'frases_publicadas' }
+                    ]
+                },
+                {
+                    type: 'list',
+                    name: 'order',
+                    message: 'Dirección:',
+                    choices: [
+                        { name: 'Descendente', value: 'DESC' },
+                        { name: 'Ascendente', value: 'ASC' }
+                    ]
                 }
             ]);
 
-            const usuarios = await Usuario.findAll(limit);
+            const filters = {
+                rol: answers.rol,
+                search: answers.search.trim(),
+                desde: answers.desde.trim() || null,
+                hasta: answers.hasta.trim() || null,
+                con_frases_publicadas: answers.con_frases_publicadas,
+                sort: answers.sort,
+                order: answers.order
+            };
+            const [usuarios, total] = await Promise.all([
+                Usuario.findAll(filters, answers.limit),
+                Usuario.count(filters)
+            ]);
             
             if (usuarios.length === 0) {
                 logWarning('No se encontraron usuarios');
@@ -275,8 +424,11 @@ class GratiDayConsole {
                     Nombre: u.nombre,
                     Email: u.correo_electronico,
                     Rol: u.rol,
+                    Verificado: u.isVerified() ? 'Sí' : 'No',
+                    'Frases publicadas': u.frases_publicadas,
                     'Fecha Creación': new Date(u.fecha_creacion).toLocaleDateString()
                 })));
+                logInfo(`Mostrando ${usuarios.length} de ${total} usuarios`);
             }
             
         } catch (error) {
@@ -309,6 +461,7 @@ class GratiDayConsole {
                     Nombre: usuario.nombre,
                     Email: usuario.correo_electronico,
                     Rol: usuario.rol,
+                    Verificado: usuario.isVerified() ? 'Sí' : 'No',
                     'Fecha Creación': new Date(usuario.fecha_creacion).toLocaleDateString()
                 }]);
             } else {
@@ -348,6 +501,7 @@ class GratiDayConsole {
                     Nombre: usuario.nombre,
                     Email: usuario.correo_electronico,
                     Rol: usuario.rol,
+                    Verificado: usuario.isVerified() ? 'Sí' : 'No',
                     'Fecha Creación': new Date(usuario.fecha_creacion).toLocaleDateString()
                 }]);
             } else {
@@ -405,15 +559,12 @@ class GratiDayConsole {
                     type: 'list',
                     name: 'rol',
                     message: 'Nuevo rol:',
-                    choices: [
-                        { name: 'Usuario Regular', value: 'user' },
-                        { name: 'Administrador', value: 'admin' }
-                    ],
+                    choices: ROLE_CHOICES,
                     default: usuario.rol
                 }
             ]);
 
-            await usuario.update(answers);
+            await usuario.update(answers, this.currentUser);
             logSuccess('Usuario actualizado exitosamente');
             
         } catch (error) {
@@ -486,6 +637,22 @@ class GratiDayConsole {
                 return;
             }
 
+            const preview = await usuario.previewDelete();
+            console.table([{
+                Usuario: usuario.nombre,
+                Frases: preview.frases.total,
+                Borradores: preview.frases.draft,
+                Programadas: preview.frases.scheduled,
+                Publicadas: preview.frases.published,
+                'Sesiones abiertas': preview.sesiones
+            }]);
+
+            if (!preview.canDelete) {
+                await this.deleteUserWithStrategy(usuario, preview);
+                await this.pauseAndReturn();
+                return;
+            }
+
             const { confirm } = await inquirer.prompt([
                 {
                     type: 'confirm',
@@ -496,7 +663,7 @@ class GratiDayConsole {
             ]);
 
             if (confirm) {
-                const deleted = await usuario.delete();
+                const deleted = await usuario.delete(this.currentUser);
                 if (deleted) {
                     logSuccess('Usuario eliminado exitosamente');
                 } else {
@@ -513,6 +680,92 @@ class GratiDayConsole {
         await this.pauseAndReturn();
     }
 
+    /**
+     * Eliminar un usuario con frases eligiendo qué hacer con su contenido
+     * @param {Usuario} usuario - Usuario a eliminar
+     * @param {Object} preview - Resultado de usuario.previewDelete()
+     */
+    async deleteUserWithStrategy(usuario, preview) {
+        logWarning(`El usuario tiene ${preview.frases.total} frase(s); elige qué hacer con su contenido`);
+
+        const { strategy } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'strategy',
+                message: 'Estrategia de eliminación:',
+                choices: [
+                    { name: 'Reasignar sus frases a otro usuario y eliminar la cuenta', value: 'reassign' },
+                    { name: 'Anonimizar la cuenta y conservar sus frases', value: 'anonymize' },
+                    { name: 'Desactivar la cuenta', value: 'deactivate' },
+                    { name: 'Cancelar', value: 'cancel' }
+                ]
+            }
+        ]);
+
+        if (strategy === 'cancel') {
+            logInfo('Operación cancelada');
+            return;
+        }
+
+        const options = {};
+        let summary;
+
+        if (strategy === 'reassign') {
+            const { reassignTo } = await inquirer.prompt([
+                {
+                    type: 'number',
+                    name: 'reassignTo',
+                    message: 'ID del usuario que recibirá las frases:',
+                    validate: (input) => (input > 0 && input !== usuario.id_user) || 'Ingresa el ID de otro usuario'
+                }
+            ]);
+
+            const target = await Usuario.findById(reassignTo);
+            if (!target || !target.isActive()) {
+                logWarning('El usuario destino no existe o está desactivado');
+                return;
+            }
+
+            options.reassignTo = target.id_user;
+            summary = [
+                { Cambio: `Frases reasignadas a ${target.nombre}`, Filas: preview.frases.total },
+                { Cambio: 'Usuario eliminado (con sus sesiones y códigos)', Filas: 1 }
+            ];
+        } else if (strategy === 'anonymize') {
+            summary = [
+                { Cambio: 'Datos personales borrados y cuenta desactivada', Filas: 1 },
+                { Cambio: 'Frases conservadas', Filas: preview.frases.total },
+                { Cambio: 'Sesiones cerradas', Filas: preview.sesiones }
+            ];
+        } else {
+            summary = [
+                { Cambio: 'Cuenta desactivada', Filas: 1 },
+                { Cambio: 'Frases conservadas', Filas: preview.frases.total },
+                { Cambio: 'Sesiones cerradas', Filas: preview.sesiones }
+            ];
+        }
+
+        logInfo('Vista previa de los cambios:');
+        console.table(summary);
+
+        const { confirm } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: '¿Aplicar estos cambios?',
+                default: false
+            }
+        ]);
+
+        if (!confirm) {
+            logInfo('Operación cancelada');
+            return;
+        }
+
+        const report = await usuario.deleteWithStrategy(strategy, options, this.currentUser);
+        logSuccess(`Operación completada: ${report.frases} frase(s) afectadas, ${report.sesiones} sesión(es) cerradas`);
+    }
+
     /**
      * Autenticar usuario
      */
@@ -535,7 +788,16 @@ class GratiDayConsole {
         ]);
 
         try {
-            const usuario = await Usuario.authenticate(answers.email, answers.password);
+            let session;
+            try {
+                session = await Usuario.login(answers.email, answers.password, { clientKey: 'console' });
+            } catch (error) {
+                if (!(error instanceof TwoFactorRequiredError)) {
+                    throw error;
+                }
+                session = await this.completeTwoFactorLogin(error);
+            }
+            const usuario = session ? session.usuario : null;
             
             if (usuario) {
                 logSection('AUTENTICACIÓN EXITOSA');
@@ -546,12 +808,442 @@ class GratiDayConsole {
                     Rol: usuario.rol
                 }]);
                 this.currentUser = usuario;
+                this.sessionToken = session.token;
+                this.preferences = await usuario.getPreferences();
+                logInfo(`Sesión válida hasta ${this.formatDate(session.expires_at)}`);
             } else {
                 logError('Credenciales inválidas');
+                const status = await Usuario.getLoginStatus(answers.email);
+                if (status.remaining > 0) {
+                    logWarning(`Intentos restantes antes del bloqueo: ${status.remaining}`);
+                }
+            }
+            
+        } catch (error) {
+            if (error instanceof LockoutError) {
+                logWarning(error.message);
+            } else {
+                logError(`Error al autenticar: ${error.message}`);
+            }
+        }
+
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Pedir el código del segundo paso de la autenticación y abrir la sesión
+     * @param {TwoFactorRequiredError} challengeError - Error lanzado por Usuario.login
+     * @returns {Promise<Object|null>} - Sesión abierta o null si el código no es válido
+     */
+    async completeTwoFactorLogin(challengeError) {
+        logInfo(challengeError.message);
+        if (challengeError.setup) {
+            logInfo('Registra esta cuenta en tu aplicación de autenticación:');
+            console.log(`  Secreto: ${challengeError.setup.secret}`);
+            console.log(`  URI: ${challengeError.setup.uri}`);
+        }
+
+        const { code } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'code',
+                message: challengeError.setup ? 'Código de la aplicación:' : 'Código de la aplicación o de recuperación:',
+                validate: (input) => input.trim().length > 0 || 'El código es requerido'
+            }
+        ]);
+
+        const session = await Usuario.completeLogin(challengeError.challenge, code.trim(), { clientKey: 'console' });
+        if (session && session.recoveryCodes) {
+            this.showRecoveryCodes(session.recoveryCodes);
+        }
+        return session;
+    }
+
+    /**
+     * Mostrar los códigos de recuperación recién emitidos
+     * @param {Array<string>} codes - Códigos de recuperación
+     */
+    showRecoveryCodes(codes) {
+        logSuccess('Autenticación en dos pasos activada');
+        logWarning('Guarda estos códigos de recuperación; cada uno sirve una sola vez y no se volverán a mostrar:');
+        codes.forEach(code => console.log(`  ${code}`));
+    }
+
+    /**
+     * Cerrar la sesión actual y, opcionalmente, todas las demás sesiones del usuario
+     */
+    async logoutUser() {
+        if (!this.sessionToken) {
+            logWarning('No hay una sesión iniciada');
+            await this.pauseAndReturn();
+            return;
+        }
+
+        const { revokeAll } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'revokeAll',
+                message: '¿Cerrar también las sesiones abiertas en otros lugares?',
+                default: false
+            }
+        ]);
+
+        try {
+            if (revokeAll && this.currentUser) {
+                const count = await this.currentUser.revokeAllSessions(this.sessionToken);
+                logInfo(`Sesiones cerradas en otros lugares: ${count}`);
+            }
+
+            await Usuario.logout(this.sessionToken);
+            logSuccess('Sesión cerrada exitosamente');
+        } catch (error) {
+            logError(`Error al cerrar sesión: ${error.message}`);
+        }
+
+        this.currentUser = null;
+        this.sessionToken = null;
+        this.preferences = null;
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Solicitar el restablecimiento de contraseña (el código se envía por correo)
+     */
+    async requestPasswordReset() {
+        logSection('SOLICITAR RESTABLECIMIENTO DE CONTRASEÑA');
+
+        const { email } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'email',
+                message: 'Correo electrónico de la cuenta:',
+                validate: (input) => input.trim().length > 0 || 'El correo es requerido'
+            }
+        ]);
+
+        try {
+            await Usuario.requestPasswordReset(email);
+            logSuccess('Si el correo está registrado, se envió un código para restablecer la contraseña');
+        } catch (error) {
+            logError(`Error al solicitar el restablecimiento: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Restablecer la contraseña con el código recibido por correo
+     */
+    async resetUserPassword() {
+        logSection('RESTABLECER CONTRASEÑA');
+
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'token',
+                message: 'Código recibido por correo:',
+                validate: (input) => input.trim().length > 0 || 'El código es requerido'
+            },
+            {
+                type: 'password',
+                name: 'password',
+                message: 'Nueva contraseña:',
+                validate: (input) => input.length >= 6 || 'La contraseña debe tener al menos 6 caracteres'
+            }
+        ]);
+
+        try {
+            const usuario = await Usuario.resetPassword(answers.token.trim(), answers.password);
+            logSuccess(`Contraseña de ${usuario.nombre} restablecida; se cerraron todas sus sesiones`);
+
+            if (this.currentUser && this.currentUser.id_user === usuario.id_user) {
+                this.currentUser = null;
+                this.sessionToken = null;
+            }
+        } catch (error) {
+            logError(`Error al restablecer la contraseña: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Ver y editar las preferencias del usuario autenticado (o de otro usuario por ID)
+     */
+    async editPreferences() {
+        logSection('PREFERENCIAS DE USUARIO');
+
+        try {
+            let usuario = this.currentUser;
+            if (!usuario) {
+                const { id } = await inquirer.prompt([
+                    {
+                        type: 'number',
+                        name: 'id',
+                        message: 'ID del usuario:',
+                        validate: (input) => input > 0 || 'El ID debe ser un número positivo'
+                    }
+                ]);
+                usuario = await Usuario.findById(id);
+            }
+
+            if (!usuario) {
+                logWarning('Usuario no encontrado');
+                await this.pauseAndReturn();
+                return;
+            }
+
+            const preferencias = await usuario.getPreferences();
+            const categorias = await Categoria.findAll(100, 0);
+
+            console.table([{
+                Usuario: usuario.nombre,
+                Idioma: preferencias.idioma,
+                'Zona horaria': preferencias.zona_horaria,
+                'Hora de envío': preferencias.hora_envio || 'Sin envío',
+                'Categorías favoritas': categorias
+                    .filter(c => preferencias.categorias_favoritas.includes(c.id_category))
+                    .map(c => c.nombre)
+                    .join(', ') || 'Ninguna'
+            }]);
+
+            const answers = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'idioma',
+                    message: 'Idioma:',
+                    choices: Preferencias.IDIOMAS,
+                    default: preferencias.idioma
+                },
+                {
+                    type: 'input',
+                    name: 'zona_horaria',
+                    message: 'Zona horaria (por ejemplo, America/Mexico_City):',
+                    default: preferencias.zona_horaria
+                },
+                {
+                    type: 'input',
+                    name: 'hora_envio',
+                    message: 'Hora de envío de la frase diaria (HH:MM, vacío para no recibirla):',
+                    default: preferencias.hora_envio || ''
+                },
+                {
+                    type: 'checkbox',
+                    name: 'categorias_favoritas',
+                    message: 'Categorías favoritas:',
+                    choices: categorias.map(c => ({
+                        name: c.nombre,
+                        value: c.id_category,
+                        checked: preferencias.categorias_favoritas.includes(c.id_category)
+                    }))
+                }
+            ]);
+
+            const saved = await usuario.setPreferences({
+                idioma: answers.idioma,
+                zona_horaria: answers.zona_horaria.trim(),
+                hora_envio: answers.hora_envio.trim() || null,
+                categorias_favoritas: answers.categorias_favoritas
+            }, this.currentUser);
+
+            if (this.currentUser && this.currentUser.id_user === usuario.id_user) {
+                this.preferences = saved;
+            }
+            logSuccess('Preferencias guardadas exitosamente');
+        } catch (error) {
+            logError(`Error al guardar las preferencias: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Activar, desactivar o renovar los códigos de la autenticación en dos pasos
+     */
+    async manageTwoFactor() {
+        logSection('AUTENTICACIÓN EN DOS PASOS');
+
+        if (!this.currentUser) {
+            logWarning('Debes iniciar sesión para configurar la autenticación en dos pasos');
+            await this.pauseAndReturn();
+            return;
+        }
+
+        try {
+            const usuario = this.currentUser;
+            const status = await usuario.getTwoFactorStatus();
+            console.table([{
+                Usuario: usuario.nombre,
+                Estado: status.enabled ? 'Activa' : 'Inactiva',
+                Obligatoria: status.required ? 'Sí' : 'No',
+                'Códigos de recuperación': status.enabled ? status.recoveryCodes : '-'
+            }]);
+
+            const choices = status.enabled
+                ? [
+                    { name: 'Generar nuevos códigos de recuperación', value: 'regenerate' },
+                    { name: 'Desactivar', value: 'disable' }
+                ]
+                : [{ name: 'Activar', value: 'enable' }];
+            if (usuario.can('usuario:manage')) {
+                choices.push({ name: 'Desactivar para otro usuario', value: 'disableOther' });
+            }
+            choices.push({ name: 'Volver', value: 'back' });
+
+            const { action } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'action',
+                    message: 'Operación:',
+                    choices: choices
+                }
+            ]);
+
+            const askCode = async (message) => {
+                const { code } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'code',
+                        message: message,
+                        validate: (input) => input.trim().length > 0 || 'El código es requerido'
+                    }
+                ]);
+                return code.trim();
+            };
+
+            if (action === 'enable') {
+                const setup = await usuario.enableTwoFactor(usuario);
+                logInfo('Registra esta cuenta en tu aplicación de autenticación:');
+                console.log(`  Secreto: ${setup.secret}`);
+                console.log(`  URI: ${setup.uri}`);
+                const codes = await usuario.confirmTwoFactor(await askCode('Código de la aplicación:'));
+                this.showRecoveryCodes(codes);
+            } else if (action === 'regenerate') {
+                const codes = await usuario.regenerateRecoveryCodes(await askCode('Código de la aplicación o de recuperación:'));
+                logWarning('Los códigos anteriores ya no son válidos. Guarda los nuevos:');
+                codes.forEach(code => console.log(`  ${code}`));
+            } else if (action === 'disable') {
+                await usuario.disableTwoFactor(await askCode('Código de la aplicación o de recuperación:'), usuario);
+                logSuccess('Autenticación en dos pasos desactivada');
+            } else if (action === 'disableOther') {
+                const { email } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'email',
+                        message: 'Correo electrónico del usuario:',
+                        validate: (input) => input.trim().length > 0 || 'El correo es requerido'
+                    }
+                ]);
+                const target = await Usuario.findByEmail(email.trim());
+                if (!target) {
+                    logWarning('Usuario no encontrado');
+                } else if (await target.disableTwoFactor(null, usuario)) {
+                    logSuccess(`Autenticación en dos pasos desactivada para ${target.nombre}`);
+                } else {
+                    logInfo('El usuario no tenía configurada la autenticación en dos pasos');
+                }
+            }
+        } catch (error) {
+            logError(`Error en la autenticación en dos pasos: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Verificar el correo electrónico con el código recibido
+     */
+    async verifyUserEmail() {
+        logSection('VERIFICAR CORREO ELECTRÓNICO');
+
+        const { token } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'token',
+                message: 'Código recibido por correo:',
+                validate: (input) => input.trim().length > 0 || 'El código es requerido'
+            }
+        ]);
+
+        try {
+            const usuario = await Usuario.verifyEmail(token.trim());
+            logSuccess(`Correo ${usuario.correo_electronico} verificado exitosamente`);
+        } catch (error) {
+            logError(`Error al verificar el correo: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Reenviar el código de verificación del correo electrónico
+     */
+    async resendVerification() {
+        logSection('REENVIAR CÓDIGO DE VERIFICACIÓN');
+
+        const { email } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'email',
+                message: 'Correo electrónico de la cuenta:',
+                validate: (input) => input.trim().length > 0 || 'El correo es requerido'
+            }
+        ]);
+
+        try {
+            await Usuario.resendVerification(email);
+            logSuccess('Si la cuenta existe y no está verificada, se envió un nuevo código');
+        } catch (error) {
+            logError(`Error al reenviar el código: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Desbloquear el inicio de sesión de un usuario (requiere un administrador autenticado)
+     */
+    async unlockUser() {
+        if (!this.currentUser || !this.currentUser.can('usuario:manage')) {
+            logWarning('Debes autenticarte como administrador para desbloquear usuarios');
+            await this.pauseAndReturn();
+            return;
+        }
+
+        const { email } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'email',
+                message: 'Correo electrónico del usuario a desbloquear:',
+                validate: (input) => input.trim().length > 0 || 'El correo es requerido'
+            }
+        ]);
+
+        try {
+            const usuario = await Usuario.findByEmail(email);
+            
+            if (!usuario) {
+                logWarning('Usuario no encontrado');
+                await this.pauseAndReturn();
+                return;
+            }
+
+            const status = await Usuario.getLoginStatus(usuario.correo_electronico);
+            console.table([{
+                Usuario: usuario.nombre,
+                'Intentos fallidos': status.failures,
+                'Bloqueado hasta': status.lockedUntil ? status.lockedUntil.toLocaleString() : 'No bloqueado'
+            }]);
+
+            const unlocked = await usuario.unlock(this.currentUser);
+            if (unlocked) {
+                logSuccess('Usuario desbloqueado exitosamente');
+            } else {
+                logInfo('El usuario no tenía intentos fallidos ni bloqueos');
             }
             
         } catch (error) {
-            logError(`Error al autenticar: ${error.message}`);
+            logError(`Error al desbloquear usuario: ${error.message}`);
         }
 
         await this.pauseAndReturn();
@@ -573,12 +1265,16 @@ class GratiDayConsole {
                     { name: 'Listar Categorias', value: 'list' },
                     { name: 'Buscar Categoria por ID', value: 'findById' },
                     { name: 'Buscar Categoria por Nombre', value: 'findByName' },
+                    { name: 'Buscar Categoria por Slug', value: 'findBySlug' },
                     { name: 'Actualizar Categoria', value: 'update' },
                     { name: 'Eliminar Categoria', value: 'delete' },
+                    { name: 'Ver Árbol de Categorías', value: 'tree' },
+                    { name: 'Mover Categoría', value: 'move' },
+                    { name: 'Fusionar Categorías', value: 'merge' },
                     { name: 'Ver Estadisticas de Categoria', value: 'stats' },
                     { name: 'Volver al Menu Principal', value: 'back' }
                 ],
-                pageSize: 10
+                pageSize: 14
             }
         ]);
 
@@ -595,12 +1291,24 @@ class GratiDayConsole {
             case 'findByName':
                 await this.findCategoryByName();
                 break;
+            case 'findBySlug':
+                await this.findCategoryBySlug();
+                break;
             case 'update':
                 await this.updateCategory();
                 break;
             case 'delete':
                 await this.deleteCategory();
                 break;
+            case 'tree':
+                await this.showCategoryTree();
+                break;
+            case 'move':
+                await this.moveCategory();
+                break;
+            case 'merge':
+                await this.mergeCategories();
+                break;
             case 'stats':
                 await this.showCategoryStats();
                 break;
@@ -610,6 +1318,81 @@ class GratiDayConsole {
         }
     }
 
+    /**
+     * Opciones de categorías para un prompt de lista, con sangría según su nivel
+     * @param {Object} options - Opciones
+     * @param {number} options.exclude - ID de una categoría que se omite junto con sus subcategorías
+     * @param {string} options.none - Texto de una opción adicional con valor null (opcional)
+     * @returns {Promise<Array<Object>>} - Opciones { name, value }
+     */
+    async getCategoryChoices(options = {}) {
+        const choices = options.none ? [{ name: options.none, value: null }] : [];
+        const addChoices = (categorias, level) => {
+            categorias.forEach(categoria => {
+                if (categoria.id_category === options.exclude) {
+                    return;
+                }
+                choices.push({ name: `${'  '.repeat(level)}${categoria.nombre}`, value: categoria.id_category });
+                addChoices(categoria.subcategorias, level + 1);
+            });
+        };
+
+        addChoices(await Categoria.getTree(), 0);
+        return choices;
+    }
+
+    /**
+     * Preguntas de los datos de presentación de una categoría (color, icono, orden y destacada)
+     * @param {Categoria|null} categoria - Categoría cuyos valores se usan por defecto
+     * @returns {Array<Object>} - Preguntas de inquirer
+     */
+    getCategoryDisplayQuestions(categoria = null) {
+        return [
+            {
+                type: 'input',
+                name: 'color',
+                message: 'Color (#RRGGBB, opcional):',
+                default: categoria && categoria.color ? categoria.color : undefined,
+                validate: (input) => !input || /^#[0-9a-fA-F]{6}$/.test(input) || 'El color debe tener el formato #RRGGBB'
+            },
+            {
+                type: 'input',
+                name: 'icono',
+                message: 'Clave del icono (opcional):',
+                default: categoria && categoria.icono ? categoria.icono : undefined
+            },
+            {
+                type: 'number',
+                name: 'orden',
+                message: 'Orden (menor aparece primero):',
+                default: categoria ? categoria.orden : 0,
+                validate: (input) => (Number.isInteger(input) && input >= 0) || 'Debe ser un número entero mayor o igual a 0'
+            },
+            {
+                type: 'confirm',
+                name: 'destacada',
+                message: '¿Categoría destacada?',
+                default: categoria ? categoria.destacada : false
+            }
+        ];
+    }
+
+    /**
+     * Fila de una categoría para console.table
+     * @param {Categoria} categoria - Categoría a mostrar
+     * @returns {Object}
+     */
+    getCategoryRow(categoria) {
+        return {
+            ID: categoria.id_category,
+            Nombre: categoria.nombre,
+            Slug: categoria.slug,
+            Descripción: categoria.descripcion || 'Sin descripción',
+            Orden: categoria.orden,
+            Destacada: categoria.destacada ? 'Sí' : 'No'
+        };
+    }
+
     /**
      * Crear nueva categoría
      */
@@ -627,17 +1410,29 @@ class GratiDayConsole {
                 type: 'input',
                 name: 'descripcion',
                 message: 'Descripción (opcional):'
-            }
+            },
+            {
+                type: 'list',
+                name: 'parent_id',
+                message: 'Categoría padre:',
+                choices: () => this.getCategoryChoices({ none: '(Ninguna, categoría raíz)' })
+            },
+            ...this.getCategoryDisplayQuestions()
         ]);
 
         try {
             const categoria = new Categoria({
                 nombre: answers.nombre,
-                descripcion: answers.descripcion || ''
+                descripcion: answers.descripcion || '',
+                parent_id: answers.parent_id,
+                color: answers.color || null,
+                icono: answers.icono || null,
+                orden: answers.orden,
+                destacada: answers.destacada
             });
 
-            await categoria.create();
-            logSuccess(`Categoría creada exitosamente con ID: ${categoria.id_category}`);
+            await categoria.create(this.currentUser);
+            logSuccess(`Categoría creada exitosamente con ID: ${categoria.id_category} (slug: ${categoria.slug})`);
             
         } catch (error) {
             logError(`Error al crear categoría: ${error.message}`);
@@ -668,11 +1463,7 @@ class GratiDayConsole {
             if (categorias.length === 0) {
                 logWarning('No se encontraron categorías');
             } else {
-                console.table(categorias.map(c => ({
-                    ID: c.id_category,
-                    Nombre: c.nombre,
-                    Descripción: c.descripcion || 'Sin descripción'
-                })));
+                console.table(categorias.map(c => this.getCategoryRow(c)));
             }
             
         } catch (error) {
@@ -700,11 +1491,7 @@ class GratiDayConsole {
             
             if (categoria) {
                 logSection('CATEGORÍA ENCONTRADA');
-                console.table([{
-                    ID: categoria.id_category,
-                    Nombre: categoria.nombre,
-                    Descripción: categoria.descripcion || 'Sin descripción'
-                }]);
+                console.table([this.getCategoryRow(categoria)]);
             } else {
                 logWarning('Categoría no encontrada');
             }
@@ -734,11 +1521,7 @@ class GratiDayConsole {
             
             if (categoria) {
                 logSection('CATEGORÍA ENCONTRADA');
-                console.table([{
-                    ID: categoria.id_category,
-                    Nombre: categoria.nombre,
-                    Descripción: categoria.descripcion || 'Sin descripción'
-                }]);
+                console.table([this.getCategoryRow(categoria)]);
             } else {
                 logWarning('Categoría no encontrada');
             }
@@ -750,6 +1533,39 @@ class GratiDayConsole {
         await this.pauseAndReturn();
     }
 
+    /**
+     * Buscar categoría por slug, incluidos los slugs anteriores
+     */
+    async findCategoryBySlug() {
+        const { slug } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'slug',
+                message: 'Slug de la categoría:',
+                validate: (input) => input.length > 0 || 'Debe ingresar un slug'
+            }
+        ]);
+
+        try {
+            const categoria = await Categoria.findBySlug(slug.trim());
+
+            if (categoria) {
+                logSection('CATEGORÍA ENCONTRADA');
+                if (categoria.slug !== slug.trim()) {
+                    logInfo(`"${slug.trim()}" es un slug anterior; el actual es "${categoria.slug}"`);
+                }
+                console.table([this.getCategoryRow(categoria)]);
+            } else {
+                logWarning('Categoría no encontrada');
+            }
+
+        } catch (error) {
+            logError(`Error al buscar categoría: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
     /**
      * Actualizar categoría
      */
@@ -785,11 +1601,20 @@ class GratiDayConsole {
                     name: 'descripcion',
                     message: 'Nueva descripción:',
                     default: categoria.descripcion
-                }
+                },
+                ...this.getCategoryDisplayQuestions(categoria)
             ]);
 
-            await categoria.update(answers);
+            const previousSlug = categoria.slug;
+            await categoria.update({
+                ...answers,
+                color: answers.color || null,
+                icono: answers.icono || null
+            }, this.currentUser);
             logSuccess('Categoría actualizada exitosamente');
+            if (categoria.slug !== previousSlug) {
+                logInfo(`Nuevo slug: ${categoria.slug} (el anterior "${previousSlug}" sigue funcionando)`);
+            }
             
         } catch (error) {
             logError(`Error al actualizar categoría: ${error.message}`);
@@ -820,29 +1645,26 @@ class GratiDayConsole {
                 return;
             }
 
-            // Verificar si tiene frases asociadas
-            const frasesCount = await categoria.getFrasesCount();
+            // Verificar si tiene frases asociadas (las archivadas también impiden eliminarla)
+            const frasesCount = await categoria.getFrasesCount({ includeArchived: true });
+
+            if (frasesCount > 0) {
+                await this.deleteCategoryWithStrategy(categoria, frasesCount);
+                await this.pauseAndReturn();
+                return;
+            }
             
             const { confirm } = await inquirer.prompt([
                 {
                     type: 'confirm',
                     name: 'confirm',
-                    message: `¿Estás seguro de eliminar la categoría "${categoria.nombre}"?${frasesCount > 0 ? ` (Tiene ${frasesCount} frases asociadas)` : ''}`,
+                    message: `¿Estás seguro de eliminar la categoría "${categoria.nombre}"?`,
                     default: false
                 }
             ]);
 
             if (confirm) {
-                const { forceDelete } = frasesCount > 0 ? await inquirer.prompt([
-                    {
-                        type: 'confirm',
-                        name: 'forceDelete',
-                        message: 'La categoría tiene frases asociadas. ¿Eliminar de todas formas?',
-                        default: false
-                    }
-                ]) : { forceDelete: false };
-
-                const deleted = await categoria.delete(forceDelete);
+                const deleted = await categoria.delete(false, this.currentUser);
                 if (deleted) {
                     logSuccess('Categoría eliminada exitosamente');
                 } else {
@@ -859,6 +1681,256 @@ class GratiDayConsole {
         await this.pauseAndReturn();
     }
 
+    /**
+     * Eliminar una categoría con frases eligiendo qué hacer con ellas
+     * Muestra la vista previa de las frases afectadas antes de confirmar
+     * @param {Categoria} categoria - Categoría a eliminar
+     * @param {number} frasesCount - Número de frases de la categoría
+     */
+    async deleteCategoryWithStrategy(categoria, frasesCount) {
+        const { strategy } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'strategy',
+                message: `La categoría "${categoria.nombre}" tiene ${frasesCount} frase(s). ¿Qué hacer con ellas?`,
+                choices: [
+                    { name: 'Pasarlas a otra categoría y eliminar la categoría', value: 'reassign' },
+                    { name: 'Archivar la categoría y sus frases', value: 'archive' },
+                    { name: 'Eliminar la categoría y sus frases', value: 'cascade' },
+                    { name: 'Cancelar', value: 'cancel' }
+                ]
+            }
+        ]);
+
+        if (strategy === 'cancel') {
+            logInfo('Operación cancelada');
+            return;
+        }
+
+        const options = {};
+        if (strategy === 'reassign') {
+            const { reassignTo } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'reassignTo',
+                    message: 'Categoría que recibirá las frases:',
+                    choices: await this.getCategoryChoices({ exclude: categoria.id_category }),
+                    pageSize: 15
+                }
+            ]);
+            options.reassignTo = reassignTo;
+        }
+
+        const preview = await categoria.deleteWithStrategy(strategy, { ...options, dryRun: true }, this.currentUser);
+        logSection('VISTA PREVIA');
+        console.table([{
+            'Total frases': preview.frases.total,
+            Borradores: preview.frases.draft,
+            Programadas: preview.frases.scheduled,
+            Publicadas: preview.frases.published,
+            Destino: preview.reassignTo ? preview.reassignTo.nombre : '-'
+        }]);
+        console.table(preview.affected.map(f => ({
+            ID: f.id_quote,
+            Texto: f.texto.length > 60 ? f.texto.substring(0, 60) + '...' : f.texto,
+            Estado: f.status
+        })));
+        if (preview.frases.total > preview.affected.length) {
+            logInfo(`... y ${preview.frases.total - preview.affected.length} frase(s) más`);
+        }
+
+        if (!preview.canProceed) {
+            logWarning(`La categoría tiene ${preview.subcategorias} subcategoría(s); muévelas antes de eliminarla`);
+            return;
+        }
+
+        const { confirm } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: '¿Aplicar estos cambios?',
+                default: false
+            }
+        ]);
+
+        if (!confirm) {
+            logInfo('Operación cancelada');
+            return;
+        }
+
+        const report = await categoria.deleteWithStrategy(strategy, options, this.currentUser);
+        if (report.archived) {
+            logSuccess(`Categoría archivada con ${report.frases} frase(s)`);
+        } else {
+            logSuccess(`Categoría eliminada; ${report.frases} frase(s) ${strategy === 'reassign' ? 'movidas' : 'eliminadas'}`);
+        }
+    }
+
+    /**
+     * Mostrar las categorías en árbol con el número de frases de cada una
+     */
+    async showCategoryTree() {
+        logSection('ÁRBOL DE CATEGORÍAS');
+
+        try {
+            const tree = await Categoria.getTree();
+
+            if (tree.length === 0) {
+                logWarning('No se encontraron categorías');
+            } else {
+                const printTree = async (categorias, level) => {
+                    for (const categoria of categorias) {
+                        const frases = await categoria.getFrasesCount();
+                        console.log(`${'   '.repeat(level)}${level > 0 ? '└─ ' : ''}${categoria.nombre} (ID ${categoria.id_category}, ${frases} frases)`);
+                        await printTree(categoria.subcategorias, level + 1);
+                    }
+                };
+                await printTree(tree, 0);
+            }
+
+        } catch (error) {
+            logError(`Error al obtener el árbol de categorías: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Mover una categoría, con sus subcategorías, bajo otra categoría o a la raíz
+     */
+    async moveCategory() {
+        const { id } = await inquirer.prompt([
+            {
+                type: 'number',
+                name: 'id',
+                message: 'ID de la categoría a mover:',
+                validate: (input) => input > 0 || 'El ID debe ser un número positivo'
+            }
+        ]);
+
+        try {
+            const categoria = await Categoria.findById(id);
+
+            if (!categoria) {
+                logWarning('Categoría no encontrada');
+                await this.pauseAndReturn();
+                return;
+            }
+
+            logInfo(`Ubicación actual: ${await categoria.getPath()}`);
+            const { parent_id } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'parent_id',
+                    message: 'Nueva categoría padre:',
+                    choices: await this.getCategoryChoices({ exclude: categoria.id_category, none: '(Ninguna, categoría raíz)' }),
+                    default: categoria.parent_id
+                }
+            ]);
+
+            await categoria.move(parent_id, this.currentUser);
+            logSuccess(`Categoría movida a: ${await categoria.getPath()}`);
+
+        } catch (error) {
+            logError(`Error al mover categoría: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
+    /**
+     * Fusionar categorías duplicadas en una categoría destino
+     */
+    async mergeCategories() {
+        logSection('FUSIONAR CATEGORÍAS');
+
+        try {
+            const choices = await this.getCategoryChoices();
+            if (choices.length < 2) {
+                logWarning('Se necesitan al menos dos categorías para fusionar');
+                await this.pauseAndReturn();
+                return;
+            }
+
+            const { targetId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'targetId',
+                    message: 'Categoría que se conserva (destino):',
+                    choices: choices,
+                    pageSize: 15
+                }
+            ]);
+
+            const answers = await inquirer.prompt([
+                {
+                    type: 'checkbox',
+                    name: 'sourceIds',
+                    message: 'Categorías a fusionar en la destino (se eliminarán):',
+                    choices: choices.filter(choice => choice.value !== targetId),
+                    pageSize: 15,
+                    validate: (input) => input.length > 0 || 'Selecciona al menos una categoría'
+                },
+                {
+                    type: 'confirm',
+                    name: 'combineDescriptions',
+                    message: '¿Agregar sus descripciones a la de la categoría destino?',
+                    default: false
+                }
+            ]);
+
+            // Las frases archivadas también se mueven, pero siguen archivadas
+            let totalFrases = 0;
+            let totalArchivadas = 0;
+            for (const id of answers.sourceIds) {
+                const source = await Categoria.findById(id);
+                const todas = await source.getFrasesCount({ includeArchived: true });
+                totalFrases += todas;
+                totalArchivadas += todas - await source.getFrasesCount();
+            }
+            const archivadas = totalArchivadas > 0 ? ` (${totalArchivadas} archivada(s), que seguirán archivadas)` : '';
+
+            const { confirm } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirm',
+                    message: `Se moverán ${totalFrases} frase(s)${archivadas} y se eliminarán ${answers.sourceIds.length} categoría(s). ¿Continuar?`,
+                    default: false
+                }
+            ]);
+
+            if (!confirm) {
+                logInfo('Operación cancelada');
+                await this.pauseAndReturn();
+                return;
+            }
+
+            const summary = await Categoria.merge(
+                answers.sourceIds,
+                targetId,
+                { combineDescriptions: answers.combineDescriptions },
+                this.currentUser
+            );
+
+            logSuccess(`Categorías fusionadas en "${summary.target.nombre}"`);
+            console.table(summary.sources.map(source => ({
+                ID: source.id_category,
+                Categoría: source.nombre,
+                'Frases movidas': source.frases,
+                Archivadas: source.archivadas
+            })));
+            logInfo(`Total: ${summary.frases} frase(s) (${summary.archivadas} archivada(s)), ${summary.subcategorias} subcategoría(s) y ${summary.favoritos} favorito(s) movidos`);
+            if (summary.descripcionesOmitidas.length > 0) {
+                logWarning(`No se agregaron por exceder 255 caracteres las descripciones de: ${summary.descripcionesOmitidas.join(', ')}`);
+            }
+
+        } catch (error) {
+            logError(`Error al fusionar categorías: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
     /**
      * Mostrar estadísticas de categoría
      */
@@ -881,14 +1953,25 @@ class GratiDayConsole {
                 return;
             }
 
-            const stats = await categoria.getStats();
+            const subcategorias = await categoria.getDescendants();
+            const { includeDescendants } = subcategorias.length > 0 ? await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'includeDescendants',
+                    message: `¿Incluir las ${subcategorias.length} subcategorías?`,
+                    default: true
+                }
+            ]) : { includeDescendants: false };
+
+            const stats = await categoria.getStats({ includeDescendants });
             
-            logSection(`ESTADÍSTICAS DE: ${categoria.nombre.toUpperCase()}`);
+            logSection(`ESTADÍSTICAS DE: ${(await categoria.getPath()).toUpperCase()}`);
             console.table([{
                 'Total Frases': stats.total_frases,
                 'Frases Publicadas': stats.frases_publicadas,
                 'Frases en Borrador': stats.frases_borrador,
-                'Frases Programadas': stats.frases_programadas
+                'Frases Programadas': stats.frases_programadas,
+                'Frases Archivadas': stats.frases_archivadas
             }]);
             
         } catch (error) {
@@ -916,6 +1999,7 @@ class GratiDayConsole {
                     { name: 'Frases Publicadas', value: 'published' },
                     { name: 'Frases en Borrador', value: 'draft' },
                     { name: 'Frases Programadas', value: 'scheduled' },
+                    { name: 'Publicar Frases Programadas Vencidas', value: 'publishDue' },
                     { name: 'Frases Aleatorias', value: 'random' },
                     { name: 'Actualizar Frase', value: 'update' },
                     { name: 'Publicar Frase', value: 'publish' },
@@ -924,7 +2008,7 @@ class GratiDayConsole {
                     { name: 'Eliminar Frase', value: 'delete' },
                     { name: 'Volver al Menu Principal', value: 'back' }
                 ],
-                pageSize: 15
+                pageSize: 16
             }
         ]);
 
@@ -947,6 +2031,9 @@ class GratiDayConsole {
             case 'scheduled':
                 await this.listScheduledQuotes();
                 break;
+            case 'publishDue':
+                await this.publishDueQuotes();
+                break;
             case 'random':
                 await this.showRandomQuotes();
                 break;
@@ -979,7 +2066,7 @@ class GratiDayConsole {
         
         try {
             // Obtener usuarios disponibles
-            const usuarios = await Usuario.findAll(100);
+            const usuarios = await Usuario.findAll({}, 100);
             const categorias = await Categoria.findAll(100);
             
             if (usuarios.length === 0) {
@@ -1055,7 +2142,7 @@ class GratiDayConsole {
                 scheduled_at: scheduled_at
             });
 
-            await frase.create();
+            await frase.create(this.currentUser);
             logSuccess(`Frase creada exitosamente con ID: ${frase.id_quote}`);
             
         } catch (error) {
@@ -1143,7 +2230,8 @@ class GratiDayConsole {
                     Categoría: frase.categoria_nombre,
                     Creador: frase.creado_por_nombre,
                     'Fecha Creación': new Date(frase.fecha_creacion).toLocaleDateString(),
-                    'Programada para': frase.scheduled_at ? new Date(frase.scheduled_at).toLocaleString() : 'No programada'
+                    'Programada para': frase.scheduled_at ? this.formatDate(frase.scheduled_at) : 'No programada',
+                    'Publicada el': frase.published_at ? this.formatDate(frase.published_at) : 'No publicada'
                 }]);
             } else {
                 logWarning('Frase no encontrada');
@@ -1238,7 +2326,7 @@ class GratiDayConsole {
                     ID: f.id_quote,
                     Texto: f.texto.substring(0, 60) + '...',
                     Autor: f.autor || 'Anónimo',
-                    'Programada para': new Date(f.scheduled_at).toLocaleString(),
+                    'Programada para': this.formatDate(f.scheduled_at),
                     Creador: f.creado_por_nombre
                 })));
             }
@@ -1250,6 +2338,33 @@ class GratiDayConsole {
         await this.pauseAndReturn();
     }
 
+    /**
+     * Publicar las frases programadas cuya fecha ya llegó
+     */
+    async publishDueQuotes() {
+        logSection('PUBLICAR FRASES PROGRAMADAS VENCIDAS');
+        
+        try {
+            const report = await new Publisher(this.db).runDue();
+            
+            if (report.count === 0) {
+                logWarning('No hay frases programadas pendientes de publicar');
+            } else {
+                logSuccess(`Frases publicadas: ${report.count}`);
+                console.table(report.published.map(item => ({
+                    ID: item.id_quote,
+                    'Programada para': this.formatDate(item.scheduled_at),
+                    'Publicada el': this.formatDate(item.published_at)
+                })));
+            }
+            
+        } catch (error) {
+            logError(`Error al publicar frases programadas: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
     /**
      * Mostrar frases aleatorias
      */
@@ -1390,7 +2505,7 @@ class GratiDayConsole {
                 categoria_id: answers.categoria_id,
                 status: answers.status,
                 scheduled_at: scheduled_at
-            });
+            }, this.currentUser);
 
             logSuccess('Frase actualizada exitosamente');
             
@@ -1423,7 +2538,7 @@ class GratiDayConsole {
                 return;
             }
 
-            await frase.publish();
+            await frase.publish(this.currentUser);
             logSuccess('Frase publicada exitosamente');
             
         } catch (error) {
@@ -1467,7 +2582,7 @@ class GratiDayConsole {
                 }
             ]);
 
-            await frase.schedule(new Date(fecha));
+            await frase.schedule(new Date(fecha), this.currentUser);
             logSuccess('Frase programada exitosamente');
             
         } catch (error) {
@@ -1499,7 +2614,7 @@ class GratiDayConsole {
                 return;
             }
 
-            await frase.draft();
+            await frase.draft(this.currentUser);
             logSuccess('Frase cambiada a borrador exitosamente');
             
         } catch (error) {
@@ -1541,7 +2656,7 @@ class GratiDayConsole {
             ]);
 
             if (confirm) {
-                const deleted = await frase.delete();
+                const deleted = await frase.delete(this.currentUser);
                 if (deleted) {
                     logSuccess('Frase eliminada exitosamente');
                 } else {
@@ -1578,6 +2693,7 @@ class GratiDayConsole {
                 'Frases Publicadas': stats.frases_publicadas,
                 'Frases en Borrador': stats.frases_borrador,
                 'Frases Programadas': stats.frases_programadas,
+                'Frases Archivadas': stats.frases_archivadas,
                 'Usuarios Activos': stats.usuarios_activos,
                 'Categorías Usadas': stats.categorias_usadas
             }]);
@@ -1600,6 +2716,18 @@ class GratiDayConsole {
                 );
                 console.table(categoriaStats);
             }
+
+            const poolStats = this.db.getPoolStats();
+            if (poolStats) {
+                log('\nPool de Conexiones:', 'cyan');
+                console.table([{
+                    'Límite': poolStats.connectionLimit,
+                    'Abiertas': poolStats.total,
+                    'En Uso': poolStats.active,
+                    'Inactivas': poolStats.idle,
+                    'En Espera': poolStats.queued
+                }]);
+            }
             
         } catch (error) {
             logError(`Error al obtener estadísticas: ${error.message}`);
@@ -1613,6 +2741,7 @@ class GratiDayConsole {
                 message: '¿Qué deseas hacer ahora?',
                 choices: [
                     { name: 'Ver estadisticas nuevamente', value: 'stats' },
+                    { name: 'Ver Tendencias por Categoría', value: 'trends' },
                     { name: 'Ir a Busquedas Avanzadas', value: 'search' },
                     { name: 'Volver al Menu Principal', value: 'main' }
                 ],
@@ -1624,6 +2753,9 @@ class GratiDayConsole {
             case 'stats':
                 await this.showStatistics();
                 break;
+            case 'trends':
+                await this.showCategoryTrends();
+                break;
             case 'search':
                 await this.showSearchMenu();
                 break;
@@ -1633,6 +2765,91 @@ class GratiDayConsole {
         }
     }
 
+    /**
+     * Mostrar tendencias de las categorías: frases creadas y publicadas por periodo,
+     * crecimiento respecto al periodo anterior y categorías en tendencia
+     */
+    async showCategoryTrends() {
+        logSection('TENDENCIAS POR CATEGORÍA');
+
+        try {
+            const answers = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'granularity',
+                    message: 'Agrupar por:',
+                    choices: [
+                        { name: 'Día', value: 'day' },
+                        { name: 'Semana', value: 'week' },
+                        { name: 'Mes', value: 'month' }
+                    ]
+                },
+                {
+                    type: 'number',
+                    name: 'periods',
+                    message: 'Número de periodos a analizar:',
+                    default: (current) => ({ day: 30, week: 12, month: 6 })[current.granularity],
+                    validate: (input) => (Number.isInteger(input) && input > 0 && input <= 400) || 'Debe ser un número entre 1 y 400'
+                }
+            ]);
+
+            // El rango incluye el periodo en curso hasta hoy (UTC) y empieza al inicio de un periodo
+            const to = new Date();
+            to.setUTCHours(0, 0, 0, 0);
+            const from = new Date(to);
+            if (answers.granularity === 'month') {
+                from.setUTCDate(1);
+                from.setUTCMonth(from.getUTCMonth() - (answers.periods - 1));
+            } else if (answers.granularity === 'week') {
+                from.setUTCDate(from.getUTCDate() - (from.getUTCDay() + 6) % 7 - (answers.periods - 1) * 7);
+            } else {
+                from.setUTCDate(from.getUTCDate() - (answers.periods - 1));
+            }
+
+            const trends = await Categoria.getTrends({ from, to, granularity: answers.granularity });
+            const formatGrowth = (value) => value === null ? 'nuevo' : `${value > 0 ? '+' : ''}${value}%`;
+
+            logInfo(`Del ${from.toISOString().slice(0, 10)} al ${to.toISOString().slice(0, 10)}, comparado con el periodo anterior de la misma duración`);
+            log('\nFrases por periodo:', 'cyan');
+            console.table(trends.totals.series.map(bucket => ({
+                Periodo: bucket.periodo,
+                Creadas: bucket.creadas,
+                Publicadas: bucket.publicadas
+            })));
+            logInfo(`Creadas: ${trends.totals.creadas} (${formatGrowth(trends.totals.growth.creadas)}), publicadas: ${trends.totals.publicadas} (${formatGrowth(trends.totals.growth.publicadas)})`);
+
+            const activas = trends.categorias.filter(c => c.creadas + c.publicadas + c.previous.creadas + c.previous.publicadas > 0);
+            if (activas.length > 0) {
+                log('\nCrecimiento por Categoría:', 'cyan');
+                console.table(activas.map(c => ({
+                    Categoría: c.nombre,
+                    Creadas: c.creadas,
+                    'Crec. Creadas': formatGrowth(c.growth.creadas),
+                    Publicadas: c.publicadas,
+                    'Crec. Publicadas': formatGrowth(c.growth.publicadas)
+                })));
+            }
+
+            if (trends.trending.length > 0) {
+                log('\nCategorías en Tendencia:', 'cyan');
+                console.table(trends.trending.map((c, index) => ({
+                    Posición: index + 1,
+                    Categoría: c.nombre,
+                    Actividad: c.actividad,
+                    Aumento: c.aumento,
+                    Crecimiento: formatGrowth(c.growth)
+                })));
+            } else {
+                logWarning('No hay actividad en el periodo');
+            }
+
+        } catch (error) {
+            logError(`Error al obtener tendencias: ${error.message}`);
+        }
+
+        await this.pauseAndReturn();
+    }
+
     /**
      * Menú de búsquedas avanzadas
      */
@@ -1729,11 +2946,7 @@ class GratiDayConsole {
                 logWarning(`No se encontraron categorías con el término "${searchTerm}"`);
             } else {
                 logSection(`RESULTADOS PARA: "${searchTerm}"`);
-                console.table(categorias.map(c => ({
-                    ID: c.id_category,
-                    Nombre: c.nombre,
-                    Descripción: c.descripcion || 'Sin descripción'
-                })));
+                console.table(categorias.map(c => this.getCategoryRow(c)));
             }
             
         } catch (error) {
@@ -1756,16 +2969,19 @@ class GratiDayConsole {
                 return;
             }
 
-            const { categoria_id } = await inquirer.prompt([
+            const { categoria_id, incluir_subcategorias, limit } = await inquirer.prompt([
                 {
                     type: 'list',
                     name: 'categoria_id',
                     message: 'Selecciona una categoría:',
-                    choices: categorias.map(c => ({ name: c.nombre, value: c.id_category }))
-                }
-            ]);
-
-            const { limit } = await inquirer.prompt([
+                    choices: await this.getCategoryChoices()
+                },
+                {
+                    type: 'confirm',
+                    name: 'incluir_subcategorias',
+                    message: '¿Incluir las frases de sus subcategorías?',
+                    default: true
+                },
                 {
                     type: 'number',
                     name: 'limit',
@@ -1775,7 +2991,7 @@ class GratiDayConsole {
                 }
             ]);
 
-            const frases = await Frase.findAll({ categoria_id }, limit);
+            const frases = await Frase.findAll({ categoria_id, incluir_subcategorias }, limit);
             
             if (frases.length === 0) {
                 logWarning('No se encontraron frases en esta categoría');
@@ -1786,6 +3002,7 @@ class GratiDayConsole {
                     ID: f.id_quote,
                     Texto: f.texto.substring(0, 60) + '...',
                     Autor: f.autor || 'Anónimo',
+                    Categoría: f.categoria_nombre,
                     Estado: f.status,
                     Creador: f.creado_por_nombre
                 })));
@@ -1803,7 +3020,7 @@ class GratiDayConsole {
      */
     async showQuotesByUser() {
         try {
-            const usuarios = await Usuario.findAll(100);
+            const usuarios = await Usuario.findAll({}, 100);
             
             if (usuarios.length === 0) {
                 logWarning('No hay usuarios disponibles');
@@ -1885,7 +3102,10 @@ class GratiDayConsole {
             logSection('SALIENDO DE GRATIDAY');
             
             try {
-                await this.db.disconnect();
+                if (this.sessionToken) {
+                    await Usuario.logout(this.sessionToken);
+                }
+                await Database.disconnectAll();
                 logSuccess('Conexión a la base de datos cerrada');
             } catch (error) {
                 logError(`Error al cerrar conexión: ${error.message}`);
@@ -0,0 +1,67 @@
+/**
+ * Línea de comandos para las migraciones del esquema de GratiDay
+ * Uso: npm run migrate -- <up|down|status> [--to <versión>] [--steps <n>] [--db <instancia>]
+ */
+
+const { Database, Migrator } = require('../src/index');
+
+/**
+ * Lee el valor de una opción de la forma "--nombre valor"
+ * @param {Array<string>} args - Argumentos de la línea de comandos
+ * @param {string} name - Nombre de la opción sin guiones
+ * @returns {string|undefined} - Valor de la opción
+ */
+function getOption(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+}
+
+async function main(args) {
+    const command = args[0] || 'status';
+    // --db permite migrar una instancia con nombre, configurada con las variables DB_<NOMBRE>_*
+    const db = Database.get(getOption(args, 'db'));
+    const migrator = new Migrator(db);
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await migrator.up({ to: getOption(args, 'to') });
+                if (applied.length === 0) {
+                    console.log('No hay migraciones pendientes');
+                }
+                applied.forEach(m => console.log(`Aplicada: ${m.version}_${m.name}`));
+                break;
+            }
+            case 'down': {
+                const steps = parseInt(getOption(args, 'steps'), 10) || 1;
+                const reverted = await migrator.down({ steps });
+                if (reverted.length === 0) {
+                    console.log('No hay migraciones que revertir');
+                }
+                reverted.forEach(m => console.log(`Revertida: ${m.version}_${m.name}`));
+                break;
+            }
+            case 'status': {
+                const status = await migrator.status();
+                console.table(status.map(m => ({
+                    Versión: m.version,
+                    Nombre: m.name,
+                    Estado: m.state,
+                    'Aplicada el': m.applied_at ? new Date(m.applied_at).toLocaleString() : '-'
+                })));
+                break;
+            }
+            default:
+                console.error(`Comando desconocido: ${command}`);
+                console.error('Uso: npm run migrate -- <up|down|status> [--to <versión>] [--steps <n>] [--db <instancia>]');
+                process.exitCode = 1;
+        }
+    } finally {
+        await db.disconnect();
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error('Error en la migración:', error.message);
+    process.exit(1);
+});
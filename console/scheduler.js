@@ -0,0 +1,84 @@
+/**
+ * Línea de comandos del publicador de frases programadas
+ * Uso: npm run scheduler -- <run-due|worker> [--interval <segundos>] [--batch <n>]
+ */
+
+const { Database, Publisher } = require('../src/index');
+
+/**
+ * Lee el valor de una opción de la forma "--nombre valor"
+ * @param {Array<string>} args - Argumentos de la línea de comandos
+ * @param {string} name - Nombre de la opción sin guiones
+ * @returns {string|undefined} - Valor de la opción
+ */
+function getOption(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Muestra el reporte de una ejecución del publicador
+ * @param {Object} report - Reporte devuelto por Publisher.runDue()
+ */
+function printReport(report) {
+    const time = report.finishedAt.toLocaleString();
+
+    if (report.count === 0) {
+        console.log(`[${time}] No hay frases programadas pendientes de publicar`);
+        return;
+    }
+
+    console.log(`[${time}] Frases publicadas: ${report.count} (${report.durationMs} ms)`);
+    console.table(report.published.map(item => ({
+        ID: item.id_quote,
+        'Programada para': item.scheduled_at ? new Date(item.scheduled_at).toLocaleString() : '-',
+        'Publicada el': item.published_at.toLocaleString(),
+        'Retraso (s)': item.delayMs !== null ? Math.round(item.delayMs / 1000) : '-'
+    })));
+}
+
+async function main(args) {
+    const command = args[0] || 'run-due';
+    const db = new Database();
+    const publisher = new Publisher(db, {
+        interval: (parseInt(getOption(args, 'interval'), 10) || 60) * 1000,
+        batchSize: parseInt(getOption(args, 'batch'), 10) || 100
+    });
+
+    switch (command) {
+        case 'run-due': {
+            try {
+                printReport(await publisher.runDue());
+            } finally {
+                await db.disconnect();
+            }
+            break;
+        }
+        case 'worker': {
+            publisher.on('run', printReport);
+            publisher.on('error', error => console.error('Error al publicar frases programadas:', error.message));
+
+            const shutdown = async () => {
+                console.log('Deteniendo el publicador...');
+                await publisher.stop();
+                await db.disconnect();
+            };
+            process.once('SIGINT', shutdown);
+            process.once('SIGTERM', shutdown);
+
+            console.log(`Publicador iniciado (cada ${publisher.interval / 1000} s). Ctrl+C para detener`);
+            publisher.start();
+            break;
+        }
+        default:
+            console.error(`Comando desconocido: ${command}`);
+            console.error('Uso: npm run scheduler -- <run-due|worker> [--interval <segundos>] [--batch <n>]');
+            process.exitCode = 1;
+            await db.disconnect();
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error('Error en el publicador:', error.message);
+    process.exit(1);
+});
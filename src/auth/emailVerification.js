@@ -0,0 +1,81 @@
+const { PermissionError } = require('../database/errors');
+
+/**
+ * Política de verificación del correo electrónico
+ *
+ * Las cuentas nuevas, y las que cambian de correo, quedan sin verificar hasta que
+ * el usuario usa el código enviado por correo. La política indica qué se le impide
+ * mientras tanto: crear frases, iniciar sesión o ambas cosas.
+ */
+
+const settings = {
+    requiredToAuthor: process.env.EMAIL_VERIFICATION_REQUIRED_TO_AUTHOR === 'true',
+    requiredToLogin: process.env.EMAIL_VERIFICATION_REQUIRED_TO_LOGIN === 'true'
+};
+
+/**
+ * Cambia la política de verificación
+ * @param {Object} options - Opciones
+ * @param {boolean} options.requiredToAuthor - Exigir el correo verificado para crear frases
+ * @param {boolean} options.requiredToLogin - Exigir el correo verificado para iniciar sesión
+ */
+function configure(options = {}) {
+    Object.keys(settings).forEach(key => {
+        if (options[key] !== undefined) {
+            settings[key] = Boolean(options[key]);
+        }
+    });
+}
+
+/**
+ * Crea el error para un usuario sin verificar
+ * @param {string} action - Acción impedida, por ejemplo 'crear frases'
+ * @returns {PermissionError}
+ */
+function createUnverifiedError(action) {
+    return new PermissionError(`Debes verificar tu correo electrónico para ${action}`, {
+        details: { reason: 'unverified' }
+    });
+}
+
+/**
+ * Verifica que un usuario pueda iniciar sesión según la política
+ * @param {Object} usuario - Usuario con verified_at
+ * @throws {PermissionError} - Si la política lo exige y el correo no está verificado
+ */
+function assertCanLogin(usuario) {
+    if (settings.requiredToLogin && !usuario.verified_at) {
+        throw createUnverifiedError('iniciar sesión');
+    }
+}
+
+/**
+ * Verifica que un usuario pueda crear frases según la política
+ * Si el usuario no existe no se lanza nada: la llave foránea lo rechazará
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario autor
+ * @returns {Promise<void>}
+ * @throws {PermissionError} - Si la política lo exige y el correo no está verificado
+ */
+async function assertCanAuthor(db, userId) {
+    if (!settings.requiredToAuthor) {
+        return;
+    }
+
+    const results = await db.query(
+        'SELECT verified_at FROM usuario WHERE id_user = ?',
+        [userId],
+        { label: 'emailVerification.assertCanAuthor' }
+    );
+
+    if (results.length > 0 && !results[0].verified_at) {
+        throw createUnverifiedError('crear frases');
+    }
+}
+
+module.exports = {
+    configure,
+    settings,
+    assertCanLogin,
+    assertCanAuthor
+};
@@ -0,0 +1,240 @@
+const { LockoutError } = require('../database/errors');
+
+/**
+ * Limitación de intentos de inicio de sesión
+ *
+ * Los fallos se cuentan por cuenta (correo normalizado, exista o no el usuario) y por
+ * cliente (IP u otro identificador que indique quien llama) en la tabla login_throttle.
+ * A partir de cierto número de fallos cada nuevo intento debe esperar un retraso que
+ * se duplica con cada fallo, y al llegar al máximo el inicio de sesión se bloquea
+ * temporalmente. Los fallos caducan tras una ventana sin intentos fallidos.
+ *
+ * Todas las funciones reciben cualquier objeto con query() y dialect (Database o Transaction).
+ */
+
+const MINUTE = 60 * 1000;
+
+const settings = {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+    clientMaxFailures: parseInt(process.env.LOGIN_CLIENT_MAX_FAILURES, 10) || 20,
+    lockoutDuration: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * MINUTE,
+    failureWindow: (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15) * MINUTE,
+    delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 2,
+    baseDelay: parseInt(process.env.LOGIN_DELAY_BASE_MS, 10) || 1000,
+    maxDelay: parseInt(process.env.LOGIN_DELAY_MAX_MS, 10) || 30000
+};
+
+/**
+ * Cambia la política de limitación
+ * @param {Object} options - Opciones
+ * @param {number} options.maxFailures - Fallos de una cuenta antes del bloqueo
+ * @param {number} options.clientMaxFailures - Fallos de un cliente antes del bloqueo
+ * @param {number} options.lockoutDuration - Milisegundos de bloqueo
+ * @param {number} options.failureWindow - Milisegundos tras los que caducan los fallos
+ * @param {number} options.delayAfter - Fallos a partir de los que se exige un retraso
+ * @param {number} options.baseDelay - Retraso inicial en milisegundos
+ * @param {number} options.maxDelay - Retraso máximo en milisegundos
+ */
+function configure(options = {}) {
+    Object.keys(settings).forEach(key => {
+        if (options[key] !== undefined) {
+            settings[key] = options[key];
+        }
+    });
+}
+
+/**
+ * Normaliza el correo usado como clave de la cuenta
+ * @param {string} email - Correo electrónico
+ * @returns {string} - Correo en minúsculas y sin espacios
+ */
+function accountKey(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Claves a revisar para un intento de inicio de sesión
+ * @param {string} email - Correo electrónico
+ * @param {string|null} clientKey - Identificador del cliente (opcional)
+ * @returns {Array<Array<string>>} - Pares [scope, clave]
+ */
+function getKeys(email, clientKey) {
+    const keys = [['account', accountKey(email)]];
+    if (clientKey) {
+        keys.push(['client', String(clientKey)]);
+    }
+    return keys;
+}
+
+/**
+ * Retraso exigido tras un número de fallos consecutivos
+ * @param {number} failures - Fallos registrados
+ * @returns {number} - Milisegundos de espera
+ */
+function getDelay(failures) {
+    if (failures < settings.delayAfter) {
+        return 0;
+    }
+    return Math.min(settings.maxDelay, settings.baseDelay * Math.pow(2, failures - settings.delayAfter));
+}
+
+/**
+ * Obtiene el estado de limitación de una clave
+ * @param {Object} db - Database o Transaction
+ * @param {string} scope - 'account' o 'client'
+ * @param {string} key - Correo (cuenta) o identificador del cliente
+ * @param {Date} now - Momento de referencia
+ * @returns {Promise<Object>} - failures, lastFailureAt, lockedUntil, retryAt y locked
+ */
+async function getState(db, scope, key, now = new Date()) {
+    const results = await db.query(
+        'SELECT failures, last_failure_at, locked_until FROM login_throttle WHERE scope = ? AND throttle_key = ?',
+        [scope, scope === 'account' ? accountKey(key) : key],
+        { label: 'loginThrottle.getState' }
+    );
+    const row = results[0];
+
+    // Los fallos fuera de la ventana ya no cuentan
+    const expired = !row || !row.last_failure_at || now - new Date(row.last_failure_at) > settings.failureWindow;
+    const failures = expired ? 0 : row.failures;
+    const lockedUntil = row && row.locked_until && new Date(row.locked_until) > now ? new Date(row.locked_until) : null;
+    const delayUntil = failures > 0 ? new Date(new Date(row.last_failure_at).getTime() + getDelay(failures)) : null;
+
+    let retryAt = lockedUntil;
+    if (!retryAt && delayUntil && delayUntil > now) {
+        retryAt = delayUntil;
+    }
+
+    return {
+        scope: scope,
+        failures: failures,
+        lastFailureAt: row && row.last_failure_at ? new Date(row.last_failure_at) : null,
+        lockedUntil: lockedUntil,
+        retryAt: retryAt,
+        locked: lockedUntil !== null
+    };
+}
+
+/**
+ * Verifica que se pueda intentar iniciar sesión
+ * @param {Object} db - Database o Transaction
+ * @param {string} email - Correo electrónico
+ * @param {string|null} clientKey - Identificador del cliente (opcional)
+ * @param {Date} now - Momento de referencia
+ * @returns {Promise<void>}
+ * @throws {LockoutError} - Si la cuenta o el cliente están bloqueados o deben esperar
+ */
+async function check(db, email, clientKey = null, now = new Date()) {
+    for (const [scope, key] of getKeys(email, clientKey)) {
+        const state = await getState(db, scope, key, now);
+        if (state.retryAt) {
+            throw createLockoutError(state);
+        }
+    }
+}
+
+/**
+ * Registra un intento fallido y bloquea la clave si alcanzó el máximo de fallos
+ * @param {Object} db - Database o Transaction
+ * @param {string} email - Correo electrónico
+ * @param {string|null} clientKey - Identificador del cliente (opcional)
+ * @param {Date} now - Momento del fallo
+ * @returns {Promise<Array<Object>>} - Estado resultante de cada clave
+ */
+async function recordFailure(db, email, clientKey = null, now = new Date()) {
+    const windowStart = new Date(now.getTime() - settings.failureWindow);
+    const upsert = db.dialect === 'sqlite'
+        ? 'ON CONFLICT (scope, throttle_key) DO UPDATE SET'
+        : 'ON DUPLICATE KEY UPDATE';
+    const states = [];
+
+    for (const [scope, key] of getKeys(email, clientKey)) {
+        // El contador se reinicia si el último fallo quedó fuera de la ventana
+        await db.query(`
+            INSERT INTO login_throttle (scope, throttle_key, failures, last_failure_at)
+            VALUES (?, ?, 1, ?)
+            ${upsert}
+                failures = CASE WHEN last_failure_at IS NULL OR last_failure_at < ? THEN 1 ELSE failures + 1 END,
+                last_failure_at = ?
+        `, [scope, key, now, windowStart, now], { label: 'loginThrottle.recordFailure' });
+
+        let state = await getState(db, scope, key, now);
+        const maxFailures = scope === 'account' ? settings.maxFailures : settings.clientMaxFailures;
+
+        if (state.failures >= maxFailures && !state.locked) {
+            await db.query(
+                'UPDATE login_throttle SET locked_until = ?, failures = 0 WHERE scope = ? AND throttle_key = ?',
+                [new Date(now.getTime() + settings.lockoutDuration), scope, key],
+                { label: 'loginThrottle.recordFailure' }
+            );
+            state = await getState(db, scope, key, now);
+        }
+
+        states.push(state);
+    }
+
+    return states;
+}
+
+/**
+ * Limpia los fallos y el bloqueo de una cuenta tras un inicio de sesión correcto
+ * Los fallos del cliente se conservan para no premiar a quien prueba muchas cuentas
+ * @param {Object} db - Database o Transaction
+ * @param {string} email - Correo electrónico
+ * @returns {Promise<void>}
+ */
+async function recordSuccess(db, email) {
+    await db.query(
+        "DELETE FROM login_throttle WHERE scope = 'account' AND throttle_key = ?",
+        [accountKey(email)],
+        { label: 'loginThrottle.recordSuccess' }
+    );
+}
+
+/**
+ * Desbloquea una cuenta o un cliente y borra sus fallos
+ * @param {Object} db - Database o Transaction
+ * @param {string} scope - 'account' o 'client'
+ * @param {string} key - Correo (cuenta) o identificador del cliente
+ * @returns {Promise<boolean>} - True si había fallos o un bloqueo registrados
+ */
+async function unlock(db, scope, key) {
+    const result = await db.query(
+        'DELETE FROM login_throttle WHERE scope = ? AND throttle_key = ?',
+        [scope, scope === 'account' ? accountKey(key) : key],
+        { label: 'loginThrottle.unlock' }
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Crea el error correspondiente al estado de una clave
+ * @param {Object} state - Estado devuelto por getState()
+ * @returns {LockoutError}
+ */
+function createLockoutError(state) {
+    const subject = state.scope === 'account' ? 'La cuenta está bloqueada' : 'El cliente está bloqueado';
+    const message = state.locked
+        ? `${subject} por demasiados intentos fallidos hasta ${state.lockedUntil.toLocaleString()}`
+        : `Demasiados intentos fallidos; espere hasta ${state.retryAt.toLocaleTimeString()} para volver a intentarlo`;
+
+    return new LockoutError(message, {
+        details: {
+            scope: state.scope,
+            reason: state.locked ? 'lockout' : 'delay',
+            retryAt: state.retryAt,
+            failures: state.failures
+        }
+    });
+}
+
+module.exports = {
+    configure,
+    settings,
+    getState,
+    check,
+    recordFailure,
+    recordSuccess,
+    unlock,
+    createLockoutError
+};
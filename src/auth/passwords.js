@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+/**
+ * Hash de contraseñas con formato versionado
+ *
+ * Formato: $scrypt$v=1$N=<costo>,r=<bloque>,p=<paralelismo>$<sal base64>$<hash base64>
+ * El algoritmo, el costo y la sal viajan con el hash, por lo que se puede aumentar el costo
+ * sin invalidar los hashes existentes. También se verifican los hashes heredados
+ * "<sal hex>:<hash hex>" (PBKDF2-SHA512 con 1000 iteraciones), que needsRehash() marca
+ * como obsoletos.
+ */
+
+const SCRYPT_VERSION = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const SCRYPT_PATTERN = /^\$scrypt\$v=(\d+)\$N=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/;
+const LEGACY_PATTERN = /^([0-9a-f]+):([0-9a-f]+)$/;
+const LEGACY_ITERATIONS = 1000;
+
+// Costo de scrypt; se puede ajustar con variables de entorno o con configure()
+const settings = {
+    cost: parseInt(process.env.PASSWORD_SCRYPT_COST, 10) || 16384,
+    blockSize: parseInt(process.env.PASSWORD_SCRYPT_BLOCK_SIZE, 10) || 8,
+    parallelization: parseInt(process.env.PASSWORD_SCRYPT_PARALLELIZATION, 10) || 1
+};
+
+/**
+ * Cambia el costo de scrypt para los hashes nuevos
+ * Los hashes con un costo distinto siguen verificándose y se marcan para rehash
+ * @param {Object} options - Opciones
+ * @param {number} options.cost - Parámetro N (potencia de 2)
+ * @param {number} options.blockSize - Parámetro r
+ * @param {number} options.parallelization - Parámetro p
+ */
+function configure(options = {}) {
+    ['cost', 'blockSize', 'parallelization'].forEach(key => {
+        if (options[key] !== undefined) {
+            settings[key] = options[key];
+        }
+    });
+}
+
+/**
+ * Deriva la clave de scrypt
+ * @param {string} password - Contraseña en texto plano
+ * @param {Buffer} salt - Sal
+ * @param {Object} params - Parámetros N, r y p
+ * @returns {Buffer} - Clave derivada
+ */
+function scrypt(password, salt, params) {
+    return crypto.scryptSync(password, salt, KEY_LENGTH, {
+        N: params.N,
+        r: params.r,
+        p: params.p,
+        maxmem: 256 * params.N * params.r
+    });
+}
+
+/**
+ * Crea el hash de una contraseña con el costo configurado
+ * @param {string} password - Contraseña en texto plano
+ * @returns {string} - Hash en formato versionado
+ */
+function hashPassword(password) {
+    const params = { N: settings.cost, r: settings.blockSize, p: settings.parallelization };
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = scrypt(password, salt, params);
+
+    return `$scrypt$v=${SCRYPT_VERSION}$N=${params.N},r=${params.r},p=${params.p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Compara dos buffers en tiempo constante
+ * @param {Buffer} a - Primer buffer
+ * @param {Buffer} b - Segundo buffer
+ * @returns {boolean} - True si son iguales
+ */
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verifica si una contraseña coincide con un hash (versionado o heredado)
+ * @param {string} password - Contraseña en texto plano
+ * @param {string} storedHash - Hash almacenado
+ * @returns {boolean} - True si la contraseña es correcta
+ */
+function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') {
+        return false;
+    }
+
+    const scryptMatch = SCRYPT_PATTERN.exec(storedHash);
+    if (scryptMatch) {
+        const [, , N, r, p, salt, hash] = scryptMatch;
+        const expected = Buffer.from(hash, 'base64');
+        const actual = scrypt(password, Buffer.from(salt, 'base64'), {
+            N: parseInt(N, 10),
+            r: parseInt(r, 10),
+            p: parseInt(p, 10)
+        });
+        return safeEqual(actual, expected);
+    }
+
+    const legacyMatch = LEGACY_PATTERN.exec(storedHash);
+    if (legacyMatch) {
+        const [, salt, hash] = legacyMatch;
+        const actual = crypto.pbkdf2Sync(password, salt, LEGACY_ITERATIONS, KEY_LENGTH, 'sha512');
+        return safeEqual(actual, Buffer.from(hash, 'hex'));
+    }
+
+    return false;
+}
+
+/**
+ * Indica si un hash debe regenerarse: formato heredado, otra versión u otro costo
+ * @param {string} storedHash - Hash almacenado
+ * @returns {boolean} - True si el hash está desactualizado
+ */
+function needsRehash(storedHash) {
+    const match = SCRYPT_PATTERN.exec(storedHash || '');
+    if (!match) {
+        return true;
+    }
+
+    const [, version, N, r, p] = match;
+    return parseInt(version, 10) !== SCRYPT_VERSION ||
+        parseInt(N, 10) !== settings.cost ||
+        parseInt(r, 10) !== settings.blockSize ||
+        parseInt(p, 10) !== settings.parallelization;
+}
+
+module.exports = {
+    configure,
+    hashPassword,
+    verifyPassword,
+    needsRehash
+};
@@ -0,0 +1,106 @@
+const { PermissionError } = require('../database/errors');
+
+/**
+ * Roles y permisos
+ *
+ * Cada rol otorga una lista de permisos con la forma "<entidad>:<acción>". Los permisos
+ * terminados en ":own" solo aplican a registros del propio usuario; por ejemplo, un
+ * colaborador puede editar sus frases mientras sigan en borrador.
+ *
+ * Los métodos de los modelos que modifican datos reciben el usuario que actúa; si no se
+ * indica la operación se rechaza. Los procesos de confianza (scripts, tareas programadas)
+ * actúan como SYSTEM, que tiene todos los permisos.
+ */
+
+const PERMISSIONS = {
+    'frase:create': 'Crear frases',
+    'frase:edit': 'Editar cualquier frase',
+    'frase:edit:own': 'Editar sus propias frases en borrador',
+    'frase:publish': 'Publicar, programar o despublicar cualquier frase',
+    'frase:delete': 'Eliminar cualquier frase',
+    'frase:delete:own': 'Eliminar sus propias frases en borrador',
+    'categoria:manage': 'Crear y editar categorías',
+    'categoria:delete': 'Eliminar categorías',
+    'usuario:manage': 'Administrar usuarios y sus roles'
+};
+
+const ROLES = {
+    admin: {
+        nombre: 'Administrador',
+        permisos: Object.keys(PERMISSIONS)
+    },
+    editor: {
+        nombre: 'Editor',
+        permisos: ['frase:create', 'frase:edit', 'frase:publish', 'frase:delete', 'categoria:manage']
+    },
+    moderator: {
+        nombre: 'Moderador',
+        permisos: ['frase:create', 'frase:edit', 'frase:delete']
+    },
+    contributor: {
+        nombre: 'Colaborador',
+        permisos: ['frase:create', 'frase:edit:own', 'frase:delete:own']
+    }
+};
+
+const DEFAULT_ROLE = 'contributor';
+
+// Actor de los procesos internos de confianza; se compara por identidad, así que un
+// objeto con la misma forma no obtiene sus permisos
+const SYSTEM = Object.freeze({ id_user: null, nombre: 'Sistema', rol: null });
+
+/**
+ * Indica si un rol existe
+ * @param {string} rol - Clave del rol
+ * @returns {boolean}
+ */
+function isRole(rol) {
+    return Object.prototype.hasOwnProperty.call(ROLES, rol);
+}
+
+/**
+ * Indica si un usuario tiene un permiso
+ * @param {Object|null} actor - Usuario que actúa (con rol) o SYSTEM
+ * @param {string} permission - Permiso, por ejemplo 'frase:publish'
+ * @returns {boolean} - True si el rol del usuario otorga el permiso; false si no hay usuario
+ */
+function can(actor, permission) {
+    if (!actor) {
+        return false;
+    }
+    if (actor === SYSTEM) {
+        return true;
+    }
+    return isRole(actor.rol) && ROLES[actor.rol].permisos.includes(permission);
+}
+
+/**
+ * Verifica que un usuario tenga alguno de los permisos indicados
+ * @param {Object|null} actor - Usuario que actúa
+ * @param {string|Array<string>} permissions - Permiso o lista de permisos alternativos
+ * @param {string} message - Mensaje del error (opcional)
+ * @throws {PermissionError} - Si no tiene ninguno de los permisos
+ */
+function assert(actor, permissions, message = null) {
+    const list = Array.isArray(permissions) ? permissions : [permissions];
+    if (list.some(permission => can(actor, permission))) {
+        return;
+    }
+
+    throw new PermissionError(message || `No tiene permisos para realizar esta operación (${list.join(' o ')})`, {
+        details: {
+            permissions: list,
+            rol: actor ? actor.rol : null
+        }
+    });
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    DEFAULT_ROLE,
+    SYSTEM,
+    isRole,
+    can,
+    assert
+};
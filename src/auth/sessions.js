@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+
+/**
+ * Sesiones firmadas con HMAC
+ *
+ * Formato del token: <id de sesión>.<id de usuario>.<expiración en segundos>.<firma>
+ * La firma (HMAC-SHA256 en base64url) cubre los tres primeros campos, por lo que un token
+ * alterado se rechaza sin consultar la base de datos. La fila de la tabla sesion permite
+ * cerrar una sesión o todas las de un usuario antes de que expiren.
+ *
+ * Las funciones que consultan la base de datos reciben cualquier objeto con query()
+ * (Database o Transaction).
+ */
+
+const TOKEN_PATTERN = /^([0-9a-f]{32})\.(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/;
+
+const settings = {
+    secret: process.env.SESSION_SECRET || null,
+    ttl: (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000
+};
+
+// Sin SESSION_SECRET se usa un secreto aleatorio: los tokens dejan de valer al reiniciar el proceso
+let ephemeralSecret = null;
+
+/**
+ * Cambia el secreto o la duración de las sesiones
+ * @param {Object} options - Opciones
+ * @param {string} options.secret - Secreto para firmar los tokens
+ * @param {number} options.ttl - Milisegundos de validez de una sesión
+ */
+function configure(options = {}) {
+    ['secret', 'ttl'].forEach(key => {
+        if (options[key] !== undefined) {
+            settings[key] = options[key];
+        }
+    });
+}
+
+/**
+ * Obtiene el secreto de firma
+ * @returns {string} - Secreto configurado o el secreto aleatorio del proceso
+ */
+function getSecret() {
+    if (settings.secret) {
+        return settings.secret;
+    }
+
+    ephemeralSecret = ephemeralSecret || crypto.randomBytes(32).toString('hex');
+    return ephemeralSecret;
+}
+
+/**
+ * Firma el contenido de un token
+ * @param {string} payload - Contenido a firmar
+ * @returns {string} - Firma en base64url
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Decodifica un token y verifica su firma y expiración (sin consultar la base de datos)
+ * @param {string} token - Token de sesión
+ * @param {Date} now - Momento de referencia
+ * @returns {Object|null} - id_session, id_user y expires_at, o null si el token no es válido
+ */
+function decode(token, now = new Date()) {
+    const match = TOKEN_PATTERN.exec(typeof token === 'string' ? token : '');
+    if (!match) {
+        return null;
+    }
+
+    const [, sessionId, userId, expires, signature] = match;
+    const expected = Buffer.from(sign(`${sessionId}.${userId}.${expires}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    const expiresAt = new Date(parseInt(expires, 10) * 1000);
+    if (expiresAt <= now) {
+        return null;
+    }
+
+    return {
+        id_session: sessionId,
+        id_user: parseInt(userId, 10),
+        expires_at: expiresAt
+    };
+}
+
+/**
+ * Crea una sesión para un usuario y devuelve su token firmado
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @param {Object} options - Opciones
+ * @param {string} options.clientKey - Identificador del cliente que inicia sesión
+ * @param {number} options.ttl - Milisegundos de validez (por defecto, los configurados)
+ * @returns {Promise<Object>} - token, id_session y expires_at
+ */
+async function create(db, userId, options = {}) {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const ttl = options.ttl || settings.ttl;
+    const expires = Math.floor((Date.now() + ttl) / 1000);
+    const expiresAt = new Date(expires * 1000);
+
+    await db.query(
+        'INSERT INTO sesion (id_session, id_user, client_key, expires_at) VALUES (?, ?, ?, ?)',
+        [sessionId, userId, options.clientKey || null, expiresAt],
+        { label: 'sessions.create' }
+    );
+
+    const payload = `${sessionId}.${userId}.${expires}`;
+    return {
+        token: `${payload}.${sign(payload)}`,
+        id_session: sessionId,
+        expires_at: expiresAt
+    };
+}
+
+/**
+ * Verifica un token contra la tabla de sesiones y registra su último uso
+ * @param {Object} db - Database o Transaction
+ * @param {string} token - Token de sesión
+ * @param {Date} now - Momento de referencia
+ * @returns {Promise<Object|null>} - id_session, id_user y expires_at, o null si no es válido
+ */
+async function verify(db, token, now = new Date()) {
+    const decoded = decode(token, now);
+    if (!decoded) {
+        return null;
+    }
+
+    const result = await db.query(`
+        UPDATE sesion SET last_used_at = ?
+        WHERE id_session = ? AND id_user = ? AND revoked_at IS NULL AND expires_at > ?
+    `, [now, decoded.id_session, decoded.id_user, now], { label: 'sessions.verify' });
+
+    return result.affectedRows === 1 ? decoded : null;
+}
+
+/**
+ * Cierra una sesión
+ * @param {Object} db - Database o Transaction
+ * @param {string} sessionId - ID de la sesión
+ * @returns {Promise<boolean>} - True si la sesión estaba abierta
+ */
+async function revoke(db, sessionId) {
+    const result = await db.query(
+        'UPDATE sesion SET revoked_at = ? WHERE id_session = ? AND revoked_at IS NULL',
+        [new Date(), sessionId],
+        { label: 'sessions.revoke' }
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Cierra todas las sesiones abiertas de un usuario
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @param {string|null} exceptSessionId - Sesión que se conserva (por ejemplo, la actual)
+ * @returns {Promise<number>} - Número de sesiones cerradas
+ */
+async function revokeAll(db, userId, exceptSessionId = null) {
+    const result = await db.query(`
+        UPDATE sesion SET revoked_at = ?
+        WHERE id_user = ? AND revoked_at IS NULL AND id_session <> ?
+    `, [new Date(), userId, exceptSessionId || ''], { label: 'sessions.revokeAll' });
+    return result.affectedRows;
+}
+
+module.exports = {
+    configure,
+    decode,
+    create,
+    verify,
+    revoke,
+    revokeAll
+};
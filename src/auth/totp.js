@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+/**
+ * Contraseñas de un solo uso basadas en tiempo (TOTP, RFC 6238)
+ *
+ * El código es un HOTP (RFC 4226, HMAC-SHA1 truncado a 6 dígitos) calculado sobre el
+ * número de intervalos de 30 segundos transcurridos desde 1970. El secreto se comparte
+ * con la aplicación de autenticación en base32 mediante una URI otpauth://.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+    digits: 6,
+    period: 30,
+    window: 1
+};
+
+/**
+ * Codifica bytes en base32 (RFC 4648, sin relleno)
+ * @param {Buffer} buffer - Bytes a codificar
+ * @returns {string} - Texto en base32
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decodifica texto en base32; ignora espacios, guiones y relleno
+ * @param {string} text - Texto en base32
+ * @returns {Buffer} - Bytes decodificados
+ * @throws {Error} - Si el texto contiene caracteres fuera del alfabeto
+ */
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Carácter base32 no válido: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Genera un secreto aleatorio de 160 bits
+ * @returns {string} - Secreto en base32
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcula el intervalo de tiempo al que pertenece un momento
+ * @param {Date} now - Momento de referencia
+ * @returns {number} - Número de intervalo
+ */
+function getStep(now = new Date()) {
+    return Math.floor(now.getTime() / 1000 / DEFAULTS.period);
+}
+
+/**
+ * Calcula el código HOTP de un intervalo
+ * @param {string} secret - Secreto en base32
+ * @param {number} step - Número de intervalo
+ * @returns {string} - Código de 6 dígitos
+ */
+function generateForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** DEFAULTS.digits)).padStart(DEFAULTS.digits, '0');
+}
+
+/**
+ * Calcula el código vigente
+ * @param {string} secret - Secreto en base32
+ * @param {Date} now - Momento de referencia
+ * @returns {string} - Código de 6 dígitos
+ */
+function generate(secret, now = new Date()) {
+    return generateForStep(secret, getStep(now));
+}
+
+/**
+ * Verifica un código admitiendo un intervalo de desfase del reloj en cada sentido
+ * @param {string} secret - Secreto en base32
+ * @param {string} code - Código ingresado por el usuario
+ * @param {Object} options - Opciones
+ * @param {Date} options.now - Momento de referencia
+ * @param {number|null} options.afterStep - Rechazar intervalos iguales o anteriores (ya usados)
+ * @returns {number|null} - Intervalo del código, o null si no es válido
+ */
+function verify(secret, code, options = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== DEFAULTS.digits) {
+        return null;
+    }
+
+    const current = getStep(options.now || new Date());
+    const afterStep = options.afterStep === undefined || options.afterStep === null ? -Infinity : Number(options.afterStep);
+    const actual = Buffer.from(normalized);
+
+    for (let step = current - DEFAULTS.window; step <= current + DEFAULTS.window; step++) {
+        if (step <= afterStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(generateForStep(secret, step)), actual)) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Construye la URI otpauth:// que las aplicaciones de autenticación leen como código QR
+ * @param {Object} options - Opciones
+ * @param {string} options.secret - Secreto en base32
+ * @param {string} options.account - Cuenta, por ejemplo el correo del usuario
+ * @param {string} options.issuer - Nombre del emisor que muestra la aplicación
+ * @returns {string} - URI otpauth
+ */
+function buildUri(options) {
+    const label = encodeURIComponent(`${options.issuer}:${options.account}`);
+    const params = new URLSearchParams({
+        secret: options.secret,
+        issuer: options.issuer,
+        algorithm: 'SHA1',
+        digits: String(DEFAULTS.digits),
+        period: String(DEFAULTS.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getStep,
+    generate,
+    verify,
+    buildUri
+};
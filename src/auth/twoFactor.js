@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const totp = require('./totp');
+
+/**
+ * Autenticación en dos pasos (TOTP) y códigos de recuperación
+ *
+ * La activación tiene dos fases: begin() guarda un secreto pendiente y devuelve la URI
+ * otpauth para la aplicación de autenticación; confirm() lo activa cuando el usuario
+ * ingresa un código correcto y emite los códigos de recuperación. Cada código TOTP se
+ * acepta una sola vez (se guarda el último intervalo usado) y los códigos de
+ * recuperación se guardan como hash SHA-256 y se marcan al usarse.
+ *
+ * La política puede exigir la autenticación en dos pasos a los administradores
+ * (TWO_FACTOR_REQUIRED_FOR_ADMIN=true).
+ *
+ * Las funciones reciben cualquier objeto con query() (Database o Transaction).
+ */
+
+const settings = {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'GratiDay',
+    requiredForAdmin: process.env.TWO_FACTOR_REQUIRED_FOR_ADMIN === 'true',
+    recoveryCodes: 10
+};
+
+/**
+ * Cambia la configuración de la autenticación en dos pasos
+ * @param {Object} options - Opciones
+ * @param {string} options.issuer - Emisor que muestra la aplicación de autenticación
+ * @param {boolean} options.requiredForAdmin - Exigir la autenticación en dos pasos al rol admin
+ * @param {number} options.recoveryCodes - Número de códigos de recuperación emitidos
+ */
+function configure(options = {}) {
+    if (options.issuer !== undefined) {
+        settings.issuer = options.issuer;
+    }
+    if (options.requiredForAdmin !== undefined) {
+        settings.requiredForAdmin = Boolean(options.requiredForAdmin);
+    }
+    if (options.recoveryCodes !== undefined) {
+        settings.recoveryCodes = options.recoveryCodes;
+    }
+}
+
+/**
+ * Indica si la política exige la autenticación en dos pasos a un usuario
+ * @param {Object} usuario - Usuario con rol
+ * @returns {boolean}
+ */
+function isRequired(usuario) {
+    return settings.requiredForAdmin && usuario.rol === 'admin';
+}
+
+/**
+ * Normaliza y calcula el hash de un código de recuperación
+ * @param {string} code - Código con o sin guion
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Obtiene la configuración de dos pasos de un usuario
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @returns {Promise<Object|null>} - secret, enabled_at y last_used_step, o null si no tiene
+ */
+async function getState(db, userId) {
+    const results = await db.query(
+        'SELECT secret, enabled_at, last_used_step FROM usuario_two_factor WHERE id_user = ?',
+        [userId],
+        { label: 'twoFactor.getState' }
+    );
+    return results[0] || null;
+}
+
+/**
+ * Indica si un usuario tiene activa la autenticación en dos pasos
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @returns {Promise<boolean>}
+ */
+async function isEnabled(db, userId) {
+    const state = await getState(db, userId);
+    return Boolean(state && state.enabled_at);
+}
+
+/**
+ * Genera un secreto pendiente de confirmar (reemplaza cualquier secreto pendiente anterior)
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @param {string} account - Cuenta que muestra la aplicación, por ejemplo el correo
+ * @returns {Promise<Object>} - secret (base32) y uri (otpauth://)
+ */
+async function begin(db, userId, account) {
+    const secret = totp.generateSecret();
+
+    await db.query('DELETE FROM usuario_two_factor WHERE id_user = ?', [userId], { label: 'twoFactor.begin' });
+    await db.query(
+        'INSERT INTO usuario_two_factor (id_user, secret) VALUES (?, ?)',
+        [userId, secret],
+        { label: 'twoFactor.begin' }
+    );
+
+    return {
+        secret: secret,
+        uri: totp.buildUri({ secret: secret, account: account, issuer: settings.issuer })
+    };
+}
+
+/**
+ * Registra el uso de un intervalo TOTP; falla si ese intervalo o uno posterior ya se usó
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @param {number} step - Intervalo del código
+ * @param {Date|null} enabledAt - Fecha de activación a guardar (al confirmar)
+ * @returns {Promise<boolean>} - True si el intervalo no se había usado
+ */
+async function useStep(db, userId, step, enabledAt = null) {
+    const result = await db.query(`
+        UPDATE usuario_two_factor
+        SET last_used_step = ?, enabled_at = COALESCE(enabled_at, ?)
+        WHERE id_user = ? AND (last_used_step IS NULL OR last_used_step < ?)
+    `, [step, enabledAt, userId, step], { label: 'twoFactor.useStep' });
+    return result.affectedRows === 1;
+}
+
+/**
+ * Activa el secreto pendiente si el código es correcto y emite los códigos de recuperación
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @param {string} code - Código de la aplicación de autenticación
+ * @param {Date} now - Momento de referencia
+ * @returns {Promise<Array<string>|null>} - Códigos de recuperación, o null si el código no es
+ * válido o no hay un secreto pendiente
+ */
+async function confirm(db, userId, code, now = new Date()) {
+    const state = await getState(db, userId);
+    if (!state || state.enabled_at) {
+        return null;
+    }
+
+    const step = totp.verify(state.secret, code, { now: now, afterStep: state.last_used_step });
+    if (step === null || !await useStep(db, userId, step, now)) {
+        return null;
+    }
+
+    return generateRecoveryCodes(db, userId);
+}
+
+/**
+ * Verifica un código de la aplicación o un código de recuperación
+ * Un código aceptado ya no vuelve a aceptarse
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @param {string} code - Código de 6 dígitos o código de recuperación
+ * @param {Date} now - Momento de referencia
+ * @returns {Promise<string|null>} - 'totp' o 'recovery' según el código usado, o null si no es válido
+ */
+async function verifyCode(db, userId, code, now = new Date()) {
+    const state = await getState(db, userId);
+    if (!state || !state.enabled_at || typeof code !== 'string' || code.trim().length === 0) {
+        return null;
+    }
+
+    const step = totp.verify(state.secret, code, { now: now, afterStep: state.last_used_step });
+    if (step !== null) {
+        return await useStep(db, userId, step) ? 'totp' : null;
+    }
+
+    const result = await db.query(
+        'UPDATE usuario_recovery_code SET used_at = ? WHERE id_user = ? AND code_hash = ? AND used_at IS NULL',
+        [now, userId, hashRecoveryCode(code)],
+        { label: 'twoFactor.verifyCode' }
+    );
+    return result.affectedRows === 1 ? 'recovery' : null;
+}
+
+/**
+ * Emite códigos de recuperación nuevos e invalida los anteriores
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @returns {Promise<Array<string>>} - Códigos en texto plano (solo se muestran esta vez)
+ */
+async function generateRecoveryCodes(db, userId) {
+    const codes = [];
+    for (let i = 0; i < settings.recoveryCodes; i++) {
+        const hex = crypto.randomBytes(5).toString('hex');
+        codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+    }
+
+    await db.query('DELETE FROM usuario_recovery_code WHERE id_user = ?', [userId], { label: 'twoFactor.generateRecoveryCodes' });
+    for (const code of codes) {
+        await db.query(
+            'INSERT INTO usuario_recovery_code (id_user, code_hash) VALUES (?, ?)',
+            [userId, hashRecoveryCode(code)],
+            { label: 'twoFactor.generateRecoveryCodes' }
+        );
+    }
+
+    return codes;
+}
+
+/**
+ * Cuenta los códigos de recuperación sin usar
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @returns {Promise<number>}
+ */
+async function countRecoveryCodes(db, userId) {
+    const results = await db.query(
+        'SELECT COUNT(*) AS total FROM usuario_recovery_code WHERE id_user = ? AND used_at IS NULL',
+        [userId],
+        { label: 'twoFactor.countRecoveryCodes' }
+    );
+    return Number(results[0].total);
+}
+
+/**
+ * Elimina el secreto y los códigos de recuperación de un usuario
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @returns {Promise<boolean>} - True si tenía configurada la autenticación en dos pasos
+ */
+async function disable(db, userId) {
+    await db.query('DELETE FROM usuario_recovery_code WHERE id_user = ?', [userId], { label: 'twoFactor.disable' });
+    const result = await db.query('DELETE FROM usuario_two_factor WHERE id_user = ?', [userId], { label: 'twoFactor.disable' });
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    configure,
+    settings,
+    isRequired,
+    getState,
+    isEnabled,
+    begin,
+    confirm,
+    verifyCode,
+    generateRecoveryCodes,
+    countRecoveryCodes,
+    disable
+};
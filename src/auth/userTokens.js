@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+/**
+ * Tokens de un solo uso (restablecimiento de contraseña y verificación del correo
+ * electrónico, enviados por correo, y el paso pendiente de la autenticación en dos pasos)
+ *
+ * El token se entrega una sola vez al usuario; en la tabla usuario_token solo se
+ * guarda su hash SHA-256, la fecha de expiración y la fecha en que se usó. Emitir
+ * un token nuevo invalida los anteriores del mismo tipo que no se hayan usado.
+ *
+ * Las funciones reciben cualquier objeto con query() (Database o Transaction).
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const settings = {
+    ttl: {
+        password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * MINUTE,
+        email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) * HOUR,
+        two_factor: (parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES, 10) || 5) * MINUTE
+    }
+};
+
+/**
+ * Cambia la duración de los tokens por tipo
+ * @param {Object} options - Opciones
+ * @param {Object<string, number>} options.ttl - Milisegundos de validez por tipo de token
+ */
+function configure(options = {}) {
+    if (options.ttl) {
+        Object.assign(settings.ttl, options.ttl);
+    }
+}
+
+/**
+ * Calcula el hash con el que se guarda un token
+ * @param {string} token - Token en texto plano
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Emite un token para un usuario e invalida los anteriores del mismo tipo
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @param {string} type - Tipo de token: 'password_reset', 'email_verification' o 'two_factor'
+ * @param {Date} now - Momento de emisión
+ * @returns {Promise<Object>} - token (en texto plano) y expires_at
+ */
+async function issue(db, userId, type, now = new Date()) {
+    if (!settings.ttl[type]) {
+        throw new Error(`Tipo de token desconocido: ${type}`);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + settings.ttl[type]);
+
+    await invalidate(db, userId, type, now);
+    await db.query(
+        'INSERT INTO usuario_token (id_user, tipo, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [userId, type, hashToken(token), expiresAt],
+        { label: 'userTokens.issue' }
+    );
+
+    return { token: token, expires_at: expiresAt };
+}
+
+/**
+ * Busca el usuario de un token vigente sin marcarlo como usado
+ * @param {Object} db - Database o Transaction
+ * @param {string} type - Tipo de token
+ * @param {string} token - Token en texto plano
+ * @param {Date} now - Momento de referencia
+ * @returns {Promise<number|null>} - ID del usuario del token, o null si no es válido
+ */
+async function find(db, type, token, now = new Date()) {
+    if (typeof token !== 'string' || token.length === 0) {
+        return null;
+    }
+
+    const results = await db.query(`
+        SELECT id_user FROM usuario_token
+        WHERE token_hash = ? AND tipo = ? AND used_at IS NULL AND expires_at > ?
+    `, [hashToken(token), type, now], { label: 'userTokens.find' });
+    return results[0] ? results[0].id_user : null;
+}
+
+/**
+ * Usa un token: lo marca como usado si existe, es del tipo indicado y no expiró
+ * Dos usos simultáneos del mismo token no pueden tener éxito a la vez
+ * @param {Object} db - Database o Transaction
+ * @param {string} type - Tipo de token
+ * @param {string} token - Token en texto plano
+ * @param {Date} now - Momento de referencia
+ * @returns {Promise<number|null>} - ID del usuario del token, o null si no es válido
+ */
+async function consume(db, type, token, now = new Date()) {
+    if (typeof token !== 'string' || token.length === 0) {
+        return null;
+    }
+
+    const results = await db.query(`
+        SELECT id_token, id_user FROM usuario_token
+        WHERE token_hash = ? AND tipo = ? AND used_at IS NULL AND expires_at > ?
+    `, [hashToken(token), type, now], { label: 'userTokens.consume' });
+    const row = results[0];
+    if (!row) {
+        return null;
+    }
+
+    const result = await db.query(
+        'UPDATE usuario_token SET used_at = ? WHERE id_token = ? AND used_at IS NULL',
+        [now, row.id_token],
+        { label: 'userTokens.consume' }
+    );
+
+    return result.affectedRows === 1 ? row.id_user : null;
+}
+
+/**
+ * Invalida los tokens sin usar de un usuario
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @param {string} type - Tipo de token
+ * @param {Date} now - Momento de referencia
+ * @returns {Promise<number>} - Número de tokens invalidados
+ */
+async function invalidate(db, userId, type, now = new Date()) {
+    const result = await db.query(
+        'UPDATE usuario_token SET used_at = ? WHERE id_user = ? AND tipo = ? AND used_at IS NULL',
+        [now, userId, type],
+        { label: 'userTokens.invalidate' }
+    );
+    return result.affectedRows;
+}
+
+/**
+ * Invalida todos los tokens sin usar de un usuario, de cualquier tipo
+ * @param {Object} db - Database o Transaction
+ * @param {number} userId - ID del usuario
+ * @param {Date} now - Momento de referencia
+ * @returns {Promise<number>} - Número de tokens invalidados
+ */
+async function invalidateAll(db, userId, now = new Date()) {
+    const result = await db.query(
+        'UPDATE usuario_token SET used_at = ? WHERE id_user = ? AND used_at IS NULL',
+        [now, userId],
+        { label: 'userTokens.invalidateAll' }
+    );
+    return result.affectedRows;
+}
+
+module.exports = {
+    configure,
+    settings,
+    hashToken,
+    issue,
+    find,
+    consume,
+    invalidate,
+    invalidateAll
+};
@@ -1,28 +1,215 @@
-const mysql = require('mysql2/promise');
+const EventEmitter = require('events');
+const Transaction = require('./Transaction');
+const { createDriver } = require('./drivers');
+const { translateDriverError } = require('./errors');
+const { DEFAULT_SENSITIVE_COLUMNS, redactParams, compactQuery, createLogger } = require('./instrumentation');
+const {
+    DEFAULT_RETRY_POLICY,
+    isConnectionError,
+    isTransientError,
+    isReadQuery,
+    getBackoffDelay,
+    sleep
+} = require('./retry');
 require('dotenv').config();
 
+const DEFAULT_INSTANCE = 'default';
+const CONNECTION_OPTIONS = ['host', 'port', 'user', 'password', 'database', 'charset'];
+const POOL_OPTIONS = ['connectionLimit', 'queueLimit', 'idleTimeout', 'maxIdle'];
+const INSTRUMENTATION_OPTIONS = ['logger', 'slowQueryThreshold', 'sensitiveColumns', 'retryPolicy'];
+const RUNTIME_OPTIONS = [...INSTRUMENTATION_OPTIONS, 'readReplica'];
+
 /**
- * Clase para gestionar la conexión a la base de datos MySQL
- * Implementa el patrón Singleton para asegurar una única conexión
+ * Lee la variable de entorno de una instancia
+ * Las instancias con nombre usan DB_<NOMBRE>_<CLAVE> (por ejemplo DB_REPLICA_HOST)
+ * y, si no está definida, la variable DB_<CLAVE> de la instancia por defecto
+ * @param {string} name - Nombre de la instancia
+ * @param {string} key - Clave de la variable, por ejemplo 'HOST'
+ * @returns {string|undefined} - Valor de la variable
  */
-class Database {
-    constructor() {
-        if (Database.instance) {
-            return Database.instance;
+function envFor(name, key) {
+    if (name !== DEFAULT_INSTANCE) {
+        const value = process.env[`DB_${name.toUpperCase().replace(/\W/g, '_')}_${key}`];
+        if (value !== undefined) {
+            return value;
+        }
+    }
+    return process.env[`DB_${key}`];
+}
+
+/**
+ * Clase para gestionar la conexión a la base de datos
+ * Mantiene una única instancia por nombre: new Database() y Database.get() devuelven
+ * la instancia por defecto, y Database.get('replica') una instancia independiente
+ * configurada con las variables DB_REPLICA_*.
+ * El almacenamiento concreto lo resuelve un driver (MySQL por defecto, o SQLite).
+ *
+ * Eventos emitidos: 'connect', 'disconnect', 'reconnect', 'connection:lost',
+ * 'query:start', 'query:end', 'query:slow', 'query:error' y 'retry'.
+ * Los parámetros de columnas sensibles llegan ya redactados a los listeners y al logger
+ */
+class Database extends EventEmitter {
+    /**
+     * @param {string} name - Nombre de la instancia (por defecto 'default')
+     */
+    constructor(name = DEFAULT_INSTANCE) {
+        if (Database.instances.has(name)) {
+            return Database.instances.get(name);
         }
 
-        this.connection = null;
+        super();
+        const env = key => envFor(name, key);
+        this.name = name;
+        this.driver = null;
+        this.transactionConnection = null;
+        this.lastInsertId = null;
+        this.driverName = env('DRIVER') || 'mysql';
         this.config = {
-            host: process.env.DB_HOST || 'localhost',
-            port: process.env.DB_PORT || 3306,
-            user: process.env.DB_USER || 'root',
-            password: process.env.DB_PASSWORD || '',
-            database: process.env.DB_NAME || 'gratiday',
-            charset: process.env.DB_CHARSET || 'utf8mb4',
+            host: env('HOST') || 'localhost',
+            port: env('PORT') || 3306,
+            user: env('USER') || 'root',
+            password: env('PASSWORD') || '',
+            database: env('NAME') || 'gratiday',
+            charset: env('CHARSET') || 'utf8mb4',
             timezone: '+00:00'
         };
+        this.pooled = env('POOL') === 'true';
+        this.poolConfig = {
+            connectionLimit: parseInt(env('POOL_SIZE'), 10) || 10,
+            queueLimit: parseInt(env('POOL_QUEUE_LIMIT'), 10) || 0,
+            idleTimeout: parseInt(env('POOL_IDLE_TIMEOUT'), 10) || 60000,
+            maxIdle: parseInt(env('POOL_MAX_IDLE'), 10) || undefined
+        };
+        this.sqliteConfig = {
+            filename: env('SQLITE_FILE') || ':memory:'
+        };
+        this.logger = createLogger(env('LOG_FORMAT'), env('LOG_LEVEL'));
+        this.slowQueryThreshold = parseInt(env('SLOW_QUERY_MS'), 10) || 1000;
+        this.sensitiveColumns = [...DEFAULT_SENSITIVE_COLUMNS];
+        this.queryCounter = 0;
+        this.connectionLost = false;
+        this.retryPolicy = {
+            retries: env('RETRY_ATTEMPTS') !== undefined
+                ? parseInt(env('RETRY_ATTEMPTS'), 10)
+                : DEFAULT_RETRY_POLICY.retries,
+            baseDelay: parseInt(env('RETRY_BASE_DELAY_MS'), 10) || DEFAULT_RETRY_POLICY.baseDelay,
+            maxDelay: parseInt(env('RETRY_MAX_DELAY_MS'), 10) || DEFAULT_RETRY_POLICY.maxDelay,
+            factor: DEFAULT_RETRY_POLICY.factor
+        };
+        // Sin respaldo en DB_READ_REPLICA: la réplica de la instancia por defecto no es la de las demás
+        this.readReplica = (name === DEFAULT_INSTANCE
+            ? process.env.DB_READ_REPLICA
+            : process.env[`DB_${name.toUpperCase().replace(/\W/g, '_')}_READ_REPLICA`]) || null;
+
+        Database.instances.set(name, this);
+    }
+
+    /**
+     * Obtiene (o crea) la instancia con el nombre indicado
+     * @param {string} name - Nombre de la instancia (por defecto 'default')
+     * @returns {Database} - Instancia con ese nombre
+     */
+    static get(name = DEFAULT_INSTANCE) {
+        return new Database(name);
+    }
 
-        Database.instance = this;
+    /**
+     * Cierra las conexiones de todas las instancias creadas
+     * @returns {Promise<void>}
+     */
+    static async disconnectAll() {
+        for (const db of Database.instances.values()) {
+            await db.disconnect();
+        }
+    }
+
+    /**
+     * Dialecto SQL del driver configurado
+     * @returns {string} - 'mysql' o 'sqlite'
+     */
+    get dialect() {
+        return this.driverName;
+    }
+
+    /**
+     * Configura el driver y el modo de conexión antes de conectar
+     * @param {Object} options - Opciones de configuración
+     * @param {string} options.driver - Driver de almacenamiento ('mysql' o 'sqlite')
+     * @param {string} options.host - Servidor de MySQL (también port, user, password, database y charset)
+     * @param {string} options.filename - Archivo de SQLite o ':memory:'
+     * @param {string|null} options.schemaFile - Script de esquema que SQLite aplica al conectar
+     * @param {boolean} options.pooled - Si true, usa un pool de conexiones (MySQL)
+     * @param {number} options.connectionLimit - Tamaño máximo del pool
+     * @param {number} options.queueLimit - Máximo de peticiones en espera (0 = sin límite)
+     * @param {number} options.idleTimeout - Milisegundos antes de cerrar una conexión inactiva
+     * @param {number} options.maxIdle - Máximo de conexiones inactivas que se conservan
+     * @param {Object} options.logger - Logger con método log(level, event, data)
+     * @param {number} options.slowQueryThreshold - Milisegundos a partir de los que una consulta es lenta
+     * @param {Array<string>} options.sensitiveColumns - Columnas cuyos parámetros se redactan en los logs
+     * @param {Object} options.retryPolicy - Reintentos: retries, baseDelay, maxDelay y factor
+     * @param {string|Database|null} options.readReplica - Réplica (nombre o instancia) para las lecturas de listados y estadísticas
+     * @returns {Database} - La instancia configurada
+     */
+    configure(options = {}) {
+        // La instrumentación, los reintentos y la réplica pueden cambiarse en cualquier momento
+        RUNTIME_OPTIONS.forEach(key => {
+            if (options[key] !== undefined) {
+                this[key] = key === 'retryPolicy' ? { ...this.retryPolicy, ...options[key] } : options[key];
+            }
+        });
+
+        if (Object.keys(options).every(key => RUNTIME_OPTIONS.includes(key))) {
+            return this;
+        }
+
+        if (this.isConnected()) {
+            throw new Error('No se puede reconfigurar la base de datos con una conexión activa');
+        }
+
+        if (options.driver !== undefined) {
+            this.driverName = options.driver;
+        }
+
+        if (options.pooled !== undefined) {
+            this.pooled = Boolean(options.pooled);
+        }
+
+        CONNECTION_OPTIONS.forEach(key => {
+            if (options[key] !== undefined) {
+                this.config[key] = options[key];
+            }
+        });
+
+        POOL_OPTIONS.forEach(key => {
+            if (options[key] !== undefined) {
+                this.poolConfig[key] = options[key];
+            }
+        });
+
+        ['filename', 'schemaFile'].forEach(key => {
+            if (options[key] !== undefined) {
+                this.sqliteConfig[key] = options[key];
+            }
+        });
+
+        this.driver = null;
+        return this;
+    }
+
+    /**
+     * Crea el driver a partir de la configuración actual
+     * @returns {Object} - Instancia del driver
+     */
+    createDriver() {
+        if (this.driverName === 'sqlite') {
+            return createDriver('sqlite', this.sqliteConfig);
+        }
+
+        return createDriver(this.driverName, {
+            connection: this.config,
+            pooled: this.pooled,
+            pool: this.poolConfig
+        });
     }
 
     /**
@@ -31,12 +218,22 @@ class Database {
      */
     async connect() {
         try {
-            if (!this.connection) {
-                this.connection = await mysql.createConnection(this.config);
-                console.log('Conexión a la base de datos establecida exitosamente');
+            if (!this.isConnected()) {
+                this.driver = this.driver || this.createDriver();
+                await this.driver.connect();
+                this.emit('connect', { database: this.name, dialect: this.dialect });
+                this.logger.log('info', 'connect', { database: this.name, dialect: this.dialect });
+
+                if (this.connectionLost) {
+                    this.connectionLost = false;
+                    this.emit('reconnect', { database: this.name, dialect: this.dialect });
+                }
             }
         } catch (error) {
-            console.error('Error al conectar con la base de datos:', error.message);
+            this.logger.log('error', 'connect:error', {
+                message: 'Error al conectar con la base de datos:',
+                error: { message: error.message, code: error.code }
+            });
             throw error;
         }
     }
@@ -47,48 +244,211 @@ class Database {
      */
     async disconnect() {
         try {
-            if (this.connection) {
-                await this.connection.end();
-                this.connection = null;
-                console.log('Conexión a la base de datos cerrada');
+            if (this.transactionConnection) {
+                this.transactionConnection.release();
+                this.transactionConnection = null;
+            }
+
+            if (this.isConnected()) {
+                await this.driver.disconnect();
+                this.emit('disconnect', { database: this.name, dialect: this.dialect });
+                this.logger.log('info', 'disconnect', { database: this.name, dialect: this.dialect });
             }
         } catch (error) {
-            console.error('Error al cerrar la conexión:', error.message);
+            this.logger.log('error', 'disconnect:error', {
+                message: 'Error al cerrar la conexión:',
+                error: { message: error.message, code: error.code }
+            });
             throw error;
         }
     }
 
     /**
      * Ejecuta una consulta SQL
+     * Dentro de una transacción global la consulta se ejecuta en la conexión de la transacción;
+     * fuera de ella, directamente en el driver. Si la conexión se pierde se descarta y se
+     * reconecta; las consultas idempotentes se reintentan según la política de reintentos
      * @param {string} query - Consulta SQL
      * @param {Array} params - Parámetros para la consulta
+     * @param {Object} options - Opciones de la consulta
+     * @param {string} options.label - Etiqueta para los logs (por ejemplo 'Frase.findAll')
+     * @param {boolean} options.idempotent - Si puede reintentarse (por defecto, solo las lecturas)
      * @returns {Promise<Object>} - Resultado de la consulta
      */
-    async query(query, params = []) {
-        try {
-            if (!this.connection) {
+    async query(query, params = [], options = {}) {
+        if (this.transactionConnection) {
+            // Dentro de una transacción global no se reintenta: el trabajo previo se perdería
+            return this.instrument(query, params, options, () => this.transactionConnection.execute(query, params));
+        }
+
+        const idempotent = options.idempotent !== undefined ? options.idempotent : isReadQuery(query);
+
+        const rows = await this.withRetry({
+            scope: 'query',
+            label: options.label,
+            isRetryable: error => idempotent && isTransientError(error)
+        }, async () => {
+            if (!this.isConnected()) {
                 await this.connect();
             }
+            return this.instrument(query, params, options, () => this.driver.execute(query, params));
+        });
+
+        if (rows && rows.insertId) {
+            this.lastInsertId = rows.insertId;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Instancia a la que enviar las lecturas que toleran un ligero desfase (listados y estadísticas)
+     * Es la réplica configurada con readReplica, o esta misma instancia si no hay réplica
+     * o si hay una transacción global en curso
+     * @returns {Database} - Instancia para las lecturas
+     */
+    reader() {
+        if (!this.readReplica || this.transactionConnection) {
+            return this;
+        }
+
+        return typeof this.readReplica === 'string' ? Database.get(this.readReplica) : this.readReplica;
+    }
+
+    /**
+     * Ejecuta una operación reintentándola con backoff exponencial ante errores transitorios
+     * Antes de decidir si se reintenta, descarta la conexión si se perdió
+     * @param {Object} options - Opciones del reintento
+     * @param {string} options.scope - 'query' o 'transaction'
+     * @param {string} options.label - Etiqueta de la operación
+     * @param {number} options.retries - Reintentos máximos (por defecto, los de la política)
+     * @param {Function} options.isRetryable - Recibe el error y decide si se reintenta
+     * @param {Function} operation - Función async a ejecutar
+     * @returns {Promise<*>} - Resultado de la operación
+     */
+    async withRetry(options, operation) {
+        const retries = options.retries !== undefined ? options.retries : this.retryPolicy.retries;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                if (isConnectionError(error)) {
+                    await this.resetConnection(error);
+                }
+
+                if (attempt > retries || !options.isRetryable(error)) {
+                    throw error;
+                }
+
+                const event = {
+                    scope: options.scope,
+                    label: options.label || null,
+                    attempt: attempt,
+                    delayMs: getBackoffDelay(this.retryPolicy, attempt),
+                    error: { message: error.message, code: error.code }
+                };
+                this.emit('retry', event);
+                this.logger.log('warn', 'retry', event);
+
+                await sleep(event.delayMs);
+            }
+        }
+    }
+
+    /**
+     * Descarta la conexión perdida para que la siguiente operación reconecte
+     * @param {Error} error - Error que indicó la pérdida de conexión
+     * @returns {Promise<void>}
+     */
+    async resetConnection(error) {
+        if (this.driver) {
+            await this.driver.reset();
+        }
+        this.connectionLost = true;
+
+        const event = { database: this.name, dialect: this.dialect, error: { message: error.message, code: error.code } };
+        this.emit('connection:lost', event);
+        this.logger.log('warn', 'connection:lost', event);
+    }
+
+    /**
+     * Ejecuta una consulta emitiendo los eventos de inicio, fin, lentitud y error
+     * Los errores del driver con traducción se relanzan como errores tipados (ver errors.js)
+     * @param {string} query - Consulta SQL
+     * @param {Array} params - Parámetros para la consulta
+     * @param {Object} options - Opciones de la consulta (label)
+     * @param {Function} execute - Función que ejecuta la consulta en el driver
+     * @returns {Promise<Object>} - Resultado de la consulta
+     */
+    async instrument(query, params, options, execute) {
+        this.queryCounter += 1;
+        const event = {
+            id: this.queryCounter,
+            database: this.name,
+            label: options.label || null,
+            sql: compactQuery(query),
+            params: redactParams(query, params, this.sensitiveColumns)
+        };
+        const start = process.hrtime.bigint();
+        const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+
+        this.emit('query:start', event);
+
+        try {
+            const rows = await execute();
+            const endEvent = {
+                ...event,
+                durationMs: Math.round(elapsed() * 100) / 100,
+                rowCount: Array.isArray(rows) ? rows.length : rows.affectedRows
+            };
+
+            this.emit('query:end', endEvent);
+            this.logger.log('debug', 'query:end', endEvent);
+
+            if (endEvent.durationMs >= this.slowQueryThreshold) {
+                this.emit('query:slow', endEvent);
+                this.logger.log('warn', 'query:slow', endEvent);
+            }
 
-            const [rows] = await this.connection.execute(query, params);
             return rows;
         } catch (error) {
-            console.error('Error en la consulta SQL:', error.message);
-            console.error('Query:', query);
-            console.error('Parámetros:', params);
-            throw error;
+            const errorEvent = {
+                ...event,
+                durationMs: Math.round(elapsed() * 100) / 100,
+                error: { message: error.message, code: error.code }
+            };
+
+            this.emit('query:error', errorEvent);
+            this.logger.log('error', 'query:error', errorEvent);
+            throw translateDriverError(error);
         }
     }
 
     /**
      * Inicia una transacción
+     * Con pool, reserva una conexión que se usa hasta el commit o rollback
      * @returns {Promise<void>}
      */
     async beginTransaction() {
-        if (!this.connection) {
+        if (!this.isConnected()) {
             await this.connect();
         }
-        await this.connection.beginTransaction();
+
+        if (this.transactionConnection) {
+            throw new Error('Ya hay una transacción en curso');
+        }
+
+        const connection = await this.driver.acquire();
+
+        try {
+            await connection.beginTransaction();
+        } catch (error) {
+            connection.release();
+            throw error;
+        }
+
+        this.transactionConnection = connection;
     }
 
     /**
@@ -96,8 +456,12 @@ class Database {
      * @returns {Promise<void>}
      */
     async commit() {
-        if (this.connection) {
-            await this.connection.commit();
+        if (this.transactionConnection) {
+            try {
+                await this.transactionConnection.commit();
+            } finally {
+                this.releaseTransactionConnection();
+            }
         }
     }
 
@@ -106,30 +470,110 @@ class Database {
      * @returns {Promise<void>}
      */
     async rollback() {
-        if (this.connection) {
-            await this.connection.rollback();
+        if (this.transactionConnection) {
+            try {
+                await this.transactionConnection.rollback();
+            } finally {
+                this.releaseTransactionConnection();
+            }
         }
     }
 
+    /**
+     * Ejecuta un callback dentro de una transacción con alcance propio
+     * Confirma si el callback se resuelve y revierte si lanza un error.
+     * Las llamadas anidadas a tx.transaction() usan savepoints.
+     * Ante un deadlock o una conexión perdida la transacción completa se reintenta,
+     * por lo que el callback no debe tener efectos fuera de la base de datos
+     * @param {Function} callback - Función async que recibe la transacción (tx)
+     * @param {Object} options - Opciones de la transacción
+     * @param {string} options.label - Etiqueta para los logs
+     * @param {number} options.retries - Reintentos máximos (0 para desactivarlos)
+     * @returns {Promise<*>} - Valor devuelto por el callback
+     */
+    async transaction(callback, options = {}) {
+        let committing = false;
+
+        return this.withRetry({
+            scope: 'transaction',
+            label: options.label,
+            retries: options.retries,
+            // Si falla el propio commit no se sabe si se aplicó, así que no se repite
+            isRetryable: error => !committing && isTransientError(error)
+        }, async () => {
+            committing = false;
+
+            if (!this.isConnected()) {
+                await this.connect();
+            }
+
+            // Sin pool (o con SQLite) la transacción reserva la conexión única: el resto de
+            // consultas espera y las que el callback lance sin tx se rechazan en lugar de bloquearse
+            const connection = await this.driver.acquire();
+            const tx = new Transaction(connection, this);
+
+            try {
+                await connection.beginTransaction();
+                const result = await connection.run(() => callback(tx));
+                committing = true;
+                await connection.commit();
+                return result;
+            } catch (error) {
+                await connection.rollback().catch(rollbackError => {
+                    this.logger.log('error', 'transaction:rollback-error', {
+                        message: 'Error al revertir la transacción:',
+                        error: { message: rollbackError.message, code: rollbackError.code }
+                    });
+                });
+                throw error;
+            } finally {
+                tx.active = false;
+                connection.release();
+            }
+        });
+    }
+
+    /**
+     * Libera la conexión reservada para la transacción en curso
+     */
+    releaseTransactionConnection() {
+        if (this.transactionConnection) {
+            this.transactionConnection.release();
+        }
+        this.transactionConnection = null;
+    }
+
     /**
      * Verifica si la conexión está activa
      * @returns {boolean}
      */
     isConnected() {
-        return this.connection !== null;
+        return this.driver !== null && this.driver.isConnected();
+    }
+
+    /**
+     * Obtiene estadísticas del pool de conexiones
+     * @returns {Object|null} - Estadísticas del pool o null si no se usa pool
+     */
+    getPoolStats() {
+        return this.driver ? this.driver.getPoolStats() : null;
     }
 
     /**
      * Obtiene el ID del último registro insertado
+     * Se toma del insertId de la última escritura, ya que LAST_INSERT_ID()
+     * depende de la conexión y con pool cada consulta puede usar una distinta
      * @returns {Promise<number>}
      */
     async getLastInsertId() {
-        if (!this.connection) {
+        if (!this.isConnected()) {
             throw new Error('No hay conexión activa');
         }
-        const [result] = await this.connection.execute('SELECT LAST_INSERT_ID() as id');
-        return result[0].id;
+        return this.lastInsertId;
     }
 }
 
+// Instancias creadas, indexadas por nombre
+Database.instances = new Map();
+
 module.exports = Database;
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('./Database');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Clase que aplica y revierte migraciones versionadas del esquema
+ * Cada migración es un archivo "<versión>_<nombre>.js" que exporta up(db) y down(db).
+ * Las migraciones aplicadas se registran en la tabla schema_migrations junto con
+ * el checksum del archivo para detectar modificaciones posteriores
+ */
+class Migrator {
+    /**
+     * @param {Database} db - Base de datos sobre la que se aplican las migraciones
+     * @param {Object} options - Opciones del migrador
+     * @param {string} options.directory - Directorio con los archivos de migración
+     */
+    constructor(db = new Database(), options = {}) {
+        this.db = db;
+        this.directory = options.directory || path.join(__dirname, 'migrations');
+    }
+
+    /**
+     * Carga los archivos de migración ordenados por versión
+     * @returns {Array<Object>} - Migraciones con version, name, checksum, up y down
+     */
+    loadMigrations() {
+        return fs.readdirSync(this.directory)
+            .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+            .filter(({ match }) => match !== null)
+            .map(({ file, match }) => {
+                const filePath = path.join(this.directory, file);
+                const migration = require(filePath);
+
+                return {
+                    version: match[1],
+                    name: match[2],
+                    checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .sort((a, b) => parseInt(a.version, 10) - parseInt(b.version, 10));
+    }
+
+    /**
+     * Crea la tabla de control de migraciones si no existe
+     * @returns {Promise<void>}
+     */
+    async ensureTable() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version VARCHAR(50) PRIMARY KEY NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                checksum CHAR(64) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+            )
+        `);
+    }
+
+    /**
+     * Obtiene las migraciones registradas como aplicadas
+     * @returns {Promise<Map<string, Object>>} - Registros indexados por versión
+     */
+    async getApplied() {
+        await this.ensureTable();
+        const results = await this.db.query('SELECT * FROM schema_migrations ORDER BY version ASC');
+        return new Map(results.map(row => [row.version, row]));
+    }
+
+    /**
+     * Obtiene el estado de cada migración
+     * Estados: 'applied', 'pending', 'modified' (el archivo cambió tras aplicarse)
+     * y 'missing' (aplicada pero sin archivo)
+     * @returns {Promise<Array<Object>>} - Lista con version, name, state y applied_at
+     */
+    async status() {
+        const migrations = this.loadMigrations();
+        const applied = await this.getApplied();
+
+        const status = migrations.map(migration => {
+            const record = applied.get(migration.version);
+            let state = 'pending';
+            if (record) {
+                state = record.checksum === migration.checksum ? 'applied' : 'modified';
+            }
+
+            return {
+                version: migration.version,
+                name: migration.name,
+                state: state,
+                applied_at: record ? record.applied_at : null
+            };
+        });
+
+        applied.forEach(record => {
+            if (!migrations.some(migration => migration.version === record.version)) {
+                status.push({
+                    version: record.version,
+                    name: record.name,
+                    state: 'missing',
+                    applied_at: record.applied_at
+                });
+            }
+        });
+
+        return status.sort((a, b) => parseInt(a.version, 10) - parseInt(b.version, 10));
+    }
+
+    /**
+     * Aplica las migraciones pendientes en orden
+     * @param {Object} options - Opciones
+     * @param {string} options.to - Última versión a aplicar (por defecto todas)
+     * @returns {Promise<Array<Object>>} - Migraciones aplicadas
+     */
+    async up(options = {}) {
+        const migrations = this.loadMigrations();
+        const applied = await this.getApplied();
+        this.assertUnmodified(migrations, applied);
+
+        const pending = migrations.filter(migration =>
+            !applied.has(migration.version) &&
+            (options.to === undefined || parseInt(migration.version, 10) <= parseInt(options.to, 10))
+        );
+
+        const done = [];
+        for (const migration of pending) {
+            // En MySQL las sentencias DDL confirman la transacción de forma implícita;
+            // en SQLite la migración y su registro son atómicos
+            await this.db.transaction(async (tx) => {
+                await migration.up(tx);
+                await tx.query(
+                    'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, migration.checksum]
+                );
+            });
+            done.push({ version: migration.version, name: migration.name });
+        }
+
+        return done;
+    }
+
+    /**
+     * Revierte las últimas migraciones aplicadas
+     * @param {Object} options - Opciones
+     * @param {number} options.steps - Número de migraciones a revertir (por defecto 1)
+     * @returns {Promise<Array<Object>>} - Migraciones revertidas
+     */
+    async down(options = {}) {
+        const steps = options.steps === undefined ? 1 : options.steps;
+        const migrations = this.loadMigrations();
+        const applied = await this.getApplied();
+        this.assertUnmodified(migrations, applied);
+
+        const toRevert = Array.from(applied.keys())
+            .sort((a, b) => parseInt(b, 10) - parseInt(a, 10))
+            .slice(0, steps);
+
+        const done = [];
+        for (const version of toRevert) {
+            const migration = migrations.find(m => m.version === version);
+            if (!migration) {
+                throw new Error(`No se encontró el archivo de la migración ${version}; no se puede revertir`);
+            }
+
+            await this.db.transaction(async (tx) => {
+                await migration.down(tx);
+                await tx.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+            });
+            done.push({ version: migration.version, name: migration.name });
+        }
+
+        return done;
+    }
+
+    /**
+     * Verifica que ninguna migración aplicada haya cambiado desde que se aplicó
+     * @param {Array<Object>} migrations - Migraciones cargadas
+     * @param {Map<string, Object>} applied - Registros de migraciones aplicadas
+     */
+    assertUnmodified(migrations, applied) {
+        const modified = migrations.filter(migration =>
+            applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum
+        );
+
+        if (modified.length > 0) {
+            const list = modified.map(m => `${m.version}_${m.name}`).join(', ');
+            throw new Error(`Las siguientes migraciones cambiaron después de aplicarse: ${list}`);
+        }
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,247 @@
+// Identificadores admitidos: "columna" o "alias.columna"
+const IDENTIFIER_PATTERN = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)?$/;
+const DIRECTIONS = ['ASC', 'DESC'];
+
+/**
+ * Constructor de consultas SELECT parametrizadas
+ * Los valores siempre viajan como parámetros (?) y los identificadores que pueden
+ * venir del exterior (columnas de ordenamiento) se validan contra una lista blanca
+ */
+class QueryBuilder {
+    /**
+     * @param {string} table - Tabla principal
+     * @param {string|null} alias - Alias de la tabla principal
+     */
+    constructor(table, alias = null) {
+        this.table = QueryBuilder.identifier(table);
+        this.alias = alias ? QueryBuilder.identifier(alias) : null;
+        this.columns = [];
+        this.joins = [];
+        this.conditions = [];
+        this.params = [];
+        this.orders = [];
+        this.limitValue = null;
+        this.offsetValue = null;
+    }
+
+    /**
+     * Crea un constructor para la tabla indicada
+     * @param {string} table - Tabla principal
+     * @param {string|null} alias - Alias de la tabla principal
+     * @returns {QueryBuilder}
+     */
+    static from(table, alias = null) {
+        return new QueryBuilder(table, alias);
+    }
+
+    /**
+     * Valida un identificador SQL
+     * @param {string} name - Identificador a validar
+     * @returns {string} - El mismo identificador si es válido
+     */
+    static identifier(name) {
+        if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+            throw new Error(`Identificador no permitido: ${name}`);
+        }
+        return name;
+    }
+
+    /**
+     * Agrega columnas o expresiones a seleccionar (definidas por el código, no por el usuario)
+     * @param {...string} columns - Columnas o expresiones
+     * @returns {QueryBuilder}
+     */
+    select(...columns) {
+        this.columns.push(...columns);
+        return this;
+    }
+
+    /**
+     * Agrega un JOIN
+     * @param {string} table - Tabla a unir
+     * @param {string} alias - Alias de la tabla
+     * @param {string} on - Condición de unión
+     * @param {string} type - Tipo de unión ('JOIN' o 'LEFT JOIN')
+     * @returns {QueryBuilder}
+     */
+    join(table, alias, on, type = 'JOIN') {
+        this.joins.push(`${type} ${QueryBuilder.identifier(table)} ${QueryBuilder.identifier(alias)} ON ${on}`);
+        return this;
+    }
+
+    /**
+     * Agrega un LEFT JOIN
+     * @param {string} table - Tabla a unir
+     * @param {string} alias - Alias de la tabla
+     * @param {string} on - Condición de unión
+     * @returns {QueryBuilder}
+     */
+    leftJoin(table, alias, on) {
+        return this.join(table, alias, on, 'LEFT JOIN');
+    }
+
+    /**
+     * Agrega una condición (unida con AND) con sus parámetros
+     * @param {string} condition - Condición con placeholders, por ejemplo 'f.status = ?'
+     * @param {...*} params - Valores de los placeholders
+     * @returns {QueryBuilder}
+     */
+    where(condition, ...params) {
+        this.conditions.push(condition);
+        this.params.push(...params);
+        return this;
+    }
+
+    /**
+     * Agrega una condición "columna IN (...)"; con una lista vacía no coincide ninguna fila
+     * @param {string} column - Columna a comparar
+     * @param {Array} values - Valores admitidos
+     * @returns {QueryBuilder}
+     */
+    whereIn(column, values) {
+        if (values.length === 0) {
+            return this.where('1 = 0');
+        }
+        return this.where(`${QueryBuilder.identifier(column)} IN (${values.map(() => '?').join(', ')})`, ...values);
+    }
+
+    /**
+     * Aplica los filtros presentes usando sus definiciones
+     * Solo se aplican los filtros definidos y con valor; false sí es un valor, mientras
+     * que undefined, null y la cadena vacía indican que el filtro no se usa
+     * @param {Object} filters - Valores de los filtros
+     * @param {Object} definitions - Mapa filtro => función (builder, valor)
+     * @returns {QueryBuilder}
+     */
+    applyFilters(filters, definitions) {
+        Object.keys(definitions).forEach(name => {
+            const value = filters[name];
+            if (value !== undefined && value !== null && value !== '') {
+                definitions[name](this, value);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Agrega un criterio de ordenamiento
+     * @param {string} column - Columna, o clave de la lista blanca si se indica
+     * @param {string} direction - 'ASC' o 'DESC'
+     * @param {Object|null} allowed - Lista blanca clave => expresión SQL
+     * @returns {QueryBuilder}
+     */
+    orderBy(column, direction = 'ASC', allowed = null) {
+        const normalizedDirection = String(direction).toUpperCase();
+        if (!DIRECTIONS.includes(normalizedDirection)) {
+            throw new Error(`Dirección de ordenamiento no permitida: ${direction}`);
+        }
+
+        let expression;
+        if (allowed) {
+            if (!Object.prototype.hasOwnProperty.call(allowed, column)) {
+                throw new Error(`No se puede ordenar por: ${column}`);
+            }
+            expression = allowed[column];
+        } else {
+            expression = QueryBuilder.identifier(column);
+        }
+
+        this.orders.push(`${expression} ${normalizedDirection}`);
+        return this;
+    }
+
+    /**
+     * Agrega una expresión de ordenamiento definida por el código, por ejemplo 'RAND()'
+     * @param {string} expression - Expresión SQL
+     * @returns {QueryBuilder}
+     */
+    orderByRaw(expression) {
+        this.orders.push(expression);
+        return this;
+    }
+
+    /**
+     * Limita el número de filas
+     * @param {number} limit - Límite de resultados
+     * @returns {QueryBuilder}
+     */
+    limit(limit) {
+        this.limitValue = limit;
+        return this;
+    }
+
+    /**
+     * Desplaza el inicio de los resultados
+     * @param {number} offset - Desplazamiento para paginación
+     * @returns {QueryBuilder}
+     */
+    offset(offset) {
+        this.offsetValue = offset;
+        return this;
+    }
+
+    /**
+     * Crea una copia independiente del constructor
+     * @returns {QueryBuilder}
+     */
+    clone() {
+        const copy = Object.create(QueryBuilder.prototype);
+        Object.assign(copy, this, {
+            columns: [...this.columns],
+            joins: [...this.joins],
+            conditions: [...this.conditions],
+            params: [...this.params],
+            orders: [...this.orders]
+        });
+        return copy;
+    }
+
+    /**
+     * Genera la cláusula FROM con los JOIN y el WHERE
+     * @returns {string}
+     */
+    buildFrom() {
+        const from = this.alias ? `${this.table} ${this.alias}` : this.table;
+        const where = this.conditions.length > 0 ? ` WHERE ${this.conditions.join(' AND ')}` : '';
+        return `FROM ${[from, ...this.joins].join(' ')}${where}`;
+    }
+
+    /**
+     * Genera la consulta SELECT
+     * @returns {{sql: string, params: Array}}
+     */
+    toSQL() {
+        const columns = this.columns.length > 0 ? this.columns.join(', ') : '*';
+        const params = [...this.params];
+        let sql = `SELECT ${columns} ${this.buildFrom()}`;
+
+        if (this.orders.length > 0) {
+            sql += ` ORDER BY ${this.orders.join(', ')}`;
+        }
+
+        if (this.limitValue !== null) {
+            sql += ' LIMIT ?';
+            params.push(this.limitValue);
+        }
+
+        if (this.offsetValue !== null) {
+            sql += ' OFFSET ?';
+            params.push(this.offsetValue);
+        }
+
+        return { sql, params };
+    }
+
+    /**
+     * Genera la consulta de conteo con los mismos JOIN y filtros, sin orden ni paginación
+     * @returns {{sql: string, params: Array}}
+     */
+    toCountSQL() {
+        return {
+            sql: `SELECT COUNT(*) as total ${this.buildFrom()}`,
+            params: [...this.params]
+        };
+    }
+}
+
+module.exports = QueryBuilder;
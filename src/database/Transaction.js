@@ -0,0 +1,80 @@
+/**
+ * Clase que representa una transacción en curso sobre una conexión dedicada
+ * Expone la misma interfaz de consulta que Database, por lo que los modelos
+ * pueden recibirla en lugar de la conexión global
+ */
+class Transaction {
+    /**
+     * @param {Object} connection - Conexión reservada por el driver para la transacción
+     * @param {Database|null} db - Base de datos que instrumenta las consultas
+     * @param {number} depth - Nivel de anidamiento (0 = transacción principal)
+     */
+    constructor(connection, db = null, depth = 0) {
+        this.connection = connection;
+        this.db = db;
+        this.depth = depth;
+        this.active = true;
+        this.savepointCounter = 0;
+    }
+
+    /**
+     * Dialecto SQL de la conexión de la transacción
+     * @returns {string} - 'mysql' o 'sqlite'
+     */
+    get dialect() {
+        return this.connection.dialect;
+    }
+
+    /**
+     * Ejecuta una consulta SQL dentro de la transacción
+     * @param {string} query - Consulta SQL
+     * @param {Array} params - Parámetros para la consulta
+     * @param {Object} options - Opciones de la consulta (label)
+     * @returns {Promise<Object>} - Resultado de la consulta
+     */
+    async query(query, params = [], options = {}) {
+        this.assertActive();
+
+        const execute = () => this.connection.execute(query, params);
+        return this.db ? this.db.instrument(query, params, options, execute) : execute();
+    }
+
+    /**
+     * Ejecuta un callback dentro de una transacción anidada usando un savepoint
+     * Si el callback lanza un error solo se revierte el trabajo del savepoint
+     * @param {Function} callback - Función async que recibe la transacción anidada
+     * @returns {Promise<*>} - Valor devuelto por el callback
+     */
+    async transaction(callback) {
+        this.assertActive();
+
+        this.savepointCounter += 1;
+        const savepoint = `sp_${this.depth + 1}_${this.savepointCounter}`;
+        const nested = new Transaction(this.connection, this.db, this.depth + 1);
+
+        // Los savepoints no se admiten como sentencias preparadas
+        await this.connection.exec(`SAVEPOINT ${savepoint}`);
+
+        try {
+            const result = await callback(nested);
+            await this.connection.exec(`RELEASE SAVEPOINT ${savepoint}`);
+            return result;
+        } catch (error) {
+            await this.connection.exec(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+            throw error;
+        } finally {
+            nested.active = false;
+        }
+    }
+
+    /**
+     * Verifica que la transacción siga abierta
+     */
+    assertActive() {
+        if (!this.active) {
+            throw new Error('La transacción ya fue finalizada');
+        }
+    }
+}
+
+module.exports = Transaction;
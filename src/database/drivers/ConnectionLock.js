@@ -0,0 +1,70 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { TransactionScopeError } = require('../errors');
+
+/**
+ * Turno sobre la única conexión de un driver
+ * Las transacciones la reservan en orden y las consultas sueltas esperan a que quede libre.
+ * Cada transacción ejecuta su callback dentro de su propio alcance asíncrono, de modo que
+ * una consulta sin tx lanzada desde ese callback se rechaza en vez de esperar para siempre
+ */
+class ConnectionLock {
+    constructor() {
+        this.tail = Promise.resolve();
+        this.owner = null;
+        this.scope = new AsyncLocalStorage();
+    }
+
+    /**
+     * Reserva la conexión para una transacción, esperando a las anteriores
+     * @returns {Promise<Object>} - Turno con run(callback) y release()
+     */
+    async acquire() {
+        this.assertNotOwner();
+
+        let releaseLock;
+        const previous = this.tail;
+        this.tail = new Promise(resolve => {
+            releaseLock = resolve;
+        });
+        await previous;
+
+        const turn = {
+            run: callback => this.scope.run(turn, callback),
+            release: () => {
+                if (this.owner === turn) {
+                    this.owner = null;
+                }
+                releaseLock();
+            }
+        };
+        this.owner = turn;
+        return turn;
+    }
+
+    /**
+     * Espera a que ninguna transacción tenga reservada la conexión
+     * @returns {Promise<void>}
+     */
+    async wait() {
+        this.assertNotOwner();
+
+        let current;
+        do {
+            current = this.tail;
+            await current;
+        } while (current !== this.tail);
+    }
+
+    /**
+     * Rechaza la operación si se lanza desde la transacción que tiene la conexión
+     * @throws {TransactionScopeError}
+     */
+    assertNotOwner() {
+        const current = this.scope.getStore();
+        if (current && current === this.owner) {
+            throw new TransactionScopeError();
+        }
+    }
+}
+
+module.exports = ConnectionLock;
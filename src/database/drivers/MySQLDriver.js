@@ -0,0 +1,266 @@
+const mysql = require('mysql2/promise');
+const ConnectionLock = require('./ConnectionLock');
+
+/**
+ * Driver de almacenamiento para MySQL basado en mysql2
+ * Trabaja con una conexión única o con un pool de conexiones
+ */
+class MySQLDriver {
+    /**
+     * @param {Object} options - Opciones de conexión
+     * @param {Object} options.connection - Parámetros de conexión de mysql2
+     * @param {boolean} options.pooled - Si true, usa un pool de conexiones
+     * @param {Object} options.pool - Opciones del pool (connectionLimit, queueLimit, idleTimeout, maxIdle)
+     */
+    constructor(options = {}) {
+        this.dialect = 'mysql';
+        this.connection = null;
+        this.pool = null;
+        this.config = options.connection || {};
+        this.pooled = Boolean(options.pooled);
+        this.poolConfig = {
+            waitForConnections: true,
+            ...options.pool
+        };
+        this.poolState = null;
+        this.lock = new ConnectionLock();
+    }
+
+    /**
+     * Lleva la cuenta de las conexiones del pool con sus eventos públicos, ya que
+     * mysql2 no expone contadores
+     * @param {Object} pool - Pool de mysql2/promise
+     */
+    trackPool(pool) {
+        const state = { connections: new Set(), idle: new Set(), queued: 0 };
+
+        pool.on('connection', (connection) => {
+            state.connections.add(connection);
+            // Una conexión cerrada (por error o por inactividad) sale del pool
+            const remove = () => {
+                state.connections.delete(connection);
+                state.idle.delete(connection);
+            };
+            connection.once('end', remove);
+            connection.once('error', remove);
+        });
+        pool.on('acquire', (connection) => state.idle.delete(connection));
+        pool.on('release', (connection) => {
+            if (state.connections.has(connection)) {
+                state.idle.add(connection);
+            }
+        });
+
+        this.poolState = state;
+    }
+
+    /**
+     * Obtiene una conexión del pool contando el tiempo que espera en la cola
+     * @returns {Promise<Object>} - Conexión de mysql2/promise
+     */
+    async getPoolConnection() {
+        // El pool emite 'enqueue' de forma síncrona al pedir la conexión si no hay ninguna libre
+        let enqueued = false;
+        const onEnqueue = () => {
+            enqueued = true;
+        };
+        this.pool.on('enqueue', onEnqueue);
+        const pending = this.pool.getConnection();
+        this.pool.removeListener('enqueue', onEnqueue);
+
+        if (!enqueued) {
+            return pending;
+        }
+
+        this.poolState.queued++;
+        try {
+            return await pending;
+        } finally {
+            this.poolState.queued--;
+        }
+    }
+
+    /**
+     * Establece la conexión (o crea el pool)
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        try {
+            if (this.pooled && !this.pool) {
+                this.pool = mysql.createPool({ ...this.config, ...this.poolConfig });
+                this.trackPool(this.pool);
+                // Verificar que el servidor acepta conexiones antes de continuar
+                const connection = await this.getPoolConnection();
+                connection.release();
+            } else if (!this.pooled && !this.connection) {
+                const connection = await mysql.createConnection(this.config);
+                // Los errores fatales con la conexión inactiva llegan como evento;
+                // se descarta la conexión para que la siguiente consulta reconecte
+                connection.on('error', () => {
+                    if (this.connection === connection) {
+                        this.connection = null;
+                    }
+                });
+                this.connection = connection;
+            }
+        } catch (error) {
+            if (this.pool) {
+                await this.pool.end().catch(() => {});
+                this.pool = null;
+                this.poolState = null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Cierra la conexión (o el pool)
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this.pool) {
+            await this.pool.end();
+            this.pool = null;
+            this.poolState = null;
+        }
+
+        if (this.connection) {
+            await this.connection.end();
+            this.connection = null;
+        }
+    }
+
+    /**
+     * Descarta una conexión perdida sin esperar respuesta del servidor
+     * El pool de mysql2 ya retira por sí mismo las conexiones rotas
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        if (this.connection) {
+            this.connection.destroy();
+            this.connection = null;
+        }
+    }
+
+    /**
+     * Verifica si la conexión está activa
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.connection !== null || this.pool !== null;
+    }
+
+    /**
+     * Conexión única tras esperar turno; pudo perderse mientras la ocupaba una transacción
+     * @returns {Object} - Conexión de mysql2/promise
+     * @throws {Error} - PROTOCOL_CONNECTION_LOST para que la operación reconecte y se reintente
+     */
+    getConnection() {
+        if (!this.connection) {
+            const error = new Error('La conexión con la base de datos se perdió');
+            error.code = 'PROTOCOL_CONNECTION_LOST';
+            throw error;
+        }
+        return this.connection;
+    }
+
+    /**
+     * Ejecuta una consulta fuera de cualquier transacción
+     * Sin pool espera a que termine la transacción abierta, como el driver SQLite: comparten
+     * la conexión única y la consulta quedaría dentro de la transacción (y se desharía con
+     * su rollback). Desde el callback de esa misma transacción se rechaza con TransactionScopeError
+     * @param {string} query - Consulta SQL
+     * @param {Array} params - Parámetros para la consulta
+     * @returns {Promise<Array|Object>} - Filas o resultado de la escritura
+     */
+    async execute(query, params = []) {
+        if (!this.pool) {
+            await this.lock.wait();
+            const [rows] = await this.getConnection().execute(query, params);
+            return rows;
+        }
+
+        // Se reserva la conexión aquí (y no con pool.execute) para contar la espera en la cola
+        const connection = await this.getPoolConnection();
+        try {
+            const [rows] = await connection.execute(query, params);
+            return rows;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Reserva una conexión para una transacción
+     * Sin pool se reserva la conexión única: las transacciones se serializan y el resto de
+     * consultas espera a que termine
+     * @returns {Promise<Object>} - Conexión con execute, exec, beginTransaction, commit, rollback, run y release
+     */
+    async acquire() {
+        if (this.pool) {
+            const connection = await this.getPoolConnection();
+            return this.wrapConnection(connection, {
+                run: callback => callback(),
+                release: () => connection.release()
+            });
+        }
+
+        const turn = await this.lock.acquire();
+        try {
+            return this.wrapConnection(this.getConnection(), turn);
+        } catch (error) {
+            turn.release();
+            throw error;
+        }
+    }
+
+    /**
+     * Interfaz de transacción sobre una conexión de mysql2
+     * @param {Object} connection - Conexión de mysql2/promise
+     * @param {Object} turn - run(callback) y release() de la reserva
+     * @returns {Object} - Conexión con execute, exec, beginTransaction, commit, rollback, run y release
+     */
+    wrapConnection(connection, turn) {
+        return {
+            dialect: this.dialect,
+            execute: async (query, params = []) => {
+                const [rows] = await connection.execute(query, params);
+                return rows;
+            },
+            // Sentencias sin parámetros que no admiten el protocolo de sentencias preparadas
+            exec: async (query) => {
+                await connection.query(query);
+            },
+            beginTransaction: () => connection.beginTransaction(),
+            commit: () => connection.commit(),
+            rollback: () => connection.rollback(),
+            run: turn.run,
+            release: turn.release
+        };
+    }
+
+    /**
+     * Obtiene estadísticas del pool de conexiones
+     * @returns {Object|null} - Estadísticas del pool o null si no se usa pool
+     */
+    getPoolStats() {
+        if (!this.pool) {
+            return null;
+        }
+
+        const total = this.poolState.connections.size;
+        const idle = this.poolState.idle.size;
+
+        return {
+            connectionLimit: this.poolConfig.connectionLimit,
+            queueLimit: this.poolConfig.queueLimit,
+            idleTimeout: this.poolConfig.idleTimeout,
+            total: total,
+            active: total - idle,
+            idle: idle,
+            queued: this.poolState.queued
+        };
+    }
+}
+
+module.exports = MySQLDriver;
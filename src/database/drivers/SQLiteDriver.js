@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const ConnectionLock = require('./ConnectionLock');
+
+// Traducción de los códigos de restricción de SQLite a los códigos de MySQL
+// que ya interpretan los modelos
+const CONSTRAINT_CODES = {
+    SQLITE_CONSTRAINT_UNIQUE: 'ER_DUP_ENTRY',
+    SQLITE_CONSTRAINT_PRIMARYKEY: 'ER_DUP_ENTRY',
+    SQLITE_CONSTRAINT_CHECK: 'ER_CHECK_CONSTRAINT_VIOLATED',
+    SQLITE_CONSTRAINT_NOTNULL: 'ER_BAD_NULL_ERROR'
+};
+
+// Funciones de MySQL usadas en las consultas y su equivalente en SQLite
+const FUNCTION_REWRITES = [
+    [/\bNOW\(\)/gi, 'CURRENT_TIMESTAMP'],
+    [/\bRAND\(\)/gi, 'RANDOM()'],
+    [/\bLAST_INSERT_ID\(\)/gi, 'last_insert_rowid()']
+];
+
+const DATE_COLUMN_TYPES = ['DATE', 'DATETIME', 'TIMESTAMP'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2}(\.\d+)?)?$/;
+
+/**
+ * Driver de almacenamiento para SQLite basado en better-sqlite3
+ * Pensado para desarrollo local y pruebas (archivo o ':memory:')
+ */
+class SQLiteDriver {
+    /**
+     * @param {Object} options - Opciones de conexión
+     * @param {string} options.filename - Ruta del archivo o ':memory:'
+     * @param {string|null} options.schemaFile - Script SQL que se aplica al conectar (null = ninguno)
+     */
+    constructor(options = {}) {
+        this.dialect = 'sqlite';
+        this.db = null;
+        this.filename = options.filename || ':memory:';
+        this.schemaFile = options.schemaFile === undefined
+            ? path.join(__dirname, '..', '..', '..', 'SQL', 'sqlite.sql')
+            : options.schemaFile;
+        this.statements = new Map();
+        this.lock = new ConnectionLock();
+    }
+
+    /**
+     * Abre la base de datos y aplica el esquema
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this.db) {
+            return;
+        }
+
+        let BetterSqlite3;
+        try {
+            BetterSqlite3 = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('El driver SQLite requiere el paquete "better-sqlite3" (npm install better-sqlite3)');
+        }
+
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+        }
+
+        this.db = new BetterSqlite3(this.filename);
+        this.db.pragma('foreign_keys = ON');
+
+        if (this.schemaFile) {
+            this.db.exec(fs.readFileSync(this.schemaFile, 'utf8'));
+        }
+    }
+
+    /**
+     * Cierra la base de datos
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements.clear();
+        }
+    }
+
+    /**
+     * SQLite no pierde la conexión con un servidor, no hay nada que descartar
+     * @returns {Promise<void>}
+     */
+    async reset() {}
+
+    /**
+     * Verifica si la base de datos está abierta
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.db !== null;
+    }
+
+    /**
+     * Ejecuta una consulta fuera de cualquier transacción
+     * Si hay una transacción abierta espera a que termine: comparten la única conexión y
+     * la consulta quedaría dentro de la transacción (y se desharía con su rollback).
+     * Desde el callback de esa misma transacción se rechaza con TransactionScopeError
+     * @param {string} query - Consulta SQL
+     * @param {Array} params - Parámetros para la consulta
+     * @returns {Promise<Array|Object>} - Filas o resultado de la escritura
+     */
+    async execute(query, params = []) {
+        await this.lock.wait();
+        return this.executeStatement(query, params);
+    }
+
+    /**
+     * Ejecuta una consulta con la misma forma de resultado que mysql2:
+     * un arreglo de filas para lecturas o { affectedRows, insertId } para escrituras
+     * @param {string} query - Consulta SQL
+     * @param {Array} params - Parámetros para la consulta
+     * @returns {Array|Object} - Filas o resultado de la escritura
+     */
+    executeStatement(query, params = []) {
+        try {
+            const statement = this.prepare(query);
+            const values = params.map(toSqliteValue);
+
+            if (statement.reader) {
+                const dateColumns = statement.columns()
+                    .filter(column => column.type && DATE_COLUMN_TYPES.includes(column.type.toUpperCase()))
+                    .map(column => column.name);
+
+                return statement.all(values).map(row => parseDates(row, dateColumns));
+            }
+
+            const info = statement.run(values);
+            return {
+                affectedRows: info.changes,
+                insertId: /^\s*(INSERT|REPLACE)\b/i.test(query) ? Number(info.lastInsertRowid) : 0
+            };
+        } catch (error) {
+            throw translateError(error, query);
+        }
+    }
+
+    /**
+     * Reserva la base de datos para una transacción
+     * SQLite trabaja con una única conexión, así que las transacciones se serializan
+     * @returns {Promise<Object>} - Conexión con execute, exec, beginTransaction, commit, rollback, run y release
+     */
+    async acquire() {
+        const turn = await this.lock.acquire();
+
+        return {
+            dialect: this.dialect,
+            execute: async (query, params) => this.executeStatement(query, params),
+            exec: async (query) => {
+                this.db.exec(query);
+            },
+            // IMMEDIATE toma el bloqueo de escritura al inicio, como un SELECT ... FOR UPDATE
+            beginTransaction: async () => {
+                this.db.exec('BEGIN IMMEDIATE');
+            },
+            commit: async () => {
+                this.db.exec('COMMIT');
+            },
+            rollback: async () => {
+                if (this.db.inTransaction) {
+                    this.db.exec('ROLLBACK');
+                }
+            },
+            run: turn.run,
+            release: turn.release
+        };
+    }
+
+    /**
+     * SQLite no usa pool de conexiones
+     * @returns {null}
+     */
+    getPoolStats() {
+        return null;
+    }
+
+    /**
+     * Prepara (y guarda en caché) una sentencia traducida al dialecto de SQLite
+     * @param {string} query - Consulta SQL en dialecto MySQL
+     * @returns {Object} - Sentencia preparada de better-sqlite3
+     */
+    prepare(query) {
+        if (!this.statements.has(query)) {
+            const translated = FUNCTION_REWRITES.reduce(
+                (sql, [pattern, replacement]) => sql.replace(pattern, replacement),
+                query
+            );
+            this.statements.set(query, this.db.prepare(translated));
+        }
+        return this.statements.get(query);
+    }
+}
+
+/**
+ * Convierte un parámetro de JavaScript a un valor que SQLite pueda enlazar
+ * @param {*} value - Valor original
+ * @returns {*} - Valor compatible con SQLite
+ */
+function toSqliteValue(value) {
+    if (value === undefined) {
+        return null;
+    }
+    if (value instanceof Date) {
+        // Mismo formato y zona horaria (UTC) que usa la conexión MySQL
+        return value.toISOString().slice(0, 19).replace('T', ' ');
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    return value;
+}
+
+/**
+ * Convierte a Date las columnas declaradas como fecha, igual que hace mysql2
+ * @param {Object} row - Fila devuelta por SQLite
+ * @param {Array<string>} dateColumns - Columnas con tipo de fecha
+ * @returns {Object} - Fila con fechas convertidas
+ */
+function parseDates(row, dateColumns) {
+    dateColumns.forEach(column => {
+        const value = row[column];
+        if (typeof value === 'string' && DATE_PATTERN.test(value)) {
+            row[column] = new Date(value.replace(' ', 'T') + (value.length === 10 ? 'T00:00:00Z' : 'Z'));
+        }
+    });
+    return row;
+}
+
+/**
+ * Traduce un error de SQLite al código equivalente de MySQL
+ * @param {Error} error - Error original de better-sqlite3
+ * @param {string} query - Consulta que produjo el error
+ * @returns {Error} - El mismo error con el código traducido
+ */
+function translateError(error, query) {
+    if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+        error.sqliteCode = error.code;
+        error.code = /^\s*DELETE\b/i.test(query) ? 'ER_ROW_IS_REFERENCED_2' : 'ER_NO_REFERENCED_ROW_2';
+    } else if (CONSTRAINT_CODES[error.code]) {
+        error.sqliteCode = error.code;
+        error.code = CONSTRAINT_CODES[error.code];
+    }
+    return error;
+}
+
+module.exports = SQLiteDriver;
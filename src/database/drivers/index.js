@@ -0,0 +1,40 @@
+/**
+ * Registro de drivers de almacenamiento
+ *
+ * Todo driver implementa la misma interfaz:
+ * - dialect: nombre del dialecto SQL ('mysql', 'sqlite')
+ * - connect() / disconnect() / isConnected()
+ * - reset(): descarta una conexión perdida para que la siguiente operación reconecte
+ * - execute(query, params): filas para lecturas o { affectedRows, insertId } para escrituras
+ * - acquire(): conexión para transacciones con dialect, execute, exec, beginTransaction, commit, rollback,
+ *   run(callback) (ejecuta el callback de la transacción en su alcance) y release
+ * - getPoolStats(): estadísticas del pool o null
+ */
+
+const MySQLDriver = require('./MySQLDriver');
+const SQLiteDriver = require('./SQLiteDriver');
+
+const drivers = {
+    mysql: MySQLDriver,
+    sqlite: SQLiteDriver
+};
+
+/**
+ * Crea una instancia del driver indicado
+ * @param {string} name - Nombre del driver ('mysql' o 'sqlite')
+ * @param {Object} options - Opciones específicas del driver
+ * @returns {Object} - Instancia del driver
+ */
+function createDriver(name, options = {}) {
+    const Driver = drivers[name];
+    if (!Driver) {
+        throw new Error(`Driver de base de datos no soportado: ${name}`);
+    }
+    return new Driver(options);
+}
+
+module.exports = {
+    createDriver,
+    MySQLDriver,
+    SQLiteDriver
+};
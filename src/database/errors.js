@@ -0,0 +1,267 @@
+/**
+ * Jerarquía de errores de la capa de acceso a datos
+ *
+ * Cada error tiene un código estable (code) que no depende del mensaje, un objeto
+ * details con información adicional, el código original del driver (driverCode)
+ * y el error original en cause cuando proviene de la base de datos
+ */
+
+/**
+ * Error base de la capa de acceso a datos
+ */
+class DataAccessError extends Error {
+    /**
+     * @param {string} message - Mensaje descriptivo
+     * @param {Object} options - Opciones del error
+     * @param {string} options.code - Código estable del error
+     * @param {Object} options.details - Información adicional
+     * @param {Error} options.cause - Error original del driver
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = options.code || 'DATA_ACCESS_ERROR';
+        this.details = options.details || {};
+        this.driverCode = options.cause ? options.cause.code || null : null;
+    }
+}
+
+/**
+ * Datos que no cumplen las reglas de validación
+ * details.fields contiene los mensajes de error por campo
+ */
+class ValidationError extends DataAccessError {
+    /**
+     * @param {Object<string, Array<string>>} fields - Mensajes de error por campo
+     * @param {Object} options - Opciones del error (message, cause)
+     */
+    constructor(fields = {}, options = {}) {
+        const messages = Object.values(fields).reduce((all, list) => all.concat(list), []);
+        super(options.message || `Datos inválidos: ${messages.join(', ')}`, {
+            code: 'VALIDATION_ERROR',
+            details: { fields },
+            cause: options.cause
+        });
+        this.fields = fields;
+    }
+
+    /**
+     * Crea un error de validación de un único campo conservando el mensaje tal cual
+     * @param {string} field - Campo con el error
+     * @param {string} message - Mensaje de error
+     * @returns {ValidationError}
+     */
+    static forField(field, message) {
+        return new ValidationError({ [field]: [message] }, { message });
+    }
+}
+
+/**
+ * El registro solicitado no existe
+ */
+class NotFoundError extends DataAccessError {
+    /**
+     * @param {string} message - Mensaje descriptivo
+     * @param {Object} options - Opciones del error (details, cause)
+     */
+    constructor(message = 'El registro no existe', options = {}) {
+        super(message, { ...options, code: 'NOT_FOUND' });
+    }
+}
+
+/**
+ * El registro entra en conflicto con uno existente (ER_DUP_ENTRY)
+ */
+class ConflictError extends DataAccessError {
+    /**
+     * @param {string} message - Mensaje descriptivo
+     * @param {Object} options - Opciones del error (details, cause)
+     */
+    constructor(message = 'Ya existe un registro con esos datos', options = {}) {
+        super(message, { ...options, code: 'CONFLICT' });
+    }
+}
+
+/**
+ * Referencia a un registro inexistente (ER_NO_REFERENCED_ROW_2) o eliminación
+ * de un registro que otros aún referencian (ER_ROW_IS_REFERENCED_2)
+ * Sustituye al ReferenceError global dentro de los módulos que lo importan
+ */
+class ReferenceError extends DataAccessError {
+    /**
+     * @param {string} message - Mensaje descriptivo
+     * @param {Object} options - Opciones del error (details, cause)
+     */
+    constructor(message = 'El registro referenciado no existe', options = {}) {
+        super(message, { ...options, code: 'REFERENCE_ERROR' });
+    }
+}
+
+/**
+ * La operación no está permitida para quien la solicita
+ */
+class PermissionError extends DataAccessError {
+    /**
+     * @param {string} message - Mensaje descriptivo
+     * @param {Object} options - Opciones del error (details, cause)
+     */
+    constructor(message = 'No tiene permisos para realizar esta operación', options = {}) {
+        super(message, { ...options, code: 'PERMISSION_DENIED' });
+    }
+}
+
+/**
+ * Inicio de sesión bloqueado temporalmente por demasiados intentos fallidos
+ * details contiene scope ('account' o 'client'), reason ('lockout' o 'delay') y retryAt
+ */
+class LockoutError extends DataAccessError {
+    /**
+     * @param {string} message - Mensaje descriptivo
+     * @param {Object} options - Opciones del error (details)
+     */
+    constructor(message = 'Demasiados intentos fallidos de inicio de sesión', options = {}) {
+        super(message, { ...options, code: 'LOGIN_LOCKED' });
+        this.retryAt = this.details.retryAt || null;
+    }
+}
+
+/**
+ * La contraseña es correcta pero falta el segundo paso de la autenticación
+ * details.reason es 'code' (ingresar un código) o 'setup' (la política exige activar la
+ * autenticación en dos pasos); challenge es el token para completar el inicio de sesión
+ * y, si reason es 'setup', setup contiene el secreto y la URI otpauth a registrar
+ */
+class TwoFactorRequiredError extends DataAccessError {
+    /**
+     * @param {string} message - Mensaje descriptivo
+     * @param {Object} options - Opciones del error (details, challenge, expiresAt, setup)
+     */
+    constructor(message = 'Se requiere el código de autenticación en dos pasos', options = {}) {
+        super(message, { ...options, code: 'TWO_FACTOR_REQUIRED' });
+        this.challenge = options.challenge || null;
+        this.expiresAt = options.expiresAt || null;
+        this.setup = options.setup || null;
+    }
+}
+
+/**
+ * Consulta lanzada sin tx desde el callback de una transacción que tiene reservada la
+ * única conexión del driver: tendría que esperar a que la transacción termine y esta,
+ * a su vez, espera al callback
+ */
+class TransactionScopeError extends DataAccessError {
+    /**
+     * @param {string} message - Mensaje descriptivo
+     * @param {Object} options - Opciones del error (details)
+     */
+    constructor(message = 'La consulta se ejecutó sin tx dentro de una transacción abierta; pase tx a la operación', options = {}) {
+        super(message, { ...options, code: 'TRANSACTION_SCOPE' });
+    }
+}
+
+// Códigos de MySQL que se traducen a errores tipados (SQLite se normaliza a estos en su driver)
+const DRIVER_ERROR_CODES = {
+    ER_DUP_ENTRY: 'conflict',
+    ER_NO_REFERENCED_ROW: 'reference',
+    ER_NO_REFERENCED_ROW_2: 'reference',
+    ER_ROW_IS_REFERENCED: 'reference',
+    ER_ROW_IS_REFERENCED_2: 'reference',
+    ER_BAD_NULL_ERROR: 'validation',
+    ER_DATA_TOO_LONG: 'validation',
+    ER_TRUNCATED_WRONG_VALUE: 'validation',
+    ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: 'validation',
+    ER_CHECK_CONSTRAINT_VIOLATED: 'validation',
+    ER_TABLEACCESS_DENIED_ERROR: 'permission',
+    ER_COLUMNACCESS_DENIED_ERROR: 'permission',
+    ER_DBACCESS_DENIED_ERROR: 'permission',
+    ER_SPECIFIC_ACCESS_DENIED_ERROR: 'permission'
+};
+
+// Columna mencionada en el mensaje del driver: "Column 'nombre' cannot be null",
+// "for key 'usuario.correo_electronico'" o "constraint failed: usuario.nombre"
+const COLUMN_PATTERNS = [/column '(\w+)'/i, /for key '(?:\w+\.)?(\w+)'/i, /\b\w+\.(\w+)$/];
+
+/**
+ * Extrae la columna afectada del mensaje del driver
+ * @param {Error} error - Error del driver
+ * @returns {string|null} - Nombre de la columna o null
+ */
+function getErrorColumn(error) {
+    for (const pattern of COLUMN_PATTERNS) {
+        const match = pattern.exec(error.message || '');
+        if (match) {
+            return match[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Traduce un error del driver al error tipado correspondiente
+ * Los errores sin traducción (conexión, bloqueos, sintaxis) se devuelven sin cambios
+ * @param {Error} error - Error del driver
+ * @returns {Error} - Error tipado o el error original
+ */
+function translateDriverError(error) {
+    if (error instanceof DataAccessError) {
+        return error;
+    }
+
+    const column = getErrorColumn(error);
+    const details = column ? { column } : {};
+
+    switch (DRIVER_ERROR_CODES[error.code]) {
+        case 'conflict':
+            return new ConflictError(undefined, { details, cause: error });
+        case 'reference':
+            return /_IS_REFERENCED/.test(error.code)
+                ? new ReferenceError('El registro está referenciado por otros registros', { cause: error })
+                : new ReferenceError(undefined, { cause: error });
+        case 'validation':
+            return new ValidationError({ [column || 'general']: [error.message] }, { cause: error });
+        case 'permission':
+            return new PermissionError(undefined, { cause: error });
+        default:
+            return error;
+    }
+}
+
+/**
+ * Registra un mensaje de error para un campo durante la validación
+ * @param {Object<string, Array<string>>} fields - Mapa de errores por campo
+ * @param {string} field - Campo con el error
+ * @param {string} message - Mensaje de error
+ */
+function addFieldError(fields, field, message) {
+    fields[field] = fields[field] || [];
+    fields[field].push(message);
+}
+
+/**
+ * Construye el resultado de una validación a partir del mapa de errores por campo
+ * @param {Object<string, Array<string>>} fields - Mapa de errores por campo
+ * @returns {Object} - Objeto con isValid, errors (lista de mensajes) y fields
+ */
+function validationResult(fields) {
+    const errors = Object.values(fields).reduce((all, list) => all.concat(list), []);
+    return {
+        isValid: errors.length === 0,
+        errors: errors,
+        fields: fields
+    };
+}
+
+module.exports = {
+    DataAccessError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    ReferenceError,
+    PermissionError,
+    LockoutError,
+    TwoFactorRequiredError,
+    TransactionScopeError,
+    translateDriverError,
+    addFieldError,
+    validationResult
+};
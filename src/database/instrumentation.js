@@ -0,0 +1,188 @@
+/**
+ * Instrumentación de consultas: redacción de parámetros sensibles y loggers
+ *
+ * Un logger es cualquier objeto con un método log(level, event, data), donde
+ * level es 'debug', 'info', 'warn' o 'error' y event el nombre del evento
+ * ('connect', 'query:end', 'query:slow', 'query:error', ...)
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Columnas cuyos valores nunca deben aparecer en los logs
+const DEFAULT_SENSITIVE_COLUMNS = ['password', 'password_hash'];
+
+const REDACTED = '[REDACTED]';
+
+// Columna a la izquierda de un placeholder: "col = ?", "f.col LIKE ?", "col IN (?, ?"
+const COMPARISON_PATTERN = /([\w.]+)\s*(?:=|<>|!=|<=|>=|<|>|\bLIKE|\bIN\s*\((?:\s*\?\s*,)*)\s*$/i;
+const INSERT_PATTERN = /INSERT\s+INTO\s+[\w.]+\s*\(([^)]*)\)\s*VALUES\s*\(/i;
+
+/**
+ * Determina la columna asociada a cada placeholder (?) de la consulta
+ * @param {string} query - Consulta SQL
+ * @returns {Array<string|null>} - Nombre de columna por placeholder (null si no se puede determinar)
+ */
+function getPlaceholderColumns(query) {
+    const columns = [];
+    const insert = INSERT_PATTERN.exec(query);
+    const insertColumns = insert ? insert[1].split(',').map(column => column.trim()) : [];
+    const valuesStart = insert ? insert.index + insert[0].length : -1;
+    let insertPosition = 0;
+
+    for (let i = 0; i < query.length; i++) {
+        if (query[i] !== '?') {
+            continue;
+        }
+
+        if (insert && i >= valuesStart && insertPosition < insertColumns.length) {
+            columns.push(insertColumns[insertPosition]);
+            insertPosition += 1;
+            continue;
+        }
+
+        const match = COMPARISON_PATTERN.exec(query.slice(0, i));
+        columns.push(match ? match[1].split('.').pop() : null);
+    }
+
+    return columns;
+}
+
+/**
+ * Sustituye los parámetros de columnas sensibles por un marcador
+ * @param {string} query - Consulta SQL
+ * @param {Array} params - Parámetros de la consulta
+ * @param {Array<string>} sensitiveColumns - Columnas a ocultar
+ * @returns {Array} - Copia de los parámetros con los valores sensibles ocultos
+ */
+function redactParams(query, params = [], sensitiveColumns = DEFAULT_SENSITIVE_COLUMNS) {
+    const columns = getPlaceholderColumns(query);
+    const sensitive = sensitiveColumns.map(column => column.toLowerCase());
+
+    return params.map((value, index) => {
+        const column = columns[index];
+        return column && sensitive.includes(column.toLowerCase()) ? REDACTED : value;
+    });
+}
+
+/**
+ * Reduce los espacios de una consulta para mostrarla en una sola línea
+ * @param {string} query - Consulta SQL
+ * @returns {string} - Consulta compactada
+ */
+function compactQuery(query) {
+    return query.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Logger legible para la terminal (comportamiento por defecto)
+ */
+class ConsoleLogger {
+    /**
+     * @param {Object} options - Opciones
+     * @param {string} options.level - Nivel mínimo a mostrar (por defecto 'info')
+     */
+    constructor(options = {}) {
+        this.level = options.level || 'info';
+    }
+
+    /**
+     * Registra un evento
+     * @param {string} level - Nivel del evento
+     * @param {string} event - Nombre del evento
+     * @param {Object} data - Datos del evento
+     */
+    log(level, event, data = {}) {
+        if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) {
+            return;
+        }
+
+        const label = data.label ? `[${data.label}] ` : '';
+        const database = data.database && data.database !== 'default' ? ` (${data.database})` : '';
+
+        switch (event) {
+            case 'connect':
+                console.log(`Conexión a la base de datos${database} establecida exitosamente`);
+                break;
+            case 'disconnect':
+                console.log(`Conexión a la base de datos${database} cerrada`);
+                break;
+            case 'query:slow':
+                console.warn(`${label}Consulta lenta (${data.durationMs} ms): ${data.sql}`);
+                break;
+            case 'query:error':
+                console.error(`${label}Error en la consulta SQL:`, data.error.message);
+                console.error('Query:', data.sql);
+                console.error('Parámetros:', data.params);
+                break;
+            case 'query:end':
+                console.log(`${label}${data.sql} (${data.durationMs} ms)`);
+                break;
+            case 'connection:lost':
+                console.warn(`Conexión a la base de datos perdida (${data.error.code || data.error.message})`);
+                break;
+            case 'publisher:error':
+                console.error(`Error al publicar frases programadas${database}:`, data.error.message);
+                break;
+            case 'retry':
+                console.warn(`${label}Reintento ${data.attempt} de la ${data.scope === 'transaction' ? 'transacción' : 'consulta'} en ${data.delayMs} ms (${data.error.code || data.error.message})`);
+                break;
+            default:
+                (level === 'error' ? console.error : console.log)(data.message || event, data.error ? data.error.message : '');
+        }
+    }
+}
+
+/**
+ * Logger que escribe un objeto JSON por línea, apto para agregadores de logs
+ */
+class JsonLinesLogger {
+    /**
+     * @param {Object} options - Opciones
+     * @param {Object} options.stream - Stream de escritura (por defecto process.stdout)
+     * @param {string} options.level - Nivel mínimo a registrar (por defecto 'info')
+     */
+    constructor(options = {}) {
+        this.stream = options.stream || process.stdout;
+        this.level = options.level || 'info';
+    }
+
+    /**
+     * Registra un evento como una línea JSON
+     * @param {string} level - Nivel del evento
+     * @param {string} event - Nombre del evento
+     * @param {Object} data - Datos del evento
+     */
+    log(level, event, data = {}) {
+        if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) {
+            return;
+        }
+
+        this.stream.write(JSON.stringify({
+            time: new Date().toISOString(),
+            level: level,
+            event: event,
+            ...data
+        }) + '\n');
+    }
+}
+
+/**
+ * Crea el logger indicado por la configuración
+ * @param {string} format - 'json' para JSON-lines, cualquier otro valor para la terminal
+ * @param {string} level - Nivel mínimo a registrar
+ * @returns {Object} - Logger
+ */
+function createLogger(format, level) {
+    return format === 'json' ? new JsonLinesLogger({ level }) : new ConsoleLogger({ level });
+}
+
+module.exports = {
+    DEFAULT_SENSITIVE_COLUMNS,
+    REDACTED,
+    getPlaceholderColumns,
+    redactParams,
+    compactQuery,
+    createLogger,
+    ConsoleLogger,
+    JsonLinesLogger
+};
@@ -0,0 +1,75 @@
+/**
+ * Crea las tablas base de GratiDay: usuario, categoria y frase
+ */
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS usuario (
+                    id_user INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+                    nombre VARCHAR(100) NOT NULL,
+                    correo_electronico VARCHAR(150) NOT NULL UNIQUE,
+                    password_hash VARCHAR(255) NOT NULL,
+                    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                    rol VARCHAR(10) NOT NULL
+                )
+            `);
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS categoria (
+                    id_category INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+                    nombre VARCHAR(80) NOT NULL UNIQUE,
+                    descripcion VARCHAR(255)
+                )
+            `);
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS frase (
+                    id_quote INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+                    texto TEXT NOT NULL,
+                    autor VARCHAR(120),
+                    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                    creado_por INTEGER NOT NULL,
+                    categoria_id INTEGER NOT NULL,
+                    FOREIGN KEY (creado_por) REFERENCES usuario(id_user),
+                    FOREIGN KEY (categoria_id) REFERENCES categoria(id_category)
+                )
+            `);
+            return;
+        }
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS usuario (
+                id_user INT AUTO_INCREMENT PRIMARY KEY NOT NULL,
+                nombre VARCHAR(100) NOT NULL,
+                correo_electronico VARCHAR(150) NOT NULL UNIQUE,
+                password_hash VARCHAR(255) NOT NULL,
+                fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                rol VARCHAR(10) NOT NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS categoria (
+                id_category INT AUTO_INCREMENT PRIMARY KEY NOT NULL,
+                nombre VARCHAR(80) NOT NULL UNIQUE,
+                descripcion VARCHAR(255)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS frase (
+                id_quote INT AUTO_INCREMENT PRIMARY KEY NOT NULL,
+                texto TEXT NOT NULL,
+                autor VARCHAR(120),
+                fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                creado_por INT NOT NULL,
+                categoria_id INT NOT NULL,
+                FOREIGN KEY (creado_por) REFERENCES usuario(id_user),
+                FOREIGN KEY (categoria_id) REFERENCES categoria(id_category)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS frase');
+        await db.query('DROP TABLE IF EXISTS categoria');
+        await db.query('DROP TABLE IF EXISTS usuario');
+    }
+};
@@ -0,0 +1,25 @@
+const { hasColumn } = require('../schema');
+
+/**
+ * Agrega a frase la fecha programada (scheduled_at) y el estado editorial (status)
+ * Las bases creadas con SQL/database.sql ya tienen ambas columnas
+ */
+module.exports = {
+    async up(db) {
+        if (!await hasColumn(db, 'frase', 'scheduled_at')) {
+            await db.query('ALTER TABLE frase ADD COLUMN scheduled_at DATETIME NULL');
+        }
+
+        if (!await hasColumn(db, 'frase', 'status')) {
+            const statusColumn = db.dialect === 'sqlite'
+                ? "VARCHAR(10) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft','scheduled','published'))"
+                : "ENUM('draft','scheduled','published') NOT NULL DEFAULT 'draft'";
+            await db.query(`ALTER TABLE frase ADD COLUMN status ${statusColumn}`);
+        }
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE frase DROP COLUMN status');
+        await db.query('ALTER TABLE frase DROP COLUMN scheduled_at');
+    }
+};
@@ -0,0 +1,27 @@
+const { hasIndex } = require('../schema');
+
+const INDEXES = [
+    ['idx_frase_fecha', 'fecha_creacion'],
+    ['idx_frase_categoria_fecha', 'categoria_id, fecha_creacion'],
+    ['idx_frase_scheduled_at', 'scheduled_at'],
+    ['idx_frase_status', 'status']
+];
+
+/**
+ * Crea los índices recomendados de la tabla frase
+ */
+module.exports = {
+    async up(db) {
+        for (const [name, columns] of INDEXES) {
+            if (!await hasIndex(db, 'frase', name)) {
+                await db.query(`CREATE INDEX ${name} ON frase(${columns})`);
+            }
+        }
+    },
+
+    async down(db) {
+        for (const [name] of INDEXES) {
+            await db.query(db.dialect === 'sqlite' ? `DROP INDEX ${name}` : `DROP INDEX ${name} ON frase`);
+        }
+    }
+};
@@ -0,0 +1,25 @@
+const { hasColumn, hasIndex } = require('../schema');
+
+/**
+ * Agrega a frase la fecha en que se publicó realmente (published_at)
+ * Las frases publicadas antes de esta migración quedan con published_at en NULL
+ */
+module.exports = {
+    async up(db) {
+        if (!await hasColumn(db, 'frase', 'published_at')) {
+            await db.query('ALTER TABLE frase ADD COLUMN published_at DATETIME NULL');
+        }
+
+        if (!await hasIndex(db, 'frase', 'idx_frase_status_scheduled')) {
+            // Índice para localizar las frases programadas vencidas
+            await db.query('CREATE INDEX idx_frase_status_scheduled ON frase(status, scheduled_at)');
+        }
+    },
+
+    async down(db) {
+        await db.query(db.dialect === 'sqlite'
+            ? 'DROP INDEX idx_frase_status_scheduled'
+            : 'DROP INDEX idx_frase_status_scheduled ON frase');
+        await db.query('ALTER TABLE frase DROP COLUMN published_at');
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Crea la tabla login_throttle con los intentos fallidos de inicio de sesión
+ * Cada fila cuenta los fallos de una cuenta (scope 'account', clave = correo) o de
+ * un cliente (scope 'client', clave = IP u otro identificador) y su bloqueo temporal
+ */
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS login_throttle (
+                    id_throttle INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+                    scope VARCHAR(10) NOT NULL CHECK (scope IN ('account','client')),
+                    throttle_key VARCHAR(255) NOT NULL,
+                    failures INTEGER NOT NULL DEFAULT 0,
+                    last_failure_at DATETIME NULL,
+                    locked_until DATETIME NULL,
+                    UNIQUE (scope, throttle_key)
+                )
+            `);
+            return;
+        }
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS login_throttle (
+                id_throttle INT AUTO_INCREMENT PRIMARY KEY NOT NULL,
+                scope ENUM('account','client') NOT NULL,
+                throttle_key VARCHAR(255) NOT NULL,
+                failures INT NOT NULL DEFAULT 0,
+                last_failure_at DATETIME NULL,
+                locked_until DATETIME NULL,
+                UNIQUE KEY uq_login_throttle (scope, throttle_key)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS login_throttle');
+    }
+};
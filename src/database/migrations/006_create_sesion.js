@@ -0,0 +1,43 @@
+/**
+ * Crea la tabla sesion con las sesiones emitidas al iniciar sesión
+ * El token firmado solo contiene el id de la sesión; la fila permite cerrarla
+ * (revoked_at) o cerrar todas las sesiones de un usuario
+ */
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS sesion (
+                    id_session CHAR(32) PRIMARY KEY NOT NULL,
+                    id_user INTEGER NOT NULL,
+                    client_key VARCHAR(255) NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                    expires_at DATETIME NOT NULL,
+                    last_used_at DATETIME NULL,
+                    revoked_at DATETIME NULL,
+                    FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_sesion_usuario ON sesion(id_user)');
+            return;
+        }
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS sesion (
+                id_session CHAR(32) PRIMARY KEY NOT NULL,
+                id_user INT NOT NULL,
+                client_key VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                expires_at DATETIME NOT NULL,
+                last_used_at DATETIME NULL,
+                revoked_at DATETIME NULL,
+                INDEX idx_sesion_usuario (id_user),
+                FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS sesion');
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * Crea la tabla usuario_token con los tokens de un solo uso enviados por correo
+ * (restablecimiento de contraseña). Solo se guarda el hash SHA-256 del token
+ */
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS usuario_token (
+                    id_token INTEGER PRIMARY KEY AUTOINCREMENT,
+                    id_user INTEGER NOT NULL,
+                    tipo VARCHAR(30) NOT NULL,
+                    token_hash CHAR(64) NOT NULL UNIQUE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                    expires_at DATETIME NOT NULL,
+                    used_at DATETIME NULL,
+                    FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_usuario_token_usuario ON usuario_token(id_user, tipo)');
+            return;
+        }
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS usuario_token (
+                id_token INT PRIMARY KEY AUTO_INCREMENT,
+                id_user INT NOT NULL,
+                tipo VARCHAR(30) NOT NULL,
+                token_hash CHAR(64) NOT NULL UNIQUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME NULL,
+                INDEX idx_usuario_token_usuario (id_user, tipo),
+                FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS usuario_token');
+    }
+};
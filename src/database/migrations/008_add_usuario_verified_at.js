@@ -0,0 +1,18 @@
+const { hasColumn } = require('../schema');
+
+/**
+ * Agrega a usuario la fecha en que verificó su correo electrónico (verified_at)
+ * Las cuentas creadas antes de esta migración se consideran verificadas desde su creación
+ */
+module.exports = {
+    async up(db) {
+        if (!await hasColumn(db, 'usuario', 'verified_at')) {
+            await db.query('ALTER TABLE usuario ADD COLUMN verified_at DATETIME NULL');
+            await db.query('UPDATE usuario SET verified_at = fecha_creacion WHERE verified_at IS NULL');
+        }
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE usuario DROP COLUMN verified_at');
+    }
+};
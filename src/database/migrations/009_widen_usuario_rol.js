@@ -0,0 +1,20 @@
+/**
+ * Amplía la columna rol de usuario para los nuevos roles (admin, editor, moderator,
+ * contributor) y convierte el antiguo rol "user" en "contributor"
+ */
+module.exports = {
+    async up(db) {
+        if (db.dialect !== 'sqlite') {
+            // SQLite no limita la longitud de VARCHAR
+            await db.query('ALTER TABLE usuario MODIFY rol VARCHAR(20) NOT NULL');
+        }
+        await db.query("UPDATE usuario SET rol = 'contributor' WHERE rol = 'user'");
+    },
+
+    async down(db) {
+        await db.query("UPDATE usuario SET rol = 'user' WHERE rol <> 'admin'");
+        if (db.dialect !== 'sqlite') {
+            await db.query('ALTER TABLE usuario MODIFY rol VARCHAR(10) NOT NULL');
+        }
+    }
+};
@@ -0,0 +1,22 @@
+const { hasColumn } = require('../schema');
+
+/**
+ * Agrega a usuario las fechas de desactivación (deactivated_at) y anonimización
+ * (anonymized_at), usadas al eliminar cuentas que tienen frases
+ */
+module.exports = {
+    async up(db) {
+        if (!await hasColumn(db, 'usuario', 'deactivated_at')) {
+            await db.query('ALTER TABLE usuario ADD COLUMN deactivated_at DATETIME NULL');
+        }
+
+        if (!await hasColumn(db, 'usuario', 'anonymized_at')) {
+            await db.query('ALTER TABLE usuario ADD COLUMN anonymized_at DATETIME NULL');
+        }
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE usuario DROP COLUMN anonymized_at');
+        await db.query('ALTER TABLE usuario DROP COLUMN deactivated_at');
+    }
+};
@@ -0,0 +1,55 @@
+/**
+ * Crea las tablas de preferencias de usuario: usuario_preferencia (idioma, zona horaria
+ * y hora de envío de la frase diaria) y usuario_categoria_favorita
+ */
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS usuario_preferencia (
+                    id_user INTEGER PRIMARY KEY NOT NULL,
+                    idioma VARCHAR(10) NOT NULL,
+                    zona_horaria VARCHAR(64) NOT NULL,
+                    hora_envio CHAR(5) NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                    FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+                )
+            `);
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS usuario_categoria_favorita (
+                    id_user INTEGER NOT NULL,
+                    id_category INTEGER NOT NULL,
+                    PRIMARY KEY (id_user, id_category),
+                    FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE,
+                    FOREIGN KEY (id_category) REFERENCES categoria(id_category) ON DELETE CASCADE
+                )
+            `);
+            return;
+        }
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS usuario_preferencia (
+                id_user INT PRIMARY KEY NOT NULL,
+                idioma VARCHAR(10) NOT NULL,
+                zona_horaria VARCHAR(64) NOT NULL,
+                hora_envio CHAR(5) NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS usuario_categoria_favorita (
+                id_user INT NOT NULL,
+                id_category INT NOT NULL,
+                PRIMARY KEY (id_user, id_category),
+                FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE,
+                FOREIGN KEY (id_category) REFERENCES categoria(id_category) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS usuario_categoria_favorita');
+        await db.query('DROP TABLE IF EXISTS usuario_preferencia');
+    }
+};
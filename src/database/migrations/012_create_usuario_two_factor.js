@@ -0,0 +1,58 @@
+/**
+ * Crea las tablas de la autenticación en dos pasos: usuario_two_factor (secreto TOTP,
+ * fecha de activación y último intervalo usado) y usuario_recovery_code (hash SHA-256
+ * de los códigos de recuperación)
+ */
+module.exports = {
+    async up(db) {
+        if (db.dialect === 'sqlite') {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS usuario_two_factor (
+                    id_user INTEGER PRIMARY KEY NOT NULL,
+                    secret VARCHAR(64) NOT NULL,
+                    enabled_at DATETIME NULL,
+                    last_used_step BIGINT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                    FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+                )
+            `);
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS usuario_recovery_code (
+                    id_code INTEGER PRIMARY KEY AUTOINCREMENT,
+                    id_user INTEGER NOT NULL,
+                    code_hash CHAR(64) NOT NULL,
+                    used_at DATETIME NULL,
+                    FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_usuario_recovery_code_usuario ON usuario_recovery_code(id_user)');
+            return;
+        }
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS usuario_two_factor (
+                id_user INT PRIMARY KEY NOT NULL,
+                secret VARCHAR(64) NOT NULL,
+                enabled_at DATETIME NULL,
+                last_used_step BIGINT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS usuario_recovery_code (
+                id_code INT PRIMARY KEY AUTO_INCREMENT,
+                id_user INT NOT NULL,
+                code_hash CHAR(64) NOT NULL,
+                used_at DATETIME NULL,
+                INDEX idx_usuario_recovery_code_usuario (id_user),
+                FOREIGN KEY (id_user) REFERENCES usuario(id_user) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS usuario_recovery_code');
+        await db.query('DROP TABLE IF EXISTS usuario_two_factor');
+    }
+};
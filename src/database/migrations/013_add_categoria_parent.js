@@ -0,0 +1,35 @@
+const { hasColumn, hasIndex } = require('../schema');
+
+/**
+ * Agrega a categoria la categoría padre (parent_id) para anidar categorías,
+ * por ejemplo "Gratitud > Familia". Las categorías existentes quedan en la raíz
+ */
+module.exports = {
+    async up(db) {
+        if (!await hasColumn(db, 'categoria', 'parent_id')) {
+            if (db.dialect === 'sqlite') {
+                await db.query('ALTER TABLE categoria ADD COLUMN parent_id INTEGER NULL REFERENCES categoria(id_category)');
+            } else {
+                await db.query(`
+                    ALTER TABLE categoria
+                    ADD COLUMN parent_id INT NULL,
+                    ADD CONSTRAINT fk_categoria_parent FOREIGN KEY (parent_id) REFERENCES categoria(id_category)
+                `);
+            }
+        }
+
+        if (!await hasIndex(db, 'categoria', 'idx_categoria_parent')) {
+            await db.query('CREATE INDEX idx_categoria_parent ON categoria(parent_id)');
+        }
+    },
+
+    async down(db) {
+        if (db.dialect === 'sqlite') {
+            await db.query('DROP INDEX idx_categoria_parent');
+        } else {
+            await db.query('ALTER TABLE categoria DROP FOREIGN KEY fk_categoria_parent');
+            await db.query('DROP INDEX idx_categoria_parent ON categoria');
+        }
+        await db.query('ALTER TABLE categoria DROP COLUMN parent_id');
+    }
+};
@@ -0,0 +1,22 @@
+const { hasColumn } = require('../schema');
+
+/**
+ * Agrega la fecha de archivo (archived_at) a categoria y frase, usada al eliminar una
+ * categoría con la estrategia "archive": la categoría y sus frases se conservan ocultas
+ */
+module.exports = {
+    async up(db) {
+        if (!await hasColumn(db, 'categoria', 'archived_at')) {
+            await db.query('ALTER TABLE categoria ADD COLUMN archived_at DATETIME NULL');
+        }
+
+        if (!await hasColumn(db, 'frase', 'archived_at')) {
+            await db.query('ALTER TABLE frase ADD COLUMN archived_at DATETIME NULL');
+        }
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE frase DROP COLUMN archived_at');
+        await db.query('ALTER TABLE categoria DROP COLUMN archived_at');
+    }
+};
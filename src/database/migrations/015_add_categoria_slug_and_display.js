@@ -0,0 +1,99 @@
+const { hasColumn, hasIndex } = require('../schema');
+
+/**
+ * Agrega a categoria el slug único para URLs y los datos de presentación (color, icono,
+ * orden manual y destacada), y crea categoria_slug_historial con los slugs anteriores
+ * de las categorías renombradas. Los slugs de las categorías existentes se generan a
+ * partir de su nombre
+ */
+
+/**
+ * Genera el slug de un nombre (copia fija de Categoria.slugify al escribir la migración)
+ * @param {string} nombre - Nombre de la categoría
+ * @returns {string}
+ */
+function slugify(nombre) {
+    const slug = String(nombre)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80)
+        .replace(/-+$/g, '');
+    return slug || 'categoria';
+}
+
+module.exports = {
+    async up(db) {
+        const columns = [
+            ['slug', 'VARCHAR(100) NULL'],
+            ['color', 'VARCHAR(7) NULL'],
+            ['icono', 'VARCHAR(40) NULL'],
+            ['orden', 'INT NOT NULL DEFAULT 0'],
+            ['destacada', db.dialect === 'sqlite' ? 'INTEGER NOT NULL DEFAULT 0' : 'TINYINT(1) NOT NULL DEFAULT 0']
+        ];
+        for (const [name, definition] of columns) {
+            if (!await hasColumn(db, 'categoria', name)) {
+                await db.query(`ALTER TABLE categoria ADD COLUMN ${name} ${definition}`);
+            }
+        }
+
+        const existing = await db.query('SELECT slug FROM categoria WHERE slug IS NOT NULL');
+        const used = new Set(existing.map(row => row.slug));
+        const pending = await db.query('SELECT id_category, nombre FROM categoria WHERE slug IS NULL ORDER BY id_category');
+        for (const row of pending) {
+            const base = slugify(row.nombre);
+            let slug = base;
+            for (let suffix = 2; used.has(slug); suffix++) {
+                slug = `${base}-${suffix}`;
+            }
+            used.add(slug);
+            await db.query('UPDATE categoria SET slug = ? WHERE id_category = ?', [slug, row.id_category]);
+        }
+
+        if (!await hasIndex(db, 'categoria', 'uq_categoria_slug')) {
+            await db.query('CREATE UNIQUE INDEX uq_categoria_slug ON categoria(slug)');
+        }
+        if (!await hasIndex(db, 'categoria', 'idx_categoria_orden')) {
+            await db.query('CREATE INDEX idx_categoria_orden ON categoria(orden, nombre)');
+        }
+
+        if (db.dialect === 'sqlite') {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS categoria_slug_historial (
+                    slug VARCHAR(100) PRIMARY KEY NOT NULL,
+                    id_category INTEGER NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                    FOREIGN KEY (id_category) REFERENCES categoria(id_category) ON DELETE CASCADE
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_categoria_slug_historial_categoria ON categoria_slug_historial(id_category)');
+            return;
+        }
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS categoria_slug_historial (
+                slug VARCHAR(100) PRIMARY KEY NOT NULL,
+                id_category INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+                INDEX idx_categoria_slug_historial_categoria (id_category),
+                FOREIGN KEY (id_category) REFERENCES categoria(id_category) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS categoria_slug_historial');
+        if (db.dialect === 'sqlite') {
+            await db.query('DROP INDEX idx_categoria_orden');
+            await db.query('DROP INDEX uq_categoria_slug');
+        } else {
+            await db.query('DROP INDEX idx_categoria_orden ON categoria');
+            await db.query('DROP INDEX uq_categoria_slug ON categoria');
+        }
+        for (const name of ['destacada', 'orden', 'icono', 'color', 'slug']) {
+            await db.query(`ALTER TABLE categoria DROP COLUMN ${name}`);
+        }
+    }
+};
@@ -0,0 +1,90 @@
+/**
+ * Clasificación de errores transitorios y cálculo del backoff exponencial
+ * para reintentar consultas y transacciones
+ */
+
+// Errores que indican que la conexión ya no es utilizable
+const CONNECTION_ERROR_CODES = [
+    'PROTOCOL_CONNECTION_LOST',
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'EPIPE',
+    'ETIMEDOUT',
+    'PROTOCOL_SEQUENCE_TIMEOUT'
+];
+
+// Conflictos de concurrencia que desaparecen al repetir la operación
+const CONFLICT_ERROR_CODES = [
+    'ER_LOCK_DEADLOCK',
+    'ER_LOCK_WAIT_TIMEOUT',
+    'SQLITE_BUSY'
+];
+
+// Consultas que solo leen y pueden repetirse sin efectos secundarios
+const READ_QUERY_PATTERN = /^\s*(SELECT|SHOW|DESCRIBE|EXPLAIN)\b/i;
+
+const DEFAULT_RETRY_POLICY = {
+    retries: 3,
+    baseDelay: 100,
+    maxDelay: 2000,
+    factor: 2
+};
+
+/**
+ * Verifica si un error indica una conexión perdida o inutilizable
+ * @param {Error} error - Error del driver
+ * @returns {boolean}
+ */
+function isConnectionError(error) {
+    return error.fatal === true || CONNECTION_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Verifica si un error es transitorio (conexión perdida o conflicto de bloqueo)
+ * @param {Error} error - Error del driver
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    return isConnectionError(error) || CONFLICT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Verifica si una consulta es de solo lectura
+ * @param {string} query - Consulta SQL
+ * @returns {boolean}
+ */
+function isReadQuery(query) {
+    return READ_QUERY_PATTERN.test(query);
+}
+
+/**
+ * Calcula la espera antes de un reintento con backoff exponencial y jitter
+ * @param {Object} policy - Política de reintentos (baseDelay, maxDelay, factor)
+ * @param {number} attempt - Número de reintento (1 = primer reintento)
+ * @returns {number} - Milisegundos de espera
+ */
+function getBackoffDelay(policy, attempt) {
+    const exponential = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+    // Jitter del 50 % para que varios clientes no reintenten a la vez
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Espera el tiempo indicado
+ * @param {number} ms - Milisegundos
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    CONNECTION_ERROR_CODES,
+    CONFLICT_ERROR_CODES,
+    isConnectionError,
+    isTransientError,
+    isReadQuery,
+    getBackoffDelay,
+    sleep
+};
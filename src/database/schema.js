@@ -0,0 +1,57 @@
+/**
+ * Utilidades de introspección del esquema para las migraciones
+ * Reciben cualquier objeto con query() y dialect (Database o Transaction)
+ */
+
+/**
+ * Verifica si existe una tabla
+ * @param {Object} db - Database o Transaction
+ * @param {string} table - Nombre de la tabla
+ * @returns {Promise<boolean>}
+ */
+async function hasTable(db, table) {
+    const query = db.dialect === 'sqlite'
+        ? "SELECT COUNT(*) as total FROM sqlite_master WHERE type = 'table' AND name = ?"
+        : 'SELECT COUNT(*) as total FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?';
+
+    const results = await db.query(query, [table]);
+    return results[0].total > 0;
+}
+
+/**
+ * Verifica si una tabla tiene una columna
+ * @param {Object} db - Database o Transaction
+ * @param {string} table - Nombre de la tabla
+ * @param {string} column - Nombre de la columna
+ * @returns {Promise<boolean>}
+ */
+async function hasColumn(db, table, column) {
+    const query = db.dialect === 'sqlite'
+        ? 'SELECT COUNT(*) as total FROM pragma_table_info(?) WHERE name = ?'
+        : 'SELECT COUNT(*) as total FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?';
+
+    const results = await db.query(query, [table, column]);
+    return results[0].total > 0;
+}
+
+/**
+ * Verifica si existe un índice en una tabla
+ * @param {Object} db - Database o Transaction
+ * @param {string} table - Nombre de la tabla
+ * @param {string} index - Nombre del índice
+ * @returns {Promise<boolean>}
+ */
+async function hasIndex(db, table, index) {
+    const query = db.dialect === 'sqlite'
+        ? "SELECT COUNT(*) as total FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name = ?"
+        : 'SELECT COUNT(*) as total FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?';
+
+    const results = await db.query(query, [table, index]);
+    return results[0].total > 0;
+}
+
+module.exports = {
+    hasTable,
+    hasColumn,
+    hasIndex
+};
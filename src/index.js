@@ -4,13 +4,52 @@
  */
 
 const Database = require('./database/Database');
+const Transaction = require('./database/Transaction');
+const Migrator = require('./database/Migrator');
+const QueryBuilder = require('./database/QueryBuilder');
+const { ConsoleLogger, JsonLinesLogger } = require('./database/instrumentation');
+const {
+    DataAccessError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    ReferenceError,
+    PermissionError,
+    LockoutError,
+    TwoFactorRequiredError,
+    TransactionScopeError
+} = require('./database/errors');
 const Usuario = require('./models/Usuario');
 const Categoria = require('./models/Categoria');
 const Frase = require('./models/Frase');
+const Preferencias = require('./models/Preferencias');
+const Publisher = require('./scheduler/Publisher');
+const mailer = require('./mail/mailer');
+const permissions = require('./auth/permissions');
 
 module.exports = {
     Database,
+    Transaction,
+    Migrator,
+    QueryBuilder,
+    ConsoleLogger,
+    JsonLinesLogger,
+    DataAccessError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    ReferenceError,
+    PermissionError,
+    LockoutError,
+    TwoFactorRequiredError,
+    TransactionScopeError,
     Usuario,
     Categoria,
-    Frase
+    Frase,
+    Preferencias,
+    Publisher,
+    mailer,
+    permissions,
+    ConsoleMailer: mailer.ConsoleMailer,
+    FileMailer: mailer.FileMailer
 };
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Envío de correos
+ *
+ * Un mailer es cualquier objeto con un método async send(message), donde message
+ * tiene from, to, subject y text. Para desarrollo local se incluyen ConsoleMailer
+ * (muestra el correo en la terminal) y FileMailer (guarda cada correo en un archivo);
+ * en producción se configura uno propio con configure({ mailer }).
+ */
+
+const settings = {
+    from: process.env.MAIL_FROM || 'GratiDay <no-reply@gratiday.local>',
+    mailer: null
+};
+
+/**
+ * Mailer que muestra los correos en la terminal (comportamiento por defecto)
+ */
+class ConsoleMailer {
+    /**
+     * Muestra un correo
+     * @param {Object} message - Correo con from, to, subject y text
+     * @returns {Promise<Object>} - Correo mostrado
+     */
+    async send(message) {
+        console.log(`\n--- Correo para ${message.to} ---`);
+        console.log(`De: ${message.from}`);
+        console.log(`Asunto: ${message.subject}\n`);
+        console.log(message.text);
+        console.log('--- Fin del correo ---\n');
+        return message;
+    }
+}
+
+/**
+ * Mailer que guarda cada correo en un archivo de texto dentro de un directorio
+ */
+class FileMailer {
+    /**
+     * @param {Object} options - Opciones
+     * @param {string} options.directory - Directorio de los correos (por defecto "mail")
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || 'mail';
+    }
+
+    /**
+     * Guarda un correo
+     * @param {Object} message - Correo con from, to, subject y text
+     * @returns {Promise<Object>} - Correo guardado con la ruta del archivo en file
+     */
+    async send(message) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.txt`;
+        const file = path.join(this.directory, name);
+        const content = [
+            `De: ${message.from}`,
+            `Para: ${message.to}`,
+            `Asunto: ${message.subject}`,
+            '',
+            message.text
+        ].join('\n');
+
+        await fs.promises.writeFile(file, content + '\n', 'utf8');
+        return { ...message, file };
+    }
+}
+
+/**
+ * Crea el mailer indicado por la configuración
+ * @param {string} transport - 'file' para FileMailer, cualquier otro valor para la terminal
+ * @param {Object} options - Opciones del mailer
+ * @returns {Object} - Mailer
+ */
+function createMailer(transport, options = {}) {
+    return transport === 'file' ? new FileMailer(options) : new ConsoleMailer();
+}
+
+/**
+ * Cambia el remitente o el mailer
+ * @param {Object} options - Opciones
+ * @param {string} options.from - Remitente de los correos
+ * @param {Object} options.mailer - Objeto con método send(message)
+ */
+function configure(options = {}) {
+    if (options.mailer !== undefined && (!options.mailer || typeof options.mailer.send !== 'function')) {
+        throw new Error('El mailer debe tener un método send(message)');
+    }
+
+    ['from', 'mailer'].forEach(key => {
+        if (options[key] !== undefined) {
+            settings[key] = options[key];
+        }
+    });
+}
+
+/**
+ * Obtiene el mailer configurado (por defecto, el indicado en MAIL_TRANSPORT)
+ * @returns {Object} - Mailer
+ */
+function getMailer() {
+    settings.mailer = settings.mailer || createMailer(process.env.MAIL_TRANSPORT, { directory: process.env.MAIL_DIR });
+    return settings.mailer;
+}
+
+/**
+ * Envía un correo con el mailer configurado
+ * @param {Object} message - Correo con to, subject y text (from es opcional)
+ * @returns {Promise<Object>} - Resultado del mailer
+ */
+async function send(message) {
+    if (!message || !message.to || !message.subject) {
+        throw new Error('El correo debe tener destinatario y asunto');
+    }
+
+    return getMailer().send({ from: settings.from, ...message });
+}
+
+module.exports = {
+    configure,
+    createMailer,
+    getMailer,
+    send,
+    ConsoleMailer,
+    FileMailer
+};
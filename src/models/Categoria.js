@@ -1,65 +1,364 @@
 const Database = require('../database/Database');
+const QueryBuilder = require('../database/QueryBuilder');
+const permissions = require('../auth/permissions');
+const { ValidationError, NotFoundError, ConflictError, ReferenceError, addFieldError, validationResult } = require('../database/errors');
+
+// Estrategias para eliminar una categoría que tiene frases
+const DELETE_STRATEGIES = ['cascade', 'reassign', 'archive'];
+
+// Frases que se muestran en la vista previa de una eliminación
+const PREVIEW_LIMIT = 20;
+
+// Campos que update() no asigna directamente: el slug se genera a partir del nombre
+const PROTECTED_FIELDS = ['id_category', 'slug', 'archived_at'];
+
+// Longitud máxima de la descripción (columna VARCHAR(255))
+const DESCRIPTION_MAX_LENGTH = 255;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const ICON_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+// Profundidad máxima que recorren las consultas recursivas (protege ante datos con ciclos)
+const MAX_DEPTH = 32;
+
+// IDs de una categoría y todas sus descendientes
+const SUBTREE_IDS_SQL = `
+    WITH RECURSIVE subarbol (id_category, nivel) AS (
+        SELECT id_category, 0 FROM categoria WHERE id_category = ?
+        UNION
+        SELECT c.id_category, s.nivel + 1
+        FROM categoria c
+        JOIN subarbol s ON c.parent_id = s.id_category
+        WHERE s.nivel < ${MAX_DEPTH}
+    )
+    SELECT DISTINCT id_category FROM subarbol
+`;
+
+// Categorías ancestras de una categoría, de la raíz a su padre
+const ANCESTORS_SQL = `
+    WITH RECURSIVE ancestros (id_category, parent_id, nivel) AS (
+        SELECT id_category, parent_id, 0 FROM categoria WHERE id_category = ?
+        UNION
+        SELECT c.id_category, c.parent_id, a.nivel + 1
+        FROM categoria c
+        JOIN ancestros a ON c.id_category = a.parent_id
+        WHERE a.nivel < ${MAX_DEPTH}
+    )
+    SELECT c.* FROM ancestros a
+    JOIN categoria c ON c.id_category = a.id_category
+    WHERE a.nivel > 0
+    ORDER BY a.nivel DESC
+`;
+
+// Inicio del periodo (día, semana desde el lunes o mes) de una columna de fecha, en formato YYYY-MM-DD
+const TREND_PERIODS = {
+    day: {
+        sqlite: column => `DATE(${column})`,
+        mysql: column => `DATE(${column})`
+    },
+    week: {
+        sqlite: column => `DATE(${column}, 'weekday 0', '-6 days')`,
+        mysql: column => `DATE(${column} - INTERVAL WEEKDAY(${column}) DAY)`
+    },
+    month: {
+        sqlite: column => `STRFTIME('%Y-%m-01', ${column})`,
+        mysql: column => `DATE_FORMAT(${column}, '%Y-%m-01')`
+    }
+};
+
+// Duración de un día en milisegundos
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periodos que puede abarcar un reporte de tendencias
+const MAX_TREND_PERIODS = 400;
+
+// Categorías en el ranking de tendencias por defecto
+const TRENDING_LIMIT = 5;
+
+/**
+ * Calcula el inicio (UTC) del periodo que contiene una fecha
+ * @param {Date} date - Fecha
+ * @param {string} granularity - 'day', 'week' o 'month'
+ * @returns {Date}
+ */
+function periodStart(date, granularity) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (granularity === 'week') {
+        start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    } else if (granularity === 'month') {
+        start.setUTCDate(1);
+    }
+    return start;
+}
+
+/**
+ * Calcula el inicio del periodo siguiente
+ * @param {Date} start - Inicio de un periodo
+ * @param {string} granularity - 'day', 'week' o 'month'
+ * @returns {Date}
+ */
+function nextPeriod(start, granularity) {
+    const next = new Date(start);
+    if (granularity === 'month') {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    } else {
+        next.setUTCDate(next.getUTCDate() + (granularity === 'week' ? 7 : 1));
+    }
+    return next;
+}
+
+/**
+ * Normaliza la clave de periodo devuelta por la base de datos (texto en SQLite, Date en MySQL)
+ * @param {string|Date} value - Inicio del periodo
+ * @returns {string} - Fecha YYYY-MM-DD
+ */
+function periodKey(value) {
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * Variación porcentual respecto al periodo anterior
+ * @param {number} current - Valor del periodo
+ * @param {number} previous - Valor del periodo anterior
+ * @returns {number|null} - Porcentaje con un decimal, o null si el periodo anterior fue 0 y el actual no
+ */
+function growth(current, previous) {
+    if (previous === 0) {
+        return current === 0 ? 0 : null;
+    }
+    return Math.round((current - previous) / previous * 1000) / 10;
+}
+
+/**
+ * Separa las opciones de la transacción cuando se pasa la transacción en lugar de las opciones
+ * @param {Object|Transaction|null} options - Opciones o transacción
+ * @param {Transaction|null} tx - Transacción
+ * @returns {Array} - [options, tx]
+ */
+function splitOptions(options, tx) {
+    if (options && typeof options.query === 'function') {
+        return [{}, options];
+    }
+    return [options || {}, tx];
+}
 
 /**
  * Clase que representa la entidad Categoria
  * Maneja todas las operaciones CRUD relacionadas con las categorías de frases
+ * Las categorías se anidan con parent_id (por ejemplo "Gratitud > Familia"); no se
+ * permiten ciclos, por lo que una categoría no puede moverse dentro de sí misma
+ * Cada categoría tiene un slug único generado a partir de su nombre; al renombrarla el
+ * slug anterior se guarda en categoria_slug_historial para que siga resolviéndose
+ * Los listados, búsquedas y estadísticas se leen de la réplica de lectura si está configurada
  */
 class Categoria {
     constructor(data = {}) {
         this.id_category = data.id_category || null;
         this.nombre = data.nombre || '';
         this.descripcion = data.descripcion || '';
+        this.parent_id = data.parent_id || null;
+        this.archived_at = data.archived_at || null;
+        this.slug = data.slug || null;
+        this.color = data.color || null;
+        this.icono = data.icono || null;
+        this.orden = data.orden || 0;
+        this.destacada = Boolean(data.destacada);
+    }
+
+    /**
+     * Genera el slug de un nombre: sin acentos, en minúsculas y con guiones,
+     * por ejemplo "Motivación Diaria" => "motivacion-diaria"
+     * @param {string} nombre - Nombre de la categoría
+     * @returns {string} - Slug (como máximo 80 caracteres)
+     */
+    static slugify(nombre) {
+        const slug = String(nombre)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 80)
+            .replace(/-+$/g, '');
+        return slug || 'categoria';
+    }
+
+    /**
+     * Crea una variante del modelo que ejecuta sus operaciones en la base de datos indicada
+     * @param {Database} db - Base de datos a usar, por ejemplo Database.get('test')
+     * @returns {typeof Categoria} - Subclase de Categoria ligada a esa base de datos
+     */
+    static using(db) {
+        const Bound = class extends this {};
+        Bound.db = db;
+        return Bound;
+    }
+
+    /**
+     * Base de datos del modelo: la indicada con using() o la instancia por defecto
+     * @returns {Database}
+     */
+    static database() {
+        return this.db || new Database();
     }
 
     /**
      * Valida los datos de la categoría antes de guardar
-     * @returns {Object} - Objeto con isValid y errors
+     * @returns {Object} - Objeto con isValid, errors y fields (errores por campo)
      */
     validate() {
-        const errors = [];
+        const fields = {};
 
         if (!this.nombre || this.nombre.trim().length < 2) {
-            errors.push('El nombre debe tener al menos 2 caracteres');
+            addFieldError(fields, 'nombre', 'El nombre debe tener al menos 2 caracteres');
         }
 
         if (this.nombre && this.nombre.length > 80) {
-            errors.push('El nombre no puede exceder 80 caracteres');
+            addFieldError(fields, 'nombre', 'El nombre no puede exceder 80 caracteres');
         }
 
-        if (this.descripcion && this.descripcion.length > 255) {
-            errors.push('La descripción no puede exceder 255 caracteres');
+        if (this.descripcion && this.descripcion.length > DESCRIPTION_MAX_LENGTH) {
+            addFieldError(fields, 'descripcion', `La descripción no puede exceder ${DESCRIPTION_MAX_LENGTH} caracteres`);
         }
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+        if (this.parent_id !== null && (!Number.isInteger(Number(this.parent_id)) || Number(this.parent_id) <= 0)) {
+            addFieldError(fields, 'parent_id', 'La categoría padre debe ser un ID válido');
+        } else if (this.parent_id !== null && Number(this.parent_id) === Number(this.id_category)) {
+            addFieldError(fields, 'parent_id', 'Una categoría no puede ser su propia categoría padre');
+        }
+
+        if (this.color !== null && !COLOR_PATTERN.test(this.color)) {
+            addFieldError(fields, 'color', 'El color debe tener el formato #RRGGBB');
+        }
+
+        if (this.icono !== null && !ICON_PATTERN.test(this.icono)) {
+            addFieldError(fields, 'icono', 'El icono debe ser una clave de hasta 40 caracteres (minúsculas, números y guiones)');
+        }
+
+        if (!Number.isInteger(Number(this.orden)) || Number(this.orden) < 0) {
+            addFieldError(fields, 'orden', 'El orden debe ser un número entero mayor o igual a 0');
+        }
+
+        return validationResult(fields);
     }
 
     /**
-     * Crea una nueva categoría en la base de datos
+     * Verifica que la categoría padre exista y no sea la propia categoría ni una de sus
+     * descendientes (lo que formaría un ciclo)
+     * @param {Object} db - Database o Transaction
+     * @returns {Promise<void>}
+     * @throws {ValidationError} - Si la categoría padre no es válida
+     */
+    async assertValidParent(db) {
+        if (this.parent_id === null) {
+            return;
+        }
+
+        const parent = await this.constructor.findById(this.parent_id, db);
+        if (!parent || parent.archived_at) {
+            throw ValidationError.forField('parent_id', `La categoría padre ${this.parent_id} no existe o está archivada`);
+        }
+
+        if (this.id_category !== null) {
+            const subtree = await this.constructor.getSubtreeIds(this.id_category, db);
+            if (subtree.includes(Number(parent.id_category))) {
+                throw ValidationError.forField('parent_id', 'Una categoría no puede moverse dentro de sí misma o de sus subcategorías');
+            }
+        }
+    }
+
+    /**
+     * Genera un slug libre para el nombre actual: si ya lo usa otra categoría, o figura en
+     * el historial de otra, se agrega un sufijo numérico ("gratitud-2")
+     * @param {Object} db - Database o Transaction
+     * @returns {Promise<string>}
+     */
+    async generateSlug(db) {
+        const base = this.constructor.slugify(this.nombre);
+        const taken = await db.query(`
+            SELECT slug FROM categoria WHERE (slug = ? OR slug LIKE ?) AND id_category <> ?
+            UNION
+            SELECT slug FROM categoria_slug_historial WHERE (slug = ? OR slug LIKE ?) AND id_category <> ?
+        `, [base, `${base}-%`, this.id_category || 0, base, `${base}-%`, this.id_category || 0], { label: 'Categoria.generateSlug' });
+
+        const used = new Set(taken.map(row => row.slug));
+        let slug = base;
+        for (let suffix = 2; used.has(slug); suffix++) {
+            slug = `${base}-${suffix}`;
+        }
+        return slug;
+    }
+
+    /**
+     * Cambia el slug guardando el anterior en el historial para que siga resolviéndose
+     * @param {string} slug - Slug nuevo
+     * @param {Object} db - Database o Transaction
+     */
+    async changeSlug(slug, db) {
+        if (slug === this.slug) {
+            return;
+        }
+
+        // El slug nuevo puede ser uno anterior de esta misma categoría
+        await db.query(
+            'DELETE FROM categoria_slug_historial WHERE slug = ? AND id_category = ?',
+            [slug, this.id_category],
+            { label: 'Categoria.changeSlug' }
+        );
+        if (this.slug) {
+            await db.query(
+                'INSERT INTO categoria_slug_historial (slug, id_category) VALUES (?, ?)',
+                [this.slug, this.id_category],
+                { label: 'Categoria.changeSlug' }
+            );
+        }
+        this.slug = slug;
+    }
+
+    /**
+     * Crea una nueva categoría en la base de datos; requiere categoria:manage
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Categoria>} - Categoría creada con ID asignado
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
      */
-    async create() {
+    async create(actor = null, tx = null) {
         const validation = this.validate();
         if (!validation.isValid) {
-            throw new Error(`Datos inválidos: ${validation.errors.join(', ')}`);
+            throw new ValidationError(validation.fields);
         }
 
-        const db = new Database();
+        permissions.assert(actor, 'categoria:manage', 'No tiene permiso para crear categorías');
+
+        const db = tx || this.constructor.database();
+        await this.assertValidParent(db);
+        this.slug = await this.generateSlug(db);
+
         const query = `
-            INSERT INTO categoria (nombre, descripcion)
-            VALUES (?, ?)
+            INSERT INTO categoria (nombre, descripcion, parent_id, slug, color, icono, orden, destacada)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         try {
-            await db.query(query, [this.nombre, this.descripcion]);
-            this.id_category = await db.getLastInsertId();
+            const result = await db.query(query, [
+                this.nombre,
+                this.descripcion,
+                this.parent_id,
+                this.slug,
+                this.color,
+                this.icono,
+                Number(this.orden),
+                this.destacada ? 1 : 0
+            ], { label: 'Categoria.create' });
+            this.id_category = result.insertId;
             
             return this;
         } catch (error) {
-            if (error.code === 'ER_DUP_ENTRY') {
-                throw new Error('Ya existe una categoría con ese nombre');
+            if (error instanceof ConflictError) {
+                throw new ConflictError('Ya existe una categoría con ese nombre', {
+                    details: { field: 'nombre' },
+                    cause: error.cause
+                });
             }
             throw error;
         }
@@ -68,19 +367,20 @@ class Categoria {
     /**
      * Busca una categoría por ID
      * @param {number} id - ID de la categoría
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Categoria|null>} - Categoría encontrada o null
      */
-    static async findById(id) {
-        const db = new Database();
+    static async findById(id, tx = null) {
+        const db = tx || this.database();
         const query = 'SELECT * FROM categoria WHERE id_category = ?';
         
         try {
-            const results = await db.query(query, [id]);
+            const results = await db.query(query, [id], { label: 'Categoria.findById' });
             if (results.length === 0) {
                 return null;
             }
             
-            return new Categoria(results[0]);
+            return new this(results[0]);
         } catch (error) {
             throw error;
         }
@@ -89,134 +389,256 @@ class Categoria {
     /**
      * Busca una categoría por nombre
      * @param {string} nombre - Nombre de la categoría
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Categoria|null>} - Categoría encontrada o null
      */
-    static async findByNombre(nombre) {
-        const db = new Database();
+    static async findByNombre(nombre, tx = null) {
+        const db = tx || this.database();
         const query = 'SELECT * FROM categoria WHERE nombre = ?';
         
         try {
-            const results = await db.query(query, [nombre]);
+            const results = await db.query(query, [nombre], { label: 'Categoria.findByNombre' });
             if (results.length === 0) {
                 return null;
             }
             
-            return new Categoria(results[0]);
+            return new this(results[0]);
         } catch (error) {
             throw error;
         }
     }
 
     /**
-     * Obtiene todas las categorías
+     * Busca una categoría por slug, incluidos los slugs anteriores de categorías renombradas
+     * Si se encontró por un slug anterior, categoria.slug es el actual y difiere del buscado
+     * (por ejemplo, para redirigir a la URL vigente)
+     * @param {string} slug - Slug de la categoría
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Categoria|null>} - Categoría encontrada o null
+     */
+    static async findBySlug(slug, tx = null) {
+        const db = tx || this.database();
+        const results = await db.query('SELECT * FROM categoria WHERE slug = ?', [slug], { label: 'Categoria.findBySlug' });
+        if (results.length > 0) {
+            return new this(results[0]);
+        }
+
+        const history = await db.query(`
+            SELECT c.* FROM categoria_slug_historial h
+            JOIN categoria c ON c.id_category = h.id_category
+            WHERE h.slug = ?
+        `, [slug], { label: 'Categoria.findBySlug' });
+        return history.length > 0 ? new this(history[0]) : null;
+    }
+
+    /**
+     * Obtiene todas las categorías que no están archivadas, en su orden manual y luego por nombre
      * @param {number} limit - Límite de resultados
      * @param {number} offset - Desplazamiento para paginación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Array<Categoria>>} - Lista de categorías
      */
-    static async findAll(limit = 50, offset = 0) {
-        const db = new Database();
-        const query = 'SELECT * FROM categoria ORDER BY nombre ASC LIMIT ? OFFSET ?';
+    static async findAll(limit = 50, offset = 0, tx = null) {
+        const db = tx || this.database().reader();
+        const { sql, params } = QueryBuilder.from('categoria')
+            .where('archived_at IS NULL')
+            .orderBy('orden', 'ASC')
+            .orderBy('nombre', 'ASC')
+            .limit(limit)
+            .offset(offset)
+            .toSQL();
         
         try {
-            const results = await db.query(query, [limit, offset]);
-            return results.map(row => new Categoria(row));
+            const results = await db.query(sql, params, { label: 'Categoria.findAll' });
+            return results.map(row => new this(row));
         } catch (error) {
             throw error;
         }
     }
 
     /**
-     * Busca categorías por término de búsqueda
+     * Obtiene las categorías destacadas no archivadas, en su orden manual
+     * @param {number} limit - Límite de resultados
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Array<Categoria>>} - Categorías destacadas
+     */
+    static async findFeatured(limit = 10, tx = null) {
+        const db = tx || this.database().reader();
+        const { sql, params } = QueryBuilder.from('categoria')
+            .where('archived_at IS NULL')
+            .where('destacada = 1')
+            .orderBy('orden', 'ASC')
+            .orderBy('nombre', 'ASC')
+            .limit(limit)
+            .toSQL();
+
+        const results = await db.query(sql, params, { label: 'Categoria.findFeatured' });
+        return results.map(row => new this(row));
+    }
+
+    /**
+     * Busca categorías no archivadas por término de búsqueda
      * @param {string} searchTerm - Término de búsqueda
      * @param {number} limit - Límite de resultados
      * @param {number} offset - Desplazamiento para paginación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Array<Categoria>>} - Lista de categorías encontradas
      */
-    static async search(searchTerm, limit = 50, offset = 0) {
-        const db = new Database();
-        const query = `
-            SELECT * FROM categoria 
-            WHERE nombre LIKE ? OR descripcion LIKE ?
-            ORDER BY nombre ASC 
-            LIMIT ? OFFSET ?
-        `;
-        
+    static async search(searchTerm, limit = 50, offset = 0, tx = null) {
+        const db = tx || this.database().reader();
         const searchPattern = `%${searchTerm}%`;
+        const { sql, params } = QueryBuilder.from('categoria')
+            .where('archived_at IS NULL')
+            .where('(nombre LIKE ? OR descripcion LIKE ?)', searchPattern, searchPattern)
+            .orderBy('orden', 'ASC')
+            .orderBy('nombre', 'ASC')
+            .limit(limit)
+            .offset(offset)
+            .toSQL();
         
         try {
-            const results = await db.query(query, [searchPattern, searchPattern, limit, offset]);
-            return results.map(row => new Categoria(row));
+            const results = await db.query(sql, params, { label: 'Categoria.search' });
+            return results.map(row => new this(row));
         } catch (error) {
             throw error;
         }
     }
 
     /**
-     * Actualiza los datos de la categoría
+     * Actualiza los datos de la categoría; requiere categoria:manage
+     * Si cambia parent_id se verifica que la nueva categoría padre no forme un ciclo; si cambia
+     * el nombre se genera un slug nuevo y el anterior pasa al historial
      * @param {Object} updateData - Datos a actualizar
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Categoria>} - Categoría actualizada
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
      */
-    async update(updateData = {}) {
+    async update(updateData = {}, actor = null, tx = null) {
         if (this.id_category === null) {
-            throw new Error('No se puede actualizar una categoría sin ID');
+            throw ValidationError.forField('id_category', 'No se puede actualizar una categoría sin ID');
+        }
+
+        permissions.assert(actor, 'categoria:manage', 'No tiene permiso para editar categorías');
+
+        if (!tx) {
+            return this.constructor.database().transaction(
+                (transaction) => this.update(updateData, actor, transaction),
+                { label: 'Categoria.update' }
+            );
         }
 
+        const previousNombre = this.nombre;
+
         // Actualizar propiedades del objeto
         Object.keys(updateData).forEach(key => {
-            if (updateData[key] !== undefined && key !== 'id_category') {
+            if (updateData[key] !== undefined && !PROTECTED_FIELDS.includes(key)) {
                 this[key] = updateData[key];
             }
         });
 
         const validation = this.validate();
         if (!validation.isValid) {
-            throw new Error(`Datos inválidos: ${validation.errors.join(', ')}`);
+            throw new ValidationError(validation.fields);
+        }
+
+        const db = tx;
+        if (updateData.parent_id !== undefined) {
+            await this.assertValidParent(db);
+        }
+
+        if (this.nombre !== previousNombre || !this.slug) {
+            await this.changeSlug(await this.generateSlug(db), db);
         }
 
-        const db = new Database();
         const query = `
             UPDATE categoria 
-            SET nombre = ?, descripcion = ?
+            SET nombre = ?, descripcion = ?, parent_id = ?, slug = ?, color = ?, icono = ?, orden = ?, destacada = ?
             WHERE id_category = ?
         `;
         
         try {
-            await db.query(query, [this.nombre, this.descripcion, this.id_category]);
+            const result = await db.query(query, [
+                this.nombre,
+                this.descripcion,
+                this.parent_id,
+                this.slug,
+                this.color,
+                this.icono,
+                Number(this.orden),
+                this.destacada ? 1 : 0,
+                this.id_category
+            ], { label: 'Categoria.update' });
+            if (result.affectedRows === 0) {
+                throw new NotFoundError(`La categoría ${this.id_category} no existe`);
+            }
             return this;
         } catch (error) {
-            if (error.code === 'ER_DUP_ENTRY') {
-                throw new Error('Ya existe una categoría con ese nombre');
+            if (error instanceof ConflictError) {
+                throw new ConflictError('Ya existe una categoría con ese nombre', {
+                    details: { field: 'nombre' },
+                    cause: error.cause
+                });
             }
             throw error;
         }
     }
 
     /**
-     * Elimina la categoría de la base de datos
-     * @param {boolean} forceDelete - Si true, elimina aunque tenga frases asociadas
+     * Mueve la categoría, con sus subcategorías, bajo otra categoría o a la raíz;
+     * requiere categoria:manage
+     * @param {number|null} parentId - ID de la nueva categoría padre, o null para la raíz
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Categoria>} - Categoría movida
+     * @throws {ValidationError} - Si la nueva categoría padre no existe o formaría un ciclo
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
+     */
+    async move(parentId, actor = null, tx = null) {
+        return this.update({ parent_id: parentId || null }, actor, tx);
+    }
+
+    /**
+     * Elimina la categoría de la base de datos; requiere categoria:delete
+     * Sin forceDelete solo elimina categorías sin frases y lanza ReferenceError si tiene
+     * frases; con forceDelete elimina también sus frases (estrategia "cascade"). Para
+     * conservar las frases se usa deleteWithStrategy()
+     * @param {boolean} forceDelete - Si true, elimina también las frases asociadas
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<boolean>} - True si se eliminó correctamente
+     * @throws {ReferenceError} - Si tiene subcategorías, o frases y no se indicó forceDelete
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
      */
-    async delete(forceDelete = false) {
+    async delete(forceDelete = false, actor = null, tx = null) {
         if (this.id_category === null) {
-            throw new Error('No se puede eliminar una categoría sin ID');
+            throw ValidationError.forField('id_category', 'No se puede eliminar una categoría sin ID');
+        }
+
+        if (forceDelete) {
+            const report = await this.deleteWithStrategy('cascade', {}, actor, tx);
+            return report.deleted;
         }
 
-        const db = new Database();
+        permissions.assert(actor, 'categoria:delete', 'No tiene permiso para eliminar categorías');
+
+        const db = tx || this.constructor.database();
+        await this.assertNoSubcategories(db);
         
         // Verificar si la categoría tiene frases asociadas
-        if (!forceDelete) {
-            const countQuery = 'SELECT COUNT(*) as count FROM frase WHERE categoria_id = ?';
-            const countResult = await db.query(countQuery, [this.id_category]);
-            
-            if (countResult[0].count > 0) {
-                throw new Error('No se puede eliminar la categoría porque tiene frases asociadas');
-            }
+        const countQuery = 'SELECT COUNT(*) as count FROM frase WHERE categoria_id = ?';
+        const countResult = await db.query(countQuery, [this.id_category], { label: 'Categoria.delete' });
+
+        if (countResult[0].count > 0) {
+            throw new ReferenceError('No se puede eliminar la categoría porque tiene frases asociadas', {
+                details: { frases: countResult[0].count, strategies: DELETE_STRATEGIES }
+            });
         }
 
         const query = 'DELETE FROM categoria WHERE id_category = ?';
         
         try {
-            const result = await db.query(query, [this.id_category]);
+            const result = await db.query(query, [this.id_category], { label: 'Categoria.delete' });
             return result.affectedRows > 0;
         } catch (error) {
             throw error;
@@ -224,15 +646,470 @@ class Categoria {
     }
 
     /**
-     * Obtiene el conteo total de categorías
+     * Verifica que la categoría no tenga subcategorías antes de eliminarla
+     * @param {Object} db - Database o Transaction
+     * @returns {Promise<void>}
+     * @throws {ReferenceError} - Si tiene subcategorías
+     */
+    async assertNoSubcategories(db) {
+        const children = await db.query(
+            'SELECT COUNT(*) as count FROM categoria WHERE parent_id = ?',
+            [this.id_category],
+            { label: 'Categoria.delete' }
+        );
+        if (children[0].count > 0) {
+            throw new ReferenceError('No se puede eliminar la categoría porque tiene subcategorías; muévalas primero', {
+                details: { subcategorias: children[0].count }
+            });
+        }
+    }
+
+    /**
+     * Obtiene la categoría que recibe las frases en la estrategia "reassign"
+     * @param {number|Categoria} reassignTo - ID o categoría destino
+     * @param {Object} db - Database o Transaction
+     * @returns {Promise<Categoria>}
+     * @throws {ValidationError} - Si no se indicó o es la misma categoría
+     * @throws {NotFoundError} - Si no existe o está archivada
+     */
+    async getReassignTarget(reassignTo, db) {
+        const targetId = reassignTo && typeof reassignTo === 'object' ? reassignTo.id_category : reassignTo;
+        if (!targetId || Number(targetId) === Number(this.id_category)) {
+            throw ValidationError.forField('reassignTo', 'Debe indicar otra categoría que reciba las frases');
+        }
+
+        const target = await this.constructor.findById(targetId, db);
+        if (!target || target.archived_at) {
+            throw new NotFoundError(`La categoría ${targetId} no existe o está archivada`);
+        }
+        return target;
+    }
+
+    /**
+     * Muestra sin modificar nada qué frases afectaría eliminar la categoría con una estrategia
+     * @param {string} strategy - 'cascade' (elimina las frases), 'reassign' (las pasa a otra
+     * categoría) o 'archive' (archiva la categoría y sus frases)
+     * @param {Object} options - Opciones
+     * @param {number|Categoria} options.reassignTo - Categoría que recibe las frases (estrategia reassign)
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - strategy, frases (total y por estado), affected (primeras
+     * frases afectadas), subcategorias, reassignTo y canProceed
+     * @throws {ValidationError} - Si la estrategia o la categoría destino no son válidas
+     */
+    async previewDelete(strategy, options = {}, tx = null) {
+        if (!DELETE_STRATEGIES.includes(strategy)) {
+            throw ValidationError.forField('strategy', `La estrategia debe ser una de: ${DELETE_STRATEGIES.join(', ')}`);
+        }
+
+        if (this.id_category === null) {
+            throw ValidationError.forField('id_category', 'No se puede eliminar una categoría sin ID');
+        }
+
+        const db = tx || this.constructor.database();
+        const target = strategy === 'reassign' ? await this.getReassignTarget(options.reassignTo, db) : null;
+
+        const byStatus = await db.query(
+            'SELECT status, COUNT(*) as total FROM frase WHERE categoria_id = ? GROUP BY status',
+            [this.id_category],
+            { label: 'Categoria.previewDelete' }
+        );
+        const frases = { total: 0, draft: 0, scheduled: 0, published: 0 };
+        byStatus.forEach(row => {
+            frases[row.status] = Number(row.total);
+            frases.total += Number(row.total);
+        });
+
+        const { sql, params } = QueryBuilder.from('frase')
+            .select('id_quote', 'texto', 'status')
+            .where('categoria_id = ?', this.id_category)
+            .orderBy('id_quote', 'ASC')
+            .limit(PREVIEW_LIMIT)
+            .toSQL();
+        const affected = await db.query(sql, params, { label: 'Categoria.previewDelete' });
+
+        const children = await db.query(
+            'SELECT COUNT(*) as count FROM categoria WHERE parent_id = ?',
+            [this.id_category],
+            { label: 'Categoria.previewDelete' }
+        );
+        const subcategorias = Number(children[0].count);
+
+        return {
+            strategy: strategy,
+            id_category: this.id_category,
+            frases: frases,
+            affected: affected,
+            subcategorias: subcategorias,
+            reassignTo: target,
+            canProceed: subcategorias === 0
+        };
+    }
+
+    /**
+     * Elimina una categoría que tiene frases en una sola transacción; requiere categoria:delete
+     * (y frase:delete con la estrategia "cascade")
+     * - cascade: elimina sus frases y la categoría
+     * - reassign: pasa sus frases a otra categoría ({ reassignTo: id }) y elimina la categoría
+     * - archive: conserva la categoría y sus frases, archivadas y ocultas de los listados; las
+     *   frases programadas vuelven a borrador para que no se publiquen
+     * Con { dryRun: true } devuelve la vista previa de previewDelete() sin modificar nada
+     * @param {string} strategy - 'cascade', 'reassign' o 'archive'
+     * @param {Object} options - Opciones
+     * @param {number|Categoria} options.reassignTo - Categoría que recibe las frases (estrategia reassign)
+     * @param {boolean} options.dryRun - Solo mostrar qué se haría
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - Reporte con strategy, id_category, frases afectadas y deleted
+     * @throws {ReferenceError} - Si la categoría tiene subcategorías
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
+     */
+    async deleteWithStrategy(strategy, options = {}, actor = null, tx = null) {
+        if (options.dryRun) {
+            return { ...await this.previewDelete(strategy, options, tx), dryRun: true };
+        }
+
+        if (!DELETE_STRATEGIES.includes(strategy)) {
+            throw ValidationError.forField('strategy', `La estrategia debe ser una de: ${DELETE_STRATEGIES.join(', ')}`);
+        }
+
+        permissions.assert(actor, 'categoria:delete', 'No tiene permiso para eliminar categorías');
+        if (strategy === 'cascade') {
+            permissions.assert(actor, 'frase:delete', 'No tiene permiso para eliminar las frases de la categoría');
+        }
+
+        if (!tx) {
+            return this.constructor.database().transaction(
+                (transaction) => this.deleteWithStrategy(strategy, options, actor, transaction),
+                { label: 'Categoria.deleteWithStrategy' }
+            );
+        }
+
+        const preview = await this.previewDelete(strategy, options, tx);
+        await this.assertNoSubcategories(tx);
+        const report = { strategy: strategy, id_category: this.id_category, frases: preview.frases.total, deleted: false };
+
+        if (strategy === 'archive') {
+            const now = new Date();
+            await tx.query(`
+                UPDATE frase
+                SET archived_at = ?,
+                    scheduled_at = CASE WHEN status = 'scheduled' THEN NULL ELSE scheduled_at END,
+                    status = CASE WHEN status = 'scheduled' THEN 'draft' ELSE status END
+                WHERE categoria_id = ? AND archived_at IS NULL
+            `, [now, this.id_category], { label: 'Categoria.deleteWithStrategy' });
+            const result = await tx.query(
+                'UPDATE categoria SET archived_at = ? WHERE id_category = ?',
+                [now, this.id_category],
+                { label: 'Categoria.deleteWithStrategy' }
+            );
+            if (result.affectedRows === 0) {
+                throw new NotFoundError(`La categoría ${this.id_category} no existe`);
+            }
+
+            this.archived_at = now;
+            return { ...report, archived: true };
+        }
+
+        if (strategy === 'reassign') {
+            await tx.query(
+                'UPDATE frase SET categoria_id = ? WHERE categoria_id = ?',
+                [preview.reassignTo.id_category, this.id_category],
+                { label: 'Categoria.deleteWithStrategy' }
+            );
+            report.reassignedTo = preview.reassignTo.id_category;
+        } else {
+            await tx.query('DELETE FROM frase WHERE categoria_id = ?', [this.id_category], { label: 'Categoria.deleteWithStrategy' });
+        }
+
+        const result = await tx.query('DELETE FROM categoria WHERE id_category = ?', [this.id_category], { label: 'Categoria.deleteWithStrategy' });
+        return { ...report, deleted: result.affectedRows > 0 };
+    }
+
+    /**
+     * Restaura una categoría archivada junto con las frases archivadas con ella;
+     * requiere categoria:manage
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<number>} - Número de frases restauradas (quedan en su estado, las programadas en borrador)
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
+     */
+    async restore(actor = null, tx = null) {
+        if (this.id_category === null) {
+            throw ValidationError.forField('id_category', 'No se puede restaurar una categoría sin ID');
+        }
+
+        permissions.assert(actor, 'categoria:manage', 'No tiene permiso para restaurar categorías');
+
+        if (!tx) {
+            return this.constructor.database().transaction(
+                (transaction) => this.restore(actor, transaction),
+                { label: 'Categoria.restore' }
+            );
+        }
+
+        const frases = await tx.query(
+            'UPDATE frase SET archived_at = NULL WHERE categoria_id = ? AND archived_at IS NOT NULL',
+            [this.id_category],
+            { label: 'Categoria.restore' }
+        );
+        await tx.query('UPDATE categoria SET archived_at = NULL WHERE id_category = ?', [this.id_category], { label: 'Categoria.restore' });
+
+        this.archived_at = null;
+        return frases.affectedRows;
+    }
+
+    /**
+     * Obtiene los IDs de una categoría y de todas sus subcategorías (a cualquier nivel)
+     * @param {number} id - ID de la categoría
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Array<number>>} - IDs, incluido el de la propia categoría
+     */
+    static async getSubtreeIds(id, tx = null) {
+        const db = tx || this.database().reader();
+        const results = await db.query(SUBTREE_IDS_SQL, [id], { label: 'Categoria.getSubtreeIds' });
+        return results.map(row => Number(row.id_category));
+    }
+
+    /**
+     * Obtiene todas las categorías no archivadas organizadas en árbol
+     * Cada categoría incluye sus hijas en subcategorias, en su orden manual y luego por nombre
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Array<Categoria>>} - Categorías raíz
+     */
+    static async getTree(tx = null) {
+        const db = tx || this.database().reader();
+        const { sql, params } = QueryBuilder.from('categoria')
+            .where('archived_at IS NULL')
+            .orderBy('orden', 'ASC')
+            .orderBy('nombre', 'ASC')
+            .toSQL();
+
+        const results = await db.query(sql, params, { label: 'Categoria.getTree' });
+        const categorias = results.map(row => new this(row));
+        const byId = new Map(categorias.map(categoria => [Number(categoria.id_category), categoria]));
+        categorias.forEach(categoria => {
+            categoria.subcategorias = [];
+        });
+
+        const roots = [];
+        categorias.forEach(categoria => {
+            const parent = categoria.parent_id !== null ? byId.get(Number(categoria.parent_id)) : null;
+            if (parent) {
+                parent.subcategorias.push(categoria);
+            } else {
+                roots.push(categoria);
+            }
+        });
+
+        return roots;
+    }
+
+    /**
+     * Obtiene las categorías ancestras, de la raíz a la categoría padre
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Array<Categoria>>} - Ancestras; vacío si es una categoría raíz
+     */
+    async getAncestors(tx = null) {
+        if (this.id_category === null) {
+            throw ValidationError.forField('id_category', 'No se puede obtener las categorías ancestras sin ID de categoría');
+        }
+
+        const db = tx || this.constructor.database().reader();
+        const results = await db.query(ANCESTORS_SQL, [this.id_category], { label: 'Categoria.getAncestors' });
+        return results.map(row => new this.constructor(row));
+    }
+
+    /**
+     * Obtiene la ruta de la categoría, por ejemplo "Gratitud > Familia"
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<string>}
+     */
+    async getPath(tx = null) {
+        const ancestors = await this.getAncestors(tx);
+        return [...ancestors, this].map(categoria => categoria.nombre).join(' > ');
+    }
+
+    /**
+     * Obtiene todas las subcategorías, a cualquier nivel
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Array<Categoria>>} - Subcategorías ordenadas por nombre
+     */
+    async getDescendants(tx = null) {
+        if (this.id_category === null) {
+            throw ValidationError.forField('id_category', 'No se puede obtener las subcategorías sin ID de categoría');
+        }
+
+        const db = tx || this.constructor.database().reader();
+        const ids = (await this.constructor.getSubtreeIds(this.id_category, db))
+            .filter(id => id !== Number(this.id_category));
+        const { sql, params } = QueryBuilder.from('categoria')
+            .whereIn('id_category', ids)
+            .orderBy('orden', 'ASC')
+            .orderBy('nombre', 'ASC')
+            .toSQL();
+
+        const results = await db.query(sql, params, { label: 'Categoria.getDescendants' });
+        return results.map(row => new this.constructor(row));
+    }
+
+    /**
+     * Obtiene los IDs de categoría que abarca una consulta: la propia categoría y, si se
+     * indica, sus subcategorías
+     * @param {boolean} includeDescendants - Incluir las subcategorías
+     * @param {Object} db - Database o Transaction
+     * @returns {Promise<Array<number>>}
+     */
+    async getScopeIds(includeDescendants, db) {
+        return includeDescendants
+            ? this.constructor.getSubtreeIds(this.id_category, db)
+            : [this.id_category];
+    }
+
+    /**
+     * Fusiona varias categorías en otra en una sola transacción; requiere categoria:delete
+     * Las frases y las subcategorías de las categorías origen pasan a la categoría destino,
+     * los usuarios que las tenían como favoritas conservan la destino como favorita, los slugs
+     * de las categorías origen pasan al historial de la destino y las categorías origen se eliminan
+     * Las frases archivadas también se mueven (si no, las categorías origen no podrían eliminarse)
+     * pero siguen archivadas; el resumen las cuenta aparte en archivadas
+     * @param {Array<number>} sourceIds - IDs de las categorías a fusionar
+     * @param {number} targetId - ID de la categoría que se conserva
+     * @param {Object} options - Opciones
+     * @param {boolean} options.combineDescriptions - Agregar a la descripción destino las de las categorías
+     * origen; las que ya no caben en 255 caracteres se omiten y se informan en descripcionesOmitidas
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - Resumen con target, sources (frases y archivadas por categoría), frases
+     * (incluidas las archivadas), archivadas, subcategorias y favoritos movidos, y descripcionesOmitidas
+     * (nombres de las categorías origen)
+     * @throws {ValidationError} - Si las categorías no son válidas o la destino es subcategoría de una origen
+     * @throws {NotFoundError} - Si alguna categoría no existe
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
+     */
+    static async merge(sourceIds, targetId, options = {}, actor = null, tx = null) {
+        const ids = [...new Set((Array.isArray(sourceIds) ? sourceIds : [sourceIds]).map(Number))];
+        if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+            throw ValidationError.forField('sourceIds', 'Debe indicar al menos una categoría a fusionar');
+        }
+        if (ids.includes(Number(targetId))) {
+            throw ValidationError.forField('targetId', 'La categoría destino no puede estar entre las categorías a fusionar');
+        }
+
+        permissions.assert(actor, 'categoria:delete', 'No tiene permiso para fusionar categorías');
+
+        if (!tx) {
+            return this.database().transaction(
+                (transaction) => this.merge(ids, targetId, options, actor, transaction),
+                { label: 'Categoria.merge' }
+            );
+        }
+
+        const target = await this.findById(targetId, tx);
+        if (!target || target.archived_at) {
+            throw new NotFoundError(`La categoría ${targetId} no existe o está archivada`);
+        }
+
+        const sources = [];
+        for (const id of ids) {
+            const source = await this.findById(id, tx);
+            if (!source) {
+                throw new NotFoundError(`La categoría ${id} no existe`);
+            }
+            if ((await this.getSubtreeIds(id, tx)).includes(Number(target.id_category))) {
+                throw ValidationError.forField('targetId', `La categoría destino es subcategoría de "${source.nombre}"`);
+            }
+            sources.push(source);
+        }
+
+        const placeholders = ids.map(() => '?').join(', ');
+        const counts = await tx.query(`
+            SELECT categoria_id, COUNT(*) as total, COUNT(CASE WHEN archived_at IS NOT NULL THEN 1 END) as archivadas
+            FROM frase WHERE categoria_id IN (${placeholders})
+            GROUP BY categoria_id
+        `, ids, { label: 'Categoria.merge' });
+        const frasesPorCategoria = new Map(counts.map(row => [Number(row.categoria_id), {
+            frases: Number(row.total),
+            archivadas: Number(row.archivadas)
+        }]));
+
+        const frases = await tx.query(
+            `UPDATE frase SET categoria_id = ? WHERE categoria_id IN (${placeholders})`,
+            [target.id_category, ...ids],
+            { label: 'Categoria.merge' }
+        );
+        const subcategorias = await tx.query(
+            `UPDATE categoria SET parent_id = ? WHERE parent_id IN (${placeholders}) AND id_category NOT IN (${placeholders})`,
+            [target.id_category, ...ids, ...ids],
+            { label: 'Categoria.merge' }
+        );
+        const favoritos = await tx.query(`
+            INSERT INTO usuario_categoria_favorita (id_user, id_category)
+            SELECT DISTINCT id_user, ? FROM usuario_categoria_favorita
+            WHERE id_category IN (${placeholders})
+            AND id_user NOT IN (SELECT id_user FROM usuario_categoria_favorita WHERE id_category = ?)
+        `, [target.id_category, ...ids, target.id_category], { label: 'Categoria.merge' });
+
+        const descripcionesOmitidas = [];
+        if (options.combineDescriptions) {
+            // Se agregan completas mientras quepan en la columna, para no abortar la fusión
+            const descripciones = [(target.descripcion || '').trim()].filter(Boolean);
+            for (const source of sources) {
+                const descripcion = (source.descripcion || '').trim();
+                if (!descripcion || descripciones.includes(descripcion)) {
+                    continue;
+                }
+                if ([...descripciones, descripcion].join(' / ').length > DESCRIPTION_MAX_LENGTH) {
+                    descripcionesOmitidas.push(source.nombre);
+                    continue;
+                }
+                descripciones.push(descripcion);
+            }
+            await target.update({ descripcion: descripciones.join(' / ') }, actor, tx);
+        }
+
+        // Los slugs de las categorías origen siguen resolviéndose a la categoría destino
+        await tx.query(
+            `UPDATE categoria_slug_historial SET id_category = ? WHERE id_category IN (${placeholders})`,
+            [target.id_category, ...ids],
+            { label: 'Categoria.merge' }
+        );
+        await tx.query(`
+            INSERT INTO categoria_slug_historial (slug, id_category)
+            SELECT slug, ? FROM categoria WHERE id_category IN (${placeholders}) AND slug IS NOT NULL
+        `, [target.id_category, ...ids], { label: 'Categoria.merge' });
+
+        // Las categorías origen pueden ser hijas unas de otras: se desvinculan antes de eliminarlas
+        await tx.query(`UPDATE categoria SET parent_id = NULL WHERE id_category IN (${placeholders})`, ids, { label: 'Categoria.merge' });
+        await tx.query(`DELETE FROM categoria WHERE id_category IN (${placeholders})`, ids, { label: 'Categoria.merge' });
+
+        const movidas = sources.map(source => ({
+            id_category: source.id_category,
+            nombre: source.nombre,
+            ...(frasesPorCategoria.get(Number(source.id_category)) || { frases: 0, archivadas: 0 })
+        }));
+
+        return {
+            target: target,
+            sources: movidas,
+            frases: frases.affectedRows,
+            archivadas: movidas.reduce((total, source) => total + source.archivadas, 0),
+            subcategorias: subcategorias.affectedRows,
+            favoritos: favoritos.affectedRows,
+            descripcionesOmitidas: descripcionesOmitidas
+        };
+    }
+
+    /**
+     * Obtiene el conteo total de categorías no archivadas
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<number>} - Número total de categorías
      */
-    static async count() {
-        const db = new Database();
-        const query = 'SELECT COUNT(*) as total FROM categoria';
+    static async count(tx = null) {
+        const db = tx || this.database().reader();
+        const query = 'SELECT COUNT(*) as total FROM categoria WHERE archived_at IS NULL';
         
         try {
-            const results = await db.query(query);
+            const results = await db.query(query, [], { label: 'Categoria.count' });
             return results[0].total;
         } catch (error) {
             throw error;
@@ -240,19 +1117,26 @@ class Categoria {
     }
 
     /**
-     * Obtiene el conteo de frases asociadas a esta categoría
+     * Obtiene el conteo de frases asociadas a esta categoría; como Frase.findAll, no cuenta
+     * las archivadas salvo que se indique includeArchived
+     * @param {Object} options - Opciones (también se acepta directamente la transacción)
+     * @param {boolean} options.includeArchived - Contar también las frases archivadas
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<number>} - Número de frases en esta categoría
      */
-    async getFrasesCount() {
+    async getFrasesCount(options = {}, tx = null) {
         if (this.id_category === null) {
-            throw new Error('No se puede obtener el conteo de frases sin ID de categoría');
+            throw ValidationError.forField('id_category', 'No se puede obtener el conteo de frases sin ID de categoría');
         }
 
-        const db = new Database();
-        const query = 'SELECT COUNT(*) as total FROM frase WHERE categoria_id = ?';
+        [options, tx] = splitOptions(options, tx);
+        const db = tx || this.constructor.database();
+        const query = options.includeArchived
+            ? 'SELECT COUNT(*) as total FROM frase WHERE categoria_id = ?'
+            : 'SELECT COUNT(*) as total FROM frase WHERE categoria_id = ? AND archived_at IS NULL';
         
         try {
-            const results = await db.query(query, [this.id_category]);
+            const results = await db.query(query, [this.id_category], { label: 'Categoria.getFrasesCount' });
             return results[0].total;
         } catch (error) {
             throw error;
@@ -260,29 +1144,39 @@ class Categoria {
     }
 
     /**
-     * Obtiene todas las frases de esta categoría
+     * Obtiene las frases de esta categoría; las archivadas se omiten salvo que se indique includeArchived
      * @param {number} limit - Límite de resultados
      * @param {number} offset - Desplazamiento para paginación
+     * @param {Object} options - Opciones (también se acepta directamente la transacción)
+     * @param {boolean} options.includeDescendants - Incluir las frases de las subcategorías
+     * @param {boolean} options.includeArchived - Incluir las frases archivadas
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Array>} - Lista de frases
      */
-    async getFrases(limit = 50, offset = 0) {
+    async getFrases(limit = 50, offset = 0, options = {}, tx = null) {
         if (this.id_category === null) {
-            throw new Error('No se puede obtener las frases sin ID de categoría');
+            throw ValidationError.forField('id_category', 'No se puede obtener las frases sin ID de categoría');
         }
 
-        const db = new Database();
-        const query = `
-            SELECT f.*, u.nombre as creado_por_nombre, c.nombre as categoria_nombre
-            FROM frase f
-            JOIN usuario u ON f.creado_por = u.id_user
-            JOIN categoria c ON f.categoria_id = c.id_category
-            WHERE f.categoria_id = ?
-            ORDER BY f.fecha_creacion DESC
-            LIMIT ? OFFSET ?
-        `;
+        [options, tx] = splitOptions(options, tx);
+        const db = tx || this.constructor.database().reader();
+        const ids = await this.getScopeIds(options.includeDescendants, db);
+        const query = QueryBuilder.from('frase', 'f')
+            .select('f.*', 'u.nombre as creado_por_nombre', 'c.nombre as categoria_nombre')
+            .join('usuario', 'u', 'f.creado_por = u.id_user')
+            .join('categoria', 'c', 'f.categoria_id = c.id_category')
+            .whereIn('f.categoria_id', ids);
+        if (!options.includeArchived) {
+            query.where('f.archived_at IS NULL');
+        }
+        const { sql, params } = query
+            .orderBy('f.fecha_creacion', 'DESC')
+            .limit(limit)
+            .offset(offset)
+            .toSQL();
         
         try {
-            const results = await db.query(query, [this.id_category, limit, offset]);
+            const results = await db.query(sql, params, { label: 'Categoria.getFrases' });
             return results;
         } catch (error) {
             throw error;
@@ -291,32 +1185,205 @@ class Categoria {
 
     /**
      * Obtiene estadísticas de la categoría
-     * @returns {Promise<Object>} - Estadísticas de la categoría
+     * @param {Object} options - Opciones (también se acepta directamente la transacción)
+     * @param {boolean} options.includeDescendants - Incluir las frases de las subcategorías
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - Estadísticas de la categoría; las frases archivadas solo se cuentan en frases_archivadas
      */
-    async getStats() {
+    async getStats(options = {}, tx = null) {
         if (this.id_category === null) {
-            throw new Error('No se puede obtener estadísticas sin ID de categoría');
+            throw ValidationError.forField('id_category', 'No se puede obtener estadísticas sin ID de categoría');
         }
 
-        const db = new Database();
+        [options, tx] = splitOptions(options, tx);
+        const db = tx || this.constructor.database().reader();
+        const ids = await this.getScopeIds(options.includeDescendants, db);
         const query = `
             SELECT 
-                COUNT(*) as total_frases,
-                COUNT(CASE WHEN status = 'published' THEN 1 END) as frases_publicadas,
-                COUNT(CASE WHEN status = 'draft' THEN 1 END) as frases_borrador,
-                COUNT(CASE WHEN status = 'scheduled' THEN 1 END) as frases_programadas
+                COUNT(CASE WHEN archived_at IS NULL THEN 1 END) as total_frases,
+                COUNT(CASE WHEN archived_at IS NULL AND status = 'published' THEN 1 END) as frases_publicadas,
+                COUNT(CASE WHEN archived_at IS NULL AND status = 'draft' THEN 1 END) as frases_borrador,
+                COUNT(CASE WHEN archived_at IS NULL AND status = 'scheduled' THEN 1 END) as frases_programadas,
+                COUNT(CASE WHEN archived_at IS NOT NULL THEN 1 END) as frases_archivadas
             FROM frase 
-            WHERE categoria_id = ?
+            WHERE categoria_id IN (${ids.map(() => '?').join(', ')})
         `;
         
         try {
-            const results = await db.query(query, [this.id_category]);
+            const results = await db.query(query, ids, { label: 'Categoria.getStats' });
             return results[0];
         } catch (error) {
             throw error;
         }
     }
 
+    /**
+     * Obtiene las tendencias de las categorías no archivadas en un rango de días: frases no
+     * archivadas creadas y publicadas por periodo, el crecimiento respecto al periodo anterior
+     * de la misma duración y el ranking de las categorías con mayor aumento de actividad
+     * (creadas + publicadas). Los periodos se calculan en UTC y las semanas empiezan el lunes
+     * @param {Object} options - Opciones
+     * @param {Date|string} options.from - Primer día del rango (incluido; por defecto, 29 días antes de to)
+     * @param {Date|string} options.to - Último día del rango (incluido completo; por defecto, hoy)
+     * @param {string} options.granularity - 'day', 'week' o 'month' (por defecto 'day')
+     * @param {number} options.limit - Categorías en el ranking de tendencias
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - granularity, from, to, previous ({ from, to }, días incluidos), periods (inicio de
+     * cada periodo), categorias (series y totales por categoría), totals y trending. El crecimiento
+     * es un porcentaje, o null si la categoría no tuvo actividad en el periodo anterior
+     * @throws {ValidationError} - Si el rango o la granularidad no son válidos
+     */
+    static async getTrends(options = {}, tx = null) {
+        [options, tx] = splitOptions(options, tx);
+        const granularity = options.granularity || 'day';
+        if (!Object.prototype.hasOwnProperty.call(TREND_PERIODS, granularity)) {
+            throw ValidationError.forField('granularity', 'La granularidad debe ser day, week o month');
+        }
+
+        const to = periodStart(options.to ? new Date(options.to) : new Date(), 'day');
+        const from = options.from ? periodStart(new Date(options.from), 'day') : new Date(to.getTime() - 29 * DAY_MS);
+        if (Number.isNaN(to.getTime()) || Number.isNaN(from.getTime())) {
+            throw ValidationError.forField('from', 'Las fechas del rango no son válidas');
+        }
+        if (from > to) {
+            throw ValidationError.forField('from', 'La fecha inicial no puede ser posterior a la fecha final');
+        }
+
+        // Límite exclusivo al inicio del día siguiente a to: no depende de la precisión con que
+        // cada driver guarda las fechas (SQLite las trunca a segundos)
+        const end = new Date(to.getTime() + DAY_MS);
+        const periods = [];
+        for (let start = periodStart(from, granularity); start < end; start = nextPeriod(start, granularity)) {
+            periods.push(start.toISOString().slice(0, 10));
+            if (periods.length > MAX_TREND_PERIODS) {
+                throw ValidationError.forField('from', `El rango no puede abarcar más de ${MAX_TREND_PERIODS} periodos`);
+            }
+        }
+        const previousFrom = new Date(from.getTime() - (end.getTime() - from.getTime()));
+
+        const db = tx || this.database().reader();
+        const period = TREND_PERIODS[granularity][db.dialect === 'sqlite' ? 'sqlite' : 'mysql'];
+
+        const categorias = await db.query(`
+            SELECT id_category, nombre, slug FROM categoria
+            WHERE archived_at IS NULL
+            ORDER BY orden ASC, nombre ASC
+        `, [], { label: 'Categoria.getTrends' });
+        const created = await db.query(`
+            SELECT categoria_id, ${period('fecha_creacion')} AS periodo, COUNT(*) AS total
+            FROM frase
+            WHERE archived_at IS NULL AND fecha_creacion >= ? AND fecha_creacion < ?
+            GROUP BY categoria_id, ${period('fecha_creacion')}
+        `, [from, end], { label: 'Categoria.getTrends' });
+        const published = await db.query(`
+            SELECT categoria_id, ${period('published_at')} AS periodo, COUNT(*) AS total
+            FROM frase
+            WHERE archived_at IS NULL AND status = 'published' AND published_at >= ? AND published_at < ?
+            GROUP BY categoria_id, ${period('published_at')}
+        `, [from, end], { label: 'Categoria.getTrends' });
+        const previous = await db.query(`
+            SELECT categoria_id,
+                COUNT(CASE WHEN fecha_creacion >= ? AND fecha_creacion < ? THEN 1 END) AS creadas,
+                COUNT(CASE WHEN status = 'published' AND published_at >= ? AND published_at < ? THEN 1 END) AS publicadas
+            FROM frase
+            WHERE archived_at IS NULL AND ((fecha_creacion >= ? AND fecha_creacion < ?) OR (published_at >= ? AND published_at < ?))
+            GROUP BY categoria_id
+        `, [previousFrom, from, previousFrom, from, previousFrom, from, previousFrom, from], { label: 'Categoria.getTrends' });
+
+        const emptySeries = () => new Map(periods.map(key => [key, { periodo: key, creadas: 0, publicadas: 0 }]));
+        const byCategory = new Map(categorias.map(row => [Number(row.id_category), {
+            id_category: Number(row.id_category),
+            nombre: row.nombre,
+            slug: row.slug,
+            series: emptySeries(),
+            previous: { creadas: 0, publicadas: 0 }
+        }]));
+
+        const addCounts = (rows, field) => rows.forEach(row => {
+            const categoria = byCategory.get(Number(row.categoria_id));
+            const bucket = categoria && categoria.series.get(periodKey(row.periodo));
+            if (bucket) {
+                bucket[field] += Number(row.total);
+            }
+        });
+        addCounts(created, 'creadas');
+        addCounts(published, 'publicadas');
+        previous.forEach(row => {
+            const categoria = byCategory.get(Number(row.categoria_id));
+            if (categoria) {
+                categoria.previous = { creadas: Number(row.creadas), publicadas: Number(row.publicadas) };
+            }
+        });
+
+        const totals = { series: emptySeries(), creadas: 0, publicadas: 0, previous: { creadas: 0, publicadas: 0 } };
+        const report = [...byCategory.values()].map(categoria => {
+            const series = [...categoria.series.values()];
+            const creadas = series.reduce((sum, bucket) => sum + bucket.creadas, 0);
+            const publicadas = series.reduce((sum, bucket) => sum + bucket.publicadas, 0);
+
+            series.forEach(bucket => {
+                const total = totals.series.get(bucket.periodo);
+                total.creadas += bucket.creadas;
+                total.publicadas += bucket.publicadas;
+            });
+            totals.creadas += creadas;
+            totals.publicadas += publicadas;
+            totals.previous.creadas += categoria.previous.creadas;
+            totals.previous.publicadas += categoria.previous.publicadas;
+
+            return {
+                id_category: categoria.id_category,
+                nombre: categoria.nombre,
+                slug: categoria.slug,
+                series: series,
+                creadas: creadas,
+                publicadas: publicadas,
+                previous: categoria.previous,
+                growth: {
+                    creadas: growth(creadas, categoria.previous.creadas),
+                    publicadas: growth(publicadas, categoria.previous.publicadas)
+                }
+            };
+        });
+
+        const trending = report
+            .map(categoria => {
+                const actividad = categoria.creadas + categoria.publicadas;
+                const actividadAnterior = categoria.previous.creadas + categoria.previous.publicadas;
+                return {
+                    id_category: categoria.id_category,
+                    nombre: categoria.nombre,
+                    slug: categoria.slug,
+                    actividad: actividad,
+                    aumento: actividad - actividadAnterior,
+                    growth: growth(actividad, actividadAnterior)
+                };
+            })
+            .filter(categoria => categoria.actividad > 0)
+            .sort((a, b) => b.aumento - a.aumento || b.actividad - a.actividad)
+            .slice(0, options.limit || TRENDING_LIMIT);
+
+        return {
+            granularity: granularity,
+            from: from,
+            to: to,
+            previous: { from: previousFrom, to: new Date(from.getTime() - DAY_MS) },
+            periods: periods,
+            categorias: report,
+            totals: {
+                series: [...totals.series.values()],
+                creadas: totals.creadas,
+                publicadas: totals.publicadas,
+                previous: totals.previous,
+                growth: {
+                    creadas: growth(totals.creadas, totals.previous.creadas),
+                    publicadas: growth(totals.publicadas, totals.previous.publicadas)
+                }
+            },
+            trending: trending
+        };
+    }
+
     /**
      * Convierte la categoría a un objeto plano
      * @returns {Object} - Objeto con los datos de la categoría
@@ -325,7 +1392,15 @@ class Categoria {
         return {
             id_category: this.id_category,
             nombre: this.nombre,
-            descripcion: this.descripcion
+            descripcion: this.descripcion,
+            parent_id: this.parent_id,
+            slug: this.slug,
+            color: this.color,
+            icono: this.icono,
+            orden: this.orden,
+            destacada: this.destacada,
+            archived_at: this.archived_at,
+            ...(this.subcategorias ? { subcategorias: this.subcategorias.map(categoria => categoria.toJSON()) } : {})
         };
     }
 }
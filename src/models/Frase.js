@@ -1,8 +1,39 @@
 const Database = require('../database/Database');
+const QueryBuilder = require('../database/QueryBuilder');
+const emailVerification = require('../auth/emailVerification');
+const permissions = require('../auth/permissions');
+const Categoria = require('./Categoria');
+const { ValidationError, NotFoundError, ReferenceError, addFieldError, validationResult } = require('../database/errors');
+
+// Filtros admitidos por findAll y count
+const FILTERS = {
+    status: (query, status) => query.where('f.status = ?', status),
+    categoria_id: (query, categoriaId) => Array.isArray(categoriaId)
+        ? query.whereIn('f.categoria_id', categoriaId)
+        : query.where('f.categoria_id = ?', categoriaId),
+    creado_por: (query, userId) => query.where('f.creado_por = ?', userId),
+    archivadas: (query, archivadas) => query.where(archivadas ? 'f.archived_at IS NOT NULL' : 'f.archived_at IS NULL'),
+    search: (query, search) => {
+        const searchPattern = `%${search}%`;
+        query.where('(f.texto LIKE ? OR f.autor LIKE ?)', searchPattern, searchPattern);
+    }
+};
+
+// Columnas por las que se puede ordenar el listado de frases
+const SORTABLE_COLUMNS = {
+    fecha_creacion: 'f.fecha_creacion',
+    scheduled_at: 'f.scheduled_at',
+    published_at: 'f.published_at',
+    autor: 'f.autor',
+    status: 'f.status',
+    categoria: 'c.nombre',
+    creado_por: 'u.nombre'
+};
 
 /**
  * Clase que representa la entidad Frase
  * Maneja todas las operaciones CRUD relacionadas con las frases de gratitud
+ * Los listados, conteos y estadísticas se leen de la réplica de lectura si está configurada
  */
 class Frase {
     constructor(data = {}) {
@@ -12,6 +43,8 @@ class Frase {
         this.fecha_creacion = data.fecha_creacion || null;
         this.scheduled_at = data.scheduled_at || null;
         this.status = data.status || 'draft';
+        this.published_at = data.published_at || null;
+        this.archived_at = data.archived_at || null;
         this.creado_por = data.creado_por || null;
         this.categoria_id = data.categoria_id || null;
         
@@ -20,176 +53,252 @@ class Frase {
         this.categoria_nombre = data.categoria_nombre || '';
     }
 
+    /**
+     * Crea una variante del modelo que ejecuta sus operaciones en la base de datos indicada
+     * @param {Database} db - Base de datos a usar, por ejemplo Database.get('test')
+     * @returns {typeof Frase} - Subclase de Frase ligada a esa base de datos
+     */
+    static using(db) {
+        const Bound = class extends this {};
+        Bound.db = db;
+        return Bound;
+    }
+
+    /**
+     * Base de datos del modelo: la indicada con using() o la instancia por defecto
+     * @returns {Database}
+     */
+    static database() {
+        return this.db || new Database();
+    }
+
     /**
      * Valida los datos de la frase antes de guardar
-     * @returns {Object} - Objeto con isValid y errors
+     * @returns {Object} - Objeto con isValid, errors y fields (errores por campo)
      */
     validate() {
-        const errors = [];
+        const fields = {};
 
         if (!this.texto || this.texto.trim().length < 10) {
-            errors.push('El texto debe tener al menos 10 caracteres');
+            addFieldError(fields, 'texto', 'El texto debe tener al menos 10 caracteres');
         }
 
         if (this.texto && this.texto.length > 1000) {
-            errors.push('El texto no puede exceder 1000 caracteres');
+            addFieldError(fields, 'texto', 'El texto no puede exceder 1000 caracteres');
         }
 
         if (this.autor && this.autor.length > 120) {
-            errors.push('El nombre del autor no puede exceder 120 caracteres');
+            addFieldError(fields, 'autor', 'El nombre del autor no puede exceder 120 caracteres');
         }
 
         if (!this.creado_por || this.creado_por <= 0) {
-            errors.push('Debe especificar el ID del usuario creador');
+            addFieldError(fields, 'creado_por', 'Debe especificar el ID del usuario creador');
         }
 
         if (!this.categoria_id || this.categoria_id <= 0) {
-            errors.push('Debe especificar el ID de la categoría');
+            addFieldError(fields, 'categoria_id', 'Debe especificar el ID de la categoría');
         }
 
         if (!['draft', 'scheduled', 'published'].includes(this.status)) {
-            errors.push('El estado debe ser draft, scheduled o published');
+            addFieldError(fields, 'status', 'El estado debe ser draft, scheduled o published');
         }
 
         if (this.status === 'scheduled' && !this.scheduled_at) {
-            errors.push('Las frases programadas deben tener una fecha de publicación');
+            addFieldError(fields, 'scheduled_at', 'Las frases programadas deben tener una fecha de publicación');
         }
 
         if (this.scheduled_at && new Date(this.scheduled_at) <= new Date()) {
-            errors.push('La fecha de publicación programada debe ser futura');
+            addFieldError(fields, 'scheduled_at', 'La fecha de publicación programada debe ser futura');
         }
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+        return validationResult(fields);
+    }
+
+    /**
+     * Registra cuándo la frase pasó a publicada y lo limpia si deja de estarlo
+     */
+    syncPublishedAt() {
+        if (this.status !== 'published') {
+            this.published_at = null;
+        } else if (!this.published_at) {
+            this.published_at = new Date();
+        }
+    }
+
+    /**
+     * Indica si la frase es un borrador creado por el usuario indicado
+     * @param {Usuario|null} actor - Usuario que actúa
+     * @param {string} status - Estado a considerar (por defecto, el actual)
+     * @returns {boolean}
+     */
+    isOwnDraft(actor, status = this.status) {
+        return Boolean(actor) && Number(actor.id_user) === Number(this.creado_por) && status === 'draft';
+    }
+
+    /**
+     * Verifica que un usuario pueda aplicar los cambios indicados a la frase
+     * Editar requiere frase:edit, o frase:edit:own si es un borrador propio que sigue en
+     * borrador; cambiar el estado o la fecha programada requiere además frase:publish
+     * @param {Usuario|null} actor - Usuario que actúa
+     * @param {Object} updateData - Cambios a aplicar
+     * @throws {PermissionError} - Si no tiene permiso
+     */
+    assertCanEdit(actor, updateData = {}) {
+        const nextStatus = updateData.status !== undefined ? updateData.status : this.status;
+        const scheduleChanged = nextStatus === 'scheduled' && updateData.scheduled_at !== undefined &&
+            String(updateData.scheduled_at) !== String(this.scheduled_at);
+        if (nextStatus !== this.status || scheduleChanged) {
+            permissions.assert(actor, 'frase:publish', 'No tiene permiso para publicar, programar o despublicar frases');
+        }
+
+        const ownDraft = this.isOwnDraft(actor) && nextStatus === 'draft';
+        permissions.assert(
+            actor,
+            ownDraft ? ['frase:edit', 'frase:edit:own'] : 'frase:edit',
+            'Solo puede editar sus propias frases mientras estén en borrador'
+        );
     }
 
     /**
      * Crea una nueva frase en la base de datos
+     * Requiere frase:create; crear frases a nombre de otro usuario requiere frase:edit
+     * y crearlas publicadas o programadas requiere frase:publish
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Frase>} - Frase creada con ID asignado
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso, o si la política
+     * exige el correo del autor verificado y no lo está
      */
-    async create() {
+    async create(actor = null, tx = null) {
         const validation = this.validate();
         if (!validation.isValid) {
-            throw new Error(`Datos inválidos: ${validation.errors.join(', ')}`);
+            throw new ValidationError(validation.fields);
+        }
+
+        permissions.assert(actor, 'frase:create', 'No tiene permiso para crear frases');
+        if (actor && Number(actor.id_user) !== Number(this.creado_por)) {
+            permissions.assert(actor, 'frase:edit', 'Solo puede crear frases a su nombre');
+        }
+        if (this.status !== 'draft') {
+            permissions.assert(actor, 'frase:publish', 'No tiene permiso para publicar o programar frases');
         }
 
-        const db = new Database();
+        this.syncPublishedAt();
+
+        const db = tx || this.constructor.database();
+        await emailVerification.assertCanAuthor(db, this.creado_por);
+
         const query = `
-            INSERT INTO frase (texto, autor, scheduled_at, status, creado_por, categoria_id)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO frase (texto, autor, scheduled_at, status, published_at, creado_por, categoria_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
         `;
         
         try {
-            await db.query(query, [
+            const result = await db.query(query, [
                 this.texto,
                 this.autor,
                 this.scheduled_at,
                 this.status,
+                this.published_at,
                 this.creado_por,
                 this.categoria_id
-            ]);
+            ], { label: 'Frase.create' });
 
-            this.id_quote = await db.getLastInsertId();
+            this.id_quote = result.insertId;
             this.fecha_creacion = new Date();
             
             return this;
         } catch (error) {
-            if (error.code === 'ER_NO_REFERENCED_ROW_2') {
-                throw new Error('El usuario o categoría especificados no existen');
+            if (error instanceof ReferenceError) {
+                throw new ReferenceError('El usuario o categoría especificados no existen', {
+                    details: { fields: ['creado_por', 'categoria_id'] },
+                    cause: error.cause
+                });
             }
             throw error;
         }
     }
 
+    /**
+     * Consulta base de frases con el nombre del creador y de la categoría
+     * @returns {QueryBuilder}
+     */
+    static baseQuery() {
+        return QueryBuilder.from('frase', 'f')
+            .select('f.*', 'u.nombre as creado_por_nombre', 'c.nombre as categoria_nombre')
+            .join('usuario', 'u', 'f.creado_por = u.id_user')
+            .join('categoria', 'c', 'f.categoria_id = c.id_category');
+    }
+
     /**
      * Busca una frase por ID
      * @param {number} id - ID de la frase
      * @param {boolean} includeDetails - Si incluir información del creador y categoría
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Frase|null>} - Frase encontrada o null
      */
-    static async findById(id, includeDetails = true) {
-        const db = new Database();
-        let query, params;
-
-        if (includeDetails) {
-            query = `
-                SELECT f.*, u.nombre as creado_por_nombre, c.nombre as categoria_nombre
-                FROM frase f
-                JOIN usuario u ON f.creado_por = u.id_user
-                JOIN categoria c ON f.categoria_id = c.id_category
-                WHERE f.id_quote = ?
-            `;
-            params = [id];
-        } else {
-            query = 'SELECT * FROM frase WHERE id_quote = ?';
-            params = [id];
-        }
+    static async findById(id, includeDetails = true, tx = null) {
+        const db = tx || this.database();
+        const builder = includeDetails
+            ? Frase.baseQuery().where('f.id_quote = ?', id)
+            : QueryBuilder.from('frase').where('id_quote = ?', id);
+        const { sql, params } = builder.toSQL();
         
         try {
-            const results = await db.query(query, params);
+            const results = await db.query(sql, params, { label: 'Frase.findById' });
             if (results.length === 0) {
                 return null;
             }
             
-            return new Frase(results[0]);
+            return new this(results[0]);
         } catch (error) {
             throw error;
         }
     }
 
     /**
-     * Obtiene todas las frases con filtros opcionales
+     * Prepara los filtros: las frases archivadas se excluyen salvo que se indique archivadas,
+     * y con incluir_subcategorias categoria_id se reemplaza por la lista de IDs de la
+     * categoría y sus subcategorías
      * @param {Object} filters - Filtros de búsqueda
-     * @param {number} limit - Límite de resultados
-     * @param {number} offset - Desplazamiento para paginación
-     * @returns {Promise<Array<Frase>>} - Lista de frases
+     * @param {Object} db - Database o Transaction
+     * @returns {Promise<Object>} - Filtros listos para aplicar
      */
-    static async findAll(filters = {}, limit = 50, offset = 0) {
-        const db = new Database();
-        let whereConditions = [];
-        let params = [];
-
-        // Aplicar filtros
-        if (filters.status) {
-            whereConditions.push('f.status = ?');
-            params.push(filters.status);
-        }
-
-        if (filters.categoria_id) {
-            whereConditions.push('f.categoria_id = ?');
-            params.push(filters.categoria_id);
+    static async resolveFilters(filters, db) {
+        filters = { archivadas: false, ...filters };
+        if (!filters.incluir_subcategorias || !filters.categoria_id) {
+            return filters;
         }
 
-        if (filters.creado_por) {
-            whereConditions.push('f.creado_por = ?');
-            params.push(filters.creado_por);
-        }
-
-        if (filters.search) {
-            whereConditions.push('(f.texto LIKE ? OR f.autor LIKE ?)');
-            const searchPattern = `%${filters.search}%`;
-            params.push(searchPattern, searchPattern);
-        }
-
-        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
-
-        const query = `
-            SELECT f.*, u.nombre as creado_por_nombre, c.nombre as categoria_nombre
-            FROM frase f
-            JOIN usuario u ON f.creado_por = u.id_user
-            JOIN categoria c ON f.categoria_id = c.id_category
-            ${whereClause}
-            ORDER BY f.fecha_creacion DESC
-            LIMIT ? OFFSET ?
-        `;
+        const ids = await Categoria.using(this.database()).getSubtreeIds(filters.categoria_id, db);
+        return { ...filters, categoria_id: ids };
+    }
 
-        params.push(limit, offset);
+    /**
+     * Obtiene todas las frases con filtros opcionales
+     * @param {Object} filters - Filtros de búsqueda (status, categoria_id, creado_por, search)
+     * @param {boolean} filters.incluir_subcategorias - Incluir las subcategorías de categoria_id
+     * @param {boolean} filters.archivadas - true para listar solo las frases archivadas (por defecto se excluyen)
+     * @param {string} filters.sort - Columna de ordenamiento (fecha_creacion, scheduled_at, autor, status, categoria, creado_por)
+     * @param {string} filters.order - Dirección del ordenamiento ('ASC' o 'DESC')
+     * @param {number} limit - Límite de resultados
+     * @param {number} offset - Desplazamiento para paginación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Array<Frase>>} - Lista de frases
+     */
+    static async findAll(filters = {}, limit = 50, offset = 0, tx = null) {
+        const db = tx || this.database().reader();
+        filters = await this.resolveFilters(filters, db);
+        const { sql, params } = Frase.baseQuery()
+            .applyFilters(filters, FILTERS)
+            .orderBy(filters.sort || 'fecha_creacion', filters.order || 'DESC', SORTABLE_COLUMNS)
+            .limit(limit)
+            .offset(offset)
+            .toSQL();
         
         try {
-            const results = await db.query(query, params);
-            return results.map(row => new Frase(row));
+            const results = await db.query(sql, params, { label: 'Frase.findAll' });
+            return results.map(row => new this(row));
         } catch (error) {
             throw error;
         }
@@ -199,72 +308,98 @@ class Frase {
      * Obtiene frases publicadas
      * @param {number} limit - Límite de resultados
      * @param {number} offset - Desplazamiento para paginación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Array<Frase>>} - Lista de frases publicadas
      */
-    static async findPublished(limit = 50, offset = 0) {
-        return Frase.findAll({ status: 'published' }, limit, offset);
+    static async findPublished(limit = 50, offset = 0, tx = null) {
+        return this.findAll({ status: 'published' }, limit, offset, tx);
     }
 
     /**
      * Obtiene frases programadas para publicación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Array<Frase>>} - Lista de frases programadas
      */
-    static async findScheduled() {
-        const db = new Database();
-        const query = `
-            SELECT f.*, u.nombre as creado_por_nombre, c.nombre as categoria_nombre
-            FROM frase f
-            JOIN usuario u ON f.creado_por = u.id_user
-            JOIN categoria c ON f.categoria_id = c.id_category
-            WHERE f.status = 'scheduled' AND f.scheduled_at <= NOW()
-            ORDER BY f.scheduled_at ASC
-        `;
+    static async findScheduled(tx = null) {
+        const db = tx || this.database();
+        const { sql, params } = Frase.baseQuery()
+            .where("f.status = 'scheduled'")
+            .where('f.scheduled_at <= NOW()')
+            .orderBy('f.scheduled_at', 'ASC')
+            .toSQL();
         
         try {
-            const results = await db.query(query);
-            return results.map(row => new Frase(row));
+            const results = await db.query(sql, params, { label: 'Frase.findScheduled' });
+            return results.map(row => new this(row));
         } catch (error) {
             throw error;
         }
     }
 
+    /**
+     * Publica las frases programadas cuya fecha de publicación ya llegó
+     * Las filas vencidas se bloquean (FOR UPDATE en MySQL; en SQLite la transacción ya es
+     * exclusiva) y solo se actualizan las que siguen programadas, por lo que dos procesos
+     * que se ejecuten a la vez nunca publican la misma frase
+     * @param {Date} now - Momento de referencia (por defecto, ahora)
+     * @param {number} limit - Máximo de frases a publicar
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Array<Object>>} - Frases publicadas con id_quote, scheduled_at y published_at
+     */
+    static async publishDue(now = new Date(), limit = 100, tx = null) {
+        if (!tx) {
+            return this.database().transaction(
+                (transaction) => this.publishDue(now, limit, transaction),
+                { label: 'Frase.publishDue' }
+            );
+        }
+
+        const { sql, params } = QueryBuilder.from('frase')
+            .select('id_quote', 'scheduled_at')
+            .where("status = 'scheduled'")
+            .where('scheduled_at <= ?', now)
+            .where('archived_at IS NULL')
+            .orderBy('scheduled_at', 'ASC')
+            .limit(limit)
+            .toSQL();
+        const due = await tx.query(tx.dialect === 'mysql' ? `${sql} FOR UPDATE` : sql, params, { label: 'Frase.publishDue' });
+
+        const published = [];
+        for (const row of due) {
+            const result = await tx.query(`
+                UPDATE frase
+                SET status = 'published', published_at = ?, scheduled_at = NULL
+                WHERE id_quote = ? AND status = 'scheduled'
+            `, [now, row.id_quote], { label: 'Frase.publishDue' });
+
+            // Otro proceso pudo haberla publicado o reprogramado antes de obtener el bloqueo
+            if (result.affectedRows === 1) {
+                published.push({ id_quote: row.id_quote, scheduled_at: row.scheduled_at, published_at: now });
+            }
+        }
+
+        return published;
+    }
+
     /**
      * Obtiene frases aleatorias
      * @param {number} count - Número de frases a obtener
      * @param {number} categoria_id - ID de categoría (opcional)
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Array<Frase>>} - Lista de frases aleatorias
      */
-    static async findRandom(count = 1, categoria_id = null) {
-        const db = new Database();
-        let query, params;
-
-        if (categoria_id) {
-            query = `
-                SELECT f.*, u.nombre as creado_por_nombre, c.nombre as categoria_nombre
-                FROM frase f
-                JOIN usuario u ON f.creado_por = u.id_user
-                JOIN categoria c ON f.categoria_id = c.id_category
-                WHERE f.status = 'published' AND f.categoria_id = ?
-                ORDER BY RAND()
-                LIMIT ?
-            `;
-            params = [categoria_id, count];
-        } else {
-            query = `
-                SELECT f.*, u.nombre as creado_por_nombre, c.nombre as categoria_nombre
-                FROM frase f
-                JOIN usuario u ON f.creado_por = u.id_user
-                JOIN categoria c ON f.categoria_id = c.id_category
-                WHERE f.status = 'published'
-                ORDER BY RAND()
-                LIMIT ?
-            `;
-            params = [count];
-        }
+    static async findRandom(count = 1, categoria_id = null, tx = null) {
+        const db = tx || this.database().reader();
+        const { sql, params } = Frase.baseQuery()
+            .where("f.status = 'published'")
+            .applyFilters({ categoria_id, archivadas: false }, FILTERS)
+            .orderByRaw('RAND()')
+            .limit(count)
+            .toSQL();
         
         try {
-            const results = await db.query(query, params);
-            return results.map(row => new Frase(row));
+            const results = await db.query(sql, params, { label: 'Frase.findRandom' });
+            return results.map(row => new this(row));
         } catch (error) {
             throw error;
         }
@@ -273,13 +408,18 @@ class Frase {
     /**
      * Actualiza los datos de la frase
      * @param {Object} updateData - Datos a actualizar
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Frase>} - Frase actualizada
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso (ver assertCanEdit)
      */
-    async update(updateData = {}) {
+    async update(updateData = {}, actor = null, tx = null) {
         if (this.id_quote === null) {
-            throw new Error('No se puede actualizar una frase sin ID');
+            throw ValidationError.forField('id_quote', 'No se puede actualizar una frase sin ID');
         }
 
+        this.assertCanEdit(actor, updateData);
+
         // Actualizar propiedades del objeto
         Object.keys(updateData).forEach(key => {
             if (updateData[key] !== undefined && key !== 'id_quote') {
@@ -289,83 +429,109 @@ class Frase {
 
         const validation = this.validate();
         if (!validation.isValid) {
-            throw new Error(`Datos inválidos: ${validation.errors.join(', ')}`);
+            throw new ValidationError(validation.fields);
         }
 
-        const db = new Database();
+        this.syncPublishedAt();
+
+        const db = tx || this.constructor.database();
         const query = `
             UPDATE frase 
-            SET texto = ?, autor = ?, scheduled_at = ?, status = ?, categoria_id = ?
+            SET texto = ?, autor = ?, scheduled_at = ?, status = ?, published_at = ?, categoria_id = ?
             WHERE id_quote = ?
         `;
         
         try {
-            await db.query(query, [
+            const result = await db.query(query, [
                 this.texto,
                 this.autor,
                 this.scheduled_at,
                 this.status,
+                this.published_at,
                 this.categoria_id,
                 this.id_quote
-            ]);
+            ], { label: 'Frase.update' });
+
+            if (result.affectedRows === 0) {
+                throw new NotFoundError(`La frase ${this.id_quote} no existe`);
+            }
             
             return this;
         } catch (error) {
-            if (error.code === 'ER_NO_REFERENCED_ROW_2') {
-                throw new Error('El usuario o categoría especificados no existen');
+            if (error instanceof ReferenceError) {
+                throw new ReferenceError('El usuario o categoría especificados no existen', {
+                    details: { fields: ['creado_por', 'categoria_id'] },
+                    cause: error.cause
+                });
             }
             throw error;
         }
     }
 
     /**
-     * Publica una frase (cambia status a 'published')
+     * Publica una frase (cambia status a 'published'); requiere frase:publish
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Frase>} - Frase actualizada
      */
-    async publish() {
+    async publish(actor = null, tx = null) {
         return this.update({ 
             status: 'published',
             scheduled_at: null // Limpiar fecha programada al publicar
-        });
+        }, actor, tx);
     }
 
     /**
-     * Programa una frase para publicación futura
+     * Programa una frase para publicación futura; requiere frase:publish
      * @param {Date|string} scheduledDate - Fecha de publicación programada
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Frase>} - Frase actualizada
      */
-    async schedule(scheduledDate) {
+    async schedule(scheduledDate, actor = null, tx = null) {
         return this.update({ 
             status: 'scheduled',
             scheduled_at: scheduledDate
-        });
+        }, actor, tx);
     }
 
     /**
-     * Cambia una frase a borrador
+     * Cambia una frase a borrador; si no lo era, requiere frase:publish
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Frase>} - Frase actualizada
      */
-    async draft() {
+    async draft(actor = null, tx = null) {
         return this.update({ 
             status: 'draft',
             scheduled_at: null
-        });
+        }, actor, tx);
     }
 
     /**
      * Elimina la frase de la base de datos
+     * Requiere frase:delete, o frase:delete:own si es un borrador propio
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<boolean>} - True si se eliminó correctamente
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
      */
-    async delete() {
+    async delete(actor = null, tx = null) {
         if (this.id_quote === null) {
-            throw new Error('No se puede eliminar una frase sin ID');
+            throw ValidationError.forField('id_quote', 'No se puede eliminar una frase sin ID');
         }
 
-        const db = new Database();
+        permissions.assert(
+            actor,
+            this.isOwnDraft(actor) ? ['frase:delete', 'frase:delete:own'] : 'frase:delete',
+            'Solo puede eliminar sus propias frases mientras estén en borrador'
+        );
+
+        const db = tx || this.constructor.database();
         const query = 'DELETE FROM frase WHERE id_quote = ?';
         
         try {
-            const result = await db.query(query, [this.id_quote]);
+            const result = await db.query(query, [this.id_quote], { label: 'Frase.delete' });
             return result.affectedRows > 0;
         } catch (error) {
             throw error;
@@ -374,41 +540,20 @@ class Frase {
 
     /**
      * Obtiene el conteo total de frases con filtros opcionales
+     * Usa los mismos filtros que findAll, por lo que el total coincide con el listado
      * @param {Object} filters - Filtros de búsqueda
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<number>} - Número total de frases
      */
-    static async count(filters = {}) {
-        const db = new Database();
-        let whereConditions = [];
-        let params = [];
-
-        // Aplicar filtros
-        if (filters.status) {
-            whereConditions.push('status = ?');
-            params.push(filters.status);
-        }
-
-        if (filters.categoria_id) {
-            whereConditions.push('categoria_id = ?');
-            params.push(filters.categoria_id);
-        }
-
-        if (filters.creado_por) {
-            whereConditions.push('creado_por = ?');
-            params.push(filters.creado_por);
-        }
-
-        if (filters.search) {
-            whereConditions.push('(texto LIKE ? OR autor LIKE ?)');
-            const searchPattern = `%${filters.search}%`;
-            params.push(searchPattern, searchPattern);
-        }
-
-        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
-        const query = `SELECT COUNT(*) as total FROM frase ${whereClause}`;
+    static async count(filters = {}, tx = null) {
+        const db = tx || this.database().reader();
+        filters = await this.resolveFilters(filters, db);
+        const { sql, params } = Frase.baseQuery()
+            .applyFilters(filters, FILTERS)
+            .toCountSQL();
         
         try {
-            const results = await db.query(query, params);
+            const results = await db.query(sql, params, { label: 'Frase.count' });
             return results[0].total;
         } catch (error) {
             throw error;
@@ -418,22 +563,24 @@ class Frase {
     /**
      * Obtiene estadísticas de frases por usuario
      * @param {number} userId - ID del usuario
-     * @returns {Promise<Object>} - Estadísticas del usuario
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - Estadísticas del usuario; las frases archivadas solo se cuentan en frases_archivadas
      */
-    static async getUserStats(userId) {
-        const db = new Database();
+    static async getUserStats(userId, tx = null) {
+        const db = tx || this.database().reader();
         const query = `
             SELECT 
-                COUNT(*) as total_frases,
-                COUNT(CASE WHEN status = 'published' THEN 1 END) as frases_publicadas,
-                COUNT(CASE WHEN status = 'draft' THEN 1 END) as frases_borrador,
-                COUNT(CASE WHEN status = 'scheduled' THEN 1 END) as frases_programadas
+                COUNT(CASE WHEN archived_at IS NULL THEN 1 END) as total_frases,
+                COUNT(CASE WHEN archived_at IS NULL AND status = 'published' THEN 1 END) as frases_publicadas,
+                COUNT(CASE WHEN archived_at IS NULL AND status = 'draft' THEN 1 END) as frases_borrador,
+                COUNT(CASE WHEN archived_at IS NULL AND status = 'scheduled' THEN 1 END) as frases_programadas,
+                COUNT(CASE WHEN archived_at IS NOT NULL THEN 1 END) as frases_archivadas
             FROM frase 
             WHERE creado_por = ?
         `;
         
         try {
-            const results = await db.query(query, [userId]);
+            const results = await db.query(query, [userId], { label: 'Frase.getUserStats' });
             return results[0];
         } catch (error) {
             throw error;
@@ -442,23 +589,25 @@ class Frase {
 
     /**
      * Obtiene estadísticas generales de frases
-     * @returns {Promise<Object>} - Estadísticas generales
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - Estadísticas generales; las frases archivadas solo se cuentan en frases_archivadas
      */
-    static async getGlobalStats() {
-        const db = new Database();
+    static async getGlobalStats(tx = null) {
+        const db = tx || this.database().reader();
         const query = `
             SELECT 
-                COUNT(*) as total_frases,
-                COUNT(CASE WHEN status = 'published' THEN 1 END) as frases_publicadas,
-                COUNT(CASE WHEN status = 'draft' THEN 1 END) as frases_borrador,
-                COUNT(CASE WHEN status = 'scheduled' THEN 1 END) as frases_programadas,
-                COUNT(DISTINCT creado_por) as usuarios_activos,
-                COUNT(DISTINCT categoria_id) as categorias_usadas
+                COUNT(CASE WHEN archived_at IS NULL THEN 1 END) as total_frases,
+                COUNT(CASE WHEN archived_at IS NULL AND status = 'published' THEN 1 END) as frases_publicadas,
+                COUNT(CASE WHEN archived_at IS NULL AND status = 'draft' THEN 1 END) as frases_borrador,
+                COUNT(CASE WHEN archived_at IS NULL AND status = 'scheduled' THEN 1 END) as frases_programadas,
+                COUNT(CASE WHEN archived_at IS NOT NULL THEN 1 END) as frases_archivadas,
+                COUNT(DISTINCT CASE WHEN archived_at IS NULL THEN creado_por END) as usuarios_activos,
+                COUNT(DISTINCT CASE WHEN archived_at IS NULL THEN categoria_id END) as categorias_usadas
             FROM frase
         `;
         
         try {
-            const results = await db.query(query);
+            const results = await db.query(query, [], { label: 'Frase.getGlobalStats' });
             return results[0];
         } catch (error) {
             throw error;
@@ -477,6 +626,8 @@ class Frase {
             fecha_creacion: this.fecha_creacion,
             scheduled_at: this.scheduled_at,
             status: this.status,
+            published_at: this.published_at,
+            archived_at: this.archived_at,
             creado_por: this.creado_por,
             categoria_id: this.categoria_id,
             creado_por_nombre: this.creado_por_nombre,
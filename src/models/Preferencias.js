@@ -0,0 +1,239 @@
+const Database = require('../database/Database');
+const { ValidationError, ReferenceError, addFieldError, validationResult } = require('../database/errors');
+
+// Idiomas disponibles para la aplicación
+const IDIOMAS = ['es', 'en'];
+
+// Hora en formato HH:MM (24 horas)
+const HORA_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MAX_CATEGORIAS_FAVORITAS = 10;
+
+// Valores de un usuario que aún no guardó sus preferencias
+const DEFAULTS = {
+    idioma: process.env.DEFAULT_LANGUAGE || 'es',
+    zona_horaria: process.env.DEFAULT_TIMEZONE || 'America/Mexico_City',
+    hora_envio: process.env.DEFAULT_DELIVERY_TIME || '08:00'
+};
+
+/**
+ * Indica si una zona horaria IANA es válida, por ejemplo 'America/Mexico_City'
+ * @param {string} zone - Zona horaria
+ * @returns {boolean}
+ */
+function isValidTimezone(zone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return typeof zone === 'string' && zone.length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Clase que representa las preferencias de un usuario
+ * Categorías favoritas, idioma, zona horaria y hora de envío de la frase diaria
+ * Un usuario sin preferencias guardadas obtiene los valores por defecto
+ */
+class Preferencias {
+    constructor(data = {}) {
+        this.id_user = data.id_user || null;
+        this.idioma = data.idioma || DEFAULTS.idioma;
+        this.zona_horaria = data.zona_horaria || DEFAULTS.zona_horaria;
+        this.hora_envio = data.hora_envio === undefined ? DEFAULTS.hora_envio : data.hora_envio;
+        this.categorias_favoritas = data.categorias_favoritas || [];
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Crea una variante del modelo que ejecuta sus operaciones en la base de datos indicada
+     * @param {Database} db - Base de datos a usar, por ejemplo Database.get('test')
+     * @returns {typeof Preferencias} - Subclase de Preferencias ligada a esa base de datos
+     */
+    static using(db) {
+        const Bound = class extends this {};
+        Bound.db = db;
+        return Bound;
+    }
+
+    /**
+     * Base de datos del modelo: la indicada con using() o la instancia por defecto
+     * @returns {Database}
+     */
+    static database() {
+        return this.db || new Database();
+    }
+
+    /**
+     * Valores por defecto de las preferencias
+     * @returns {Object} - idioma, zona_horaria, hora_envio y categorias_favoritas
+     */
+    static defaults() {
+        return { ...DEFAULTS, categorias_favoritas: [] };
+    }
+
+    /**
+     * Valida las preferencias antes de guardar
+     * @returns {Object} - Objeto con isValid, errors y fields (errores por campo)
+     */
+    validate() {
+        const fields = {};
+
+        if (!IDIOMAS.includes(this.idioma)) {
+            addFieldError(fields, 'idioma', `El idioma debe ser uno de: ${IDIOMAS.join(', ')}`);
+        }
+
+        if (!isValidTimezone(this.zona_horaria)) {
+            addFieldError(fields, 'zona_horaria', 'La zona horaria no es válida (por ejemplo, America/Mexico_City)');
+        }
+
+        // null indica que el usuario no quiere recibir la frase diaria
+        if (this.hora_envio !== null && !HORA_PATTERN.test(this.hora_envio)) {
+            addFieldError(fields, 'hora_envio', 'La hora de envío debe tener el formato HH:MM');
+        }
+
+        if (!Array.isArray(this.categorias_favoritas)) {
+            addFieldError(fields, 'categorias_favoritas', 'Las categorías favoritas deben ser una lista de IDs');
+        } else {
+            if (this.categorias_favoritas.some(id => !Number.isInteger(id) || id <= 0)) {
+                addFieldError(fields, 'categorias_favoritas', 'Las categorías favoritas deben ser IDs válidos');
+            }
+            if (this.categorias_favoritas.length > MAX_CATEGORIAS_FAVORITAS) {
+                addFieldError(fields, 'categorias_favoritas', `No se pueden elegir más de ${MAX_CATEGORIAS_FAVORITAS} categorías favoritas`);
+            }
+        }
+
+        return validationResult(fields);
+    }
+
+    /**
+     * Obtiene las preferencias de un usuario (los valores por defecto si no tiene)
+     * @param {number} userId - ID del usuario
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Preferencias>} - Preferencias del usuario
+     */
+    static async findByUsuario(userId, tx = null) {
+        const db = tx || this.database();
+
+        const results = await db.query(
+            'SELECT * FROM usuario_preferencia WHERE id_user = ?',
+            [userId],
+            { label: 'Preferencias.findByUsuario' }
+        );
+        const favoritas = await db.query(
+            'SELECT id_category FROM usuario_categoria_favorita WHERE id_user = ? ORDER BY id_category',
+            [userId],
+            { label: 'Preferencias.findByUsuario' }
+        );
+
+        return new this({
+            ...(results[0] || {}),
+            id_user: userId,
+            categorias_favoritas: favoritas.map(row => row.id_category)
+        });
+    }
+
+    /**
+     * Guarda las preferencias (las crea o reemplaza) en una sola transacción
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Preferencias>} - Preferencias guardadas
+     */
+    async save(tx = null) {
+        if (this.id_user === null) {
+            throw ValidationError.forField('id_user', 'No se pueden guardar preferencias sin usuario');
+        }
+
+        if (Array.isArray(this.categorias_favoritas)) {
+            this.categorias_favoritas = [...new Set(this.categorias_favoritas.map(Number))];
+        }
+
+        const validation = this.validate();
+        if (!validation.isValid) {
+            throw new ValidationError(validation.fields);
+        }
+
+        if (!tx) {
+            return this.constructor.database().transaction(
+                (transaction) => this.save(transaction),
+                { label: 'Preferencias.save' }
+            );
+        }
+
+        const upsert = tx.dialect === 'sqlite'
+            ? 'ON CONFLICT (id_user) DO UPDATE SET idioma = excluded.idioma, zona_horaria = excluded.zona_horaria, hora_envio = excluded.hora_envio, updated_at = excluded.updated_at'
+            : 'ON DUPLICATE KEY UPDATE idioma = VALUES(idioma), zona_horaria = VALUES(zona_horaria), hora_envio = VALUES(hora_envio), updated_at = VALUES(updated_at)';
+        const now = new Date();
+
+        try {
+            await tx.query(`
+                INSERT INTO usuario_preferencia (id_user, idioma, zona_horaria, hora_envio, updated_at)
+                VALUES (?, ?, ?, ?, ?)
+                ${upsert}
+            `, [this.id_user, this.idioma, this.zona_horaria, this.hora_envio, now], { label: 'Preferencias.save' });
+
+            await tx.query(
+                'DELETE FROM usuario_categoria_favorita WHERE id_user = ?',
+                [this.id_user],
+                { label: 'Preferencias.save' }
+            );
+            for (const categoryId of this.categorias_favoritas) {
+                await tx.query(
+                    'INSERT INTO usuario_categoria_favorita (id_user, id_category) VALUES (?, ?)',
+                    [this.id_user, categoryId],
+                    { label: 'Preferencias.save' }
+                );
+            }
+        } catch (error) {
+            if (error instanceof ReferenceError) {
+                throw new ReferenceError('El usuario o alguna de las categorías favoritas no existen', {
+                    details: { fields: ['id_user', 'categorias_favoritas'] },
+                    cause: error.cause
+                });
+            }
+            throw error;
+        }
+
+        this.updated_at = now;
+        return this;
+    }
+
+    /**
+     * Elimina las preferencias de un usuario
+     * @param {number} userId - ID del usuario
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<void>}
+     */
+    static async deleteByUsuario(userId, tx = null) {
+        const db = tx || this.database();
+        await db.query('DELETE FROM usuario_categoria_favorita WHERE id_user = ?', [userId], { label: 'Preferencias.deleteByUsuario' });
+        await db.query('DELETE FROM usuario_preferencia WHERE id_user = ?', [userId], { label: 'Preferencias.deleteByUsuario' });
+    }
+
+    /**
+     * Formatea una fecha en el idioma y la zona horaria del usuario
+     * @param {Date|string} date - Fecha a mostrar
+     * @returns {string} - Fecha y hora locales del usuario
+     */
+    formatDate(date) {
+        return new Date(date).toLocaleString(this.idioma, { timeZone: this.zona_horaria });
+    }
+
+    /**
+     * Convierte las preferencias a un objeto plano
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id_user: this.id_user,
+            idioma: this.idioma,
+            zona_horaria: this.zona_horaria,
+            hora_envio: this.hora_envio,
+            categorias_favoritas: this.categorias_favoritas,
+            updated_at: this.updated_at
+        };
+    }
+}
+
+Preferencias.IDIOMAS = IDIOMAS;
+
+module.exports = Preferencias;
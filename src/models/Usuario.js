@@ -1,9 +1,142 @@
 const Database = require('../database/Database');
-const crypto = require('crypto');
+const QueryBuilder = require('../database/QueryBuilder');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    ReferenceError,
+    PermissionError,
+    TwoFactorRequiredError,
+    addFieldError,
+    validationResult
+} = require('../database/errors');
+const passwords = require('../auth/passwords');
+const loginThrottle = require('../auth/loginThrottle');
+const sessions = require('../auth/sessions');
+const userTokens = require('../auth/userTokens');
+const emailVerification = require('../auth/emailVerification');
+const permissions = require('../auth/permissions');
+const twoFactor = require('../auth/twoFactor');
+const Preferencias = require('./Preferencias');
+const mailer = require('../mail/mailer');
+
+// Estrategias para eliminar un usuario que tiene frases
+const DELETE_STRATEGIES = ['reassign', 'anonymize', 'deactivate'];
+
+// Frases publicadas por el usuario de la fila actual (alias u)
+const PUBLISHED_COUNT = "(SELECT COUNT(*) FROM frase pf WHERE pf.creado_por = u.id_user AND pf.status = 'published' AND pf.archived_at IS NULL)";
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convierte el valor de un filtro de fecha; una fecha sin hora (AAAA-MM-DD) es el día completo en UTC
+ * @param {string} field - Filtro ('desde' o 'hasta')
+ * @param {Date|string} value - Fecha, fecha y hora o fecha sin hora
+ * @returns {Object} - date (Date) y dateOnly (true si no tenía hora)
+ * @throws {ValidationError} - Si la fecha no es válida
+ */
+function parseDateFilter(field, value) {
+    const dateOnly = typeof value === 'string' && DATE_ONLY_PATTERN.test(value.trim());
+    const date = value instanceof Date ? value : new Date(dateOnly ? `${value.trim()}T00:00:00Z` : value);
+    if (Number.isNaN(date.getTime()) || (dateOnly && date.toISOString().slice(0, 10) !== value.trim())) {
+        throw ValidationError.forField(field, 'La fecha no es válida (usa AAAA-MM-DD)');
+    }
+    return { date, dateOnly };
+}
+
+// Filtros admitidos por findAll y count
+const FILTERS = {
+    rol: (query, rol) => query.where('u.rol = ?', rol),
+    search: (query, search) => {
+        const searchPattern = `%${search}%`;
+        query.where('(u.nombre LIKE ? OR u.correo_electronico LIKE ?)', searchPattern, searchPattern);
+    },
+    desde: (query, desde) => query.where('u.fecha_creacion >= ?', parseDateFilter('desde', desde).date),
+    hasta: (query, hasta) => {
+        // Una fecha sin hora incluye todo ese día: se compara con el inicio del día siguiente
+        const { date, dateOnly } = parseDateFilter('hasta', hasta);
+        if (dateOnly) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            query.where('u.fecha_creacion < ?', date);
+        } else {
+            query.where('u.fecha_creacion <= ?', date);
+        }
+    },
+    con_frases_publicadas: (query, value) => query.where(`${PUBLISHED_COUNT} ${value ? '>' : '='} 0`),
+    activo: (query, activo) => query.where(activo ? 'u.deactivated_at IS NULL' : 'u.deactivated_at IS NOT NULL')
+};
+
+// Columnas por las que se puede ordenar el listado de usuarios
+const SORTABLE_COLUMNS = {
+    fecha_creacion: 'u.fecha_creacion',
+    nombre: 'u.nombre',
+    correo_electronico: 'u.correo_electronico',
+    rol: 'u.rol',
+    frases_publicadas: 'frases_publicadas'
+};
+
+// Hash que no corresponde a ninguna contraseña: la cuenta no puede iniciar sesión
+const UNUSABLE_PASSWORD_HASH = '!';
+
+let dummyHash = null;
+
+/**
+ * Hash con el que se compara la contraseña cuando el correo no existe
+ * @returns {string} - Hash generado la primera vez que se necesita
+ */
+function getDummyHash() {
+    dummyHash = dummyHash || passwords.hashPassword('gratiday-dummy-password');
+    return dummyHash;
+}
+
+/**
+ * Envía el correo de verificación sin interrumpir la operación que lo origina
+ * Si el envío falla se registra; el usuario puede pedir que se reenvíe
+ * @param {Usuario} usuario - Usuario al que se envía el correo
+ * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+ * @returns {Promise<boolean>} - True si se envió el correo
+ */
+async function sendVerificationQuietly(usuario, tx) {
+    try {
+        return await usuario.sendVerification({}, tx);
+    } catch (error) {
+        usuario.constructor.database().logger.log('warn', 'mail:verification-error', {
+            message: `No se pudo enviar el correo de verificación al usuario ${usuario.id_user}:`,
+            error: { message: error.message, code: error.code }
+        });
+        return false;
+    }
+}
+
+/**
+ * Crea el error que inicia el segundo paso de la autenticación
+ * Si el usuario aún no tiene activa la autenticación en dos pasos (la política la exige),
+ * se genera un secreto pendiente que se confirma con el primer código
+ * @param {Usuario} usuario - Usuario cuya contraseña ya se verificó
+ * @param {boolean} enabled - Si ya tiene activa la autenticación en dos pasos
+ * @param {Object} db - Database o Transaction
+ * @returns {Promise<TwoFactorRequiredError>}
+ */
+async function createTwoFactorChallenge(usuario, enabled, db) {
+    const challenge = await userTokens.issue(db, usuario.id_user, 'two_factor');
+    const options = {
+        challenge: challenge.token,
+        expiresAt: challenge.expires_at,
+        details: { reason: enabled ? 'code' : 'setup' }
+    };
+
+    if (enabled) {
+        return new TwoFactorRequiredError('Ingresa el código de tu aplicación de autenticación o un código de recuperación', options);
+    }
+
+    options.setup = await twoFactor.begin(db, usuario.id_user, usuario.correo_electronico);
+    return new TwoFactorRequiredError('Debes activar la autenticación en dos pasos para iniciar sesión con tu rol', options);
+}
 
 /**
  * Clase que representa la entidad Usuario
  * Maneja todas las operaciones CRUD relacionadas con los usuarios
+ * Los listados y conteos se leen de la réplica de lectura si está configurada
  */
 class Usuario {
     constructor(data = {}) {
@@ -12,62 +145,90 @@ class Usuario {
         this.correo_electronico = data.correo_electronico || '';
         this.password_hash = data.password_hash || '';
         this.fecha_creacion = data.fecha_creacion || null;
-        this.rol = data.rol || 'user';
+        this.rol = data.rol || permissions.DEFAULT_ROLE;
+        this.verified_at = data.verified_at || null;
+        this.deactivated_at = data.deactivated_at || null;
+        this.anonymized_at = data.anonymized_at || null;
+
+        // Campo adicional de los listados
+        this.frases_publicadas = data.frases_publicadas || 0;
+    }
+
+    /**
+     * Crea una variante del modelo que ejecuta sus operaciones en la base de datos indicada
+     * @param {Database} db - Base de datos a usar, por ejemplo Database.get('test')
+     * @returns {typeof Usuario} - Subclase de Usuario ligada a esa base de datos
+     */
+    static using(db) {
+        const Bound = class extends this {};
+        Bound.db = db;
+        return Bound;
+    }
+
+    /**
+     * Base de datos del modelo: la indicada con using() o la instancia por defecto
+     * @returns {Database}
+     */
+    static database() {
+        return this.db || new Database();
     }
 
     /**
-     * Crea un hash seguro de la contraseña
+     * Crea un hash seguro de la contraseña (scrypt, formato versionado)
      * @param {string} password - Contraseña en texto plano
      * @returns {string} - Hash de la contraseña
      */
     static hashPassword(password) {
-        const salt = crypto.randomBytes(16).toString('hex');
-        const hash = crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex');
-        return salt + ':' + hash;
+        return passwords.hashPassword(password);
     }
 
     /**
      * Verifica si una contraseña coincide con el hash almacenado
+     * Acepta también los hashes PBKDF2 anteriores al formato versionado
      * @param {string} password - Contraseña en texto plano
      * @param {string} hash - Hash almacenado
      * @returns {boolean} - True si la contraseña es correcta
      */
     static verifyPassword(password, hash) {
-        const [salt, originalHash] = hash.split(':');
-        const verifyHash = crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex');
-        return originalHash === verifyHash;
+        return passwords.verifyPassword(password, hash);
+    }
+
+    /**
+     * Indica si el hash almacenado usa un algoritmo o costo desactualizado
+     * @param {string} hash - Hash almacenado
+     * @returns {boolean} - True si debe regenerarse
+     */
+    static needsRehash(hash) {
+        return passwords.needsRehash(hash);
     }
 
     /**
      * Valida los datos del usuario antes de guardar
      * @param {string} password - Contraseña en texto plano para validar
-     * @returns {Object} - Objeto con isValid y errors
+     * @returns {Object} - Objeto con isValid, errors y fields (errores por campo)
      */
     validate(password = null) {
-        const errors = [];
+        const fields = {};
 
         if (!this.nombre || this.nombre.trim().length < 2) {
-            errors.push('El nombre debe tener al menos 2 caracteres');
+            addFieldError(fields, 'nombre', 'El nombre debe tener al menos 2 caracteres');
         }
 
         if (!this.correo_electronico || !this.isValidEmail(this.correo_electronico)) {
-            errors.push('El correo electrónico no es válido');
+            addFieldError(fields, 'correo_electronico', 'El correo electrónico no es válido');
         }
 
         // Validar contraseña - usar el parámetro password si está disponible
         const passwordToValidate = password || this.password_hash;
         if (!passwordToValidate || passwordToValidate.length < 6) {
-            errors.push('La contraseña debe tener al menos 6 caracteres');
+            addFieldError(fields, 'password', 'La contraseña debe tener al menos 6 caracteres');
         }
 
-        if (!['admin', 'user'].includes(this.rol)) {
-            errors.push('El rol debe ser "admin" o "user"');
+        if (!permissions.isRole(this.rol)) {
+            addFieldError(fields, 'rol', `El rol debe ser uno de: ${Object.keys(permissions.ROLES).join(', ')}`);
         }
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+        return validationResult(fields);
     }
 
     /**
@@ -82,60 +243,75 @@ class Usuario {
 
     /**
      * Crea un nuevo usuario en la base de datos
+     * Si el correo no viene ya verificado, se envía el código de verificación
+     * Crear un usuario con un rol distinto del predeterminado requiere usuario:manage
      * @param {string} password - Contraseña en texto plano
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Usuario>} - Usuario creado con ID asignado
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
      */
-    async create(password) {
+    async create(password, actor = null, tx = null) {
         const validation = this.validate(password);
         if (!validation.isValid) {
-            throw new Error(`Datos inválidos: ${validation.errors.join(', ')}`);
+            throw new ValidationError(validation.fields);
+        }
+
+        if (this.rol !== permissions.DEFAULT_ROLE) {
+            permissions.assert(actor, 'usuario:manage', 'Solo un administrador puede asignar ese rol');
         }
 
         // Crear hash de la contraseña
         this.password_hash = Usuario.hashPassword(password);
 
-        const db = new Database();
+        const db = tx || this.constructor.database();
         const query = `
-            INSERT INTO usuario (nombre, correo_electronico, password_hash, rol)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO usuario (nombre, correo_electronico, password_hash, rol, verified_at)
+            VALUES (?, ?, ?, ?, ?)
         `;
         
         try {
-            await db.query(query, [
+            const result = await db.query(query, [
                 this.nombre,
                 this.correo_electronico,
                 this.password_hash,
-                this.rol
-            ]);
+                this.rol,
+                this.verified_at
+            ], { label: 'Usuario.create' });
 
-            this.id_user = await db.getLastInsertId();
+            this.id_user = result.insertId;
             this.fecha_creacion = new Date();
-            
-            return this;
         } catch (error) {
-            if (error.code === 'ER_DUP_ENTRY') {
-                throw new Error('El correo electrónico ya está registrado');
+            if (error instanceof ConflictError) {
+                throw new ConflictError('El correo electrónico ya está registrado', {
+                    details: { field: 'correo_electronico' },
+                    cause: error.cause
+                });
             }
             throw error;
         }
+
+        await sendVerificationQuietly(this, tx);
+        return this;
     }
 
     /**
      * Busca un usuario por ID
      * @param {number} id - ID del usuario
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Usuario|null>} - Usuario encontrado o null
      */
-    static async findById(id) {
-        const db = new Database();
+    static async findById(id, tx = null) {
+        const db = tx || this.database();
         const query = 'SELECT * FROM usuario WHERE id_user = ?';
         
         try {
-            const results = await db.query(query, [id]);
+            const results = await db.query(query, [id], { label: 'Usuario.findById' });
             if (results.length === 0) {
                 return null;
             }
             
-            return new Usuario(results[0]);
+            return new this(results[0]);
         } catch (error) {
             throw error;
         }
@@ -144,37 +320,62 @@ class Usuario {
     /**
      * Busca un usuario por correo electrónico
      * @param {string} email - Correo electrónico del usuario
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Usuario|null>} - Usuario encontrado o null
      */
-    static async findByEmail(email) {
-        const db = new Database();
+    static async findByEmail(email, tx = null) {
+        const db = tx || this.database();
         const query = 'SELECT * FROM usuario WHERE correo_electronico = ?';
         
         try {
-            const results = await db.query(query, [email]);
+            const results = await db.query(query, [email], { label: 'Usuario.findByEmail' });
             if (results.length === 0) {
                 return null;
             }
             
-            return new Usuario(results[0]);
+            return new this(results[0]);
         } catch (error) {
             throw error;
         }
     }
 
     /**
-     * Obtiene todos los usuarios
+     * Consulta base de usuarios con el número de frases publicadas de cada uno
+     * @returns {QueryBuilder}
+     */
+    static baseQuery() {
+        return QueryBuilder.from('usuario', 'u')
+            .select('u.*', `${PUBLISHED_COUNT} as frases_publicadas`);
+    }
+
+    /**
+     * Obtiene todos los usuarios con filtros opcionales
+     * @param {Object} filters - Filtros de búsqueda
+     * @param {string} filters.rol - Rol de los usuarios
+     * @param {string} filters.search - Texto a buscar en el nombre o el correo
+     * @param {Date|string} filters.desde - Fecha de creación mínima (AAAA-MM-DD o fecha y hora)
+     * @param {Date|string} filters.hasta - Fecha de creación máxima; con AAAA-MM-DD incluye todo ese día (UTC)
+     * @param {boolean} filters.con_frases_publicadas - true para usuarios con frases publicadas, false para los que no tienen
+     * @param {boolean} filters.activo - true para cuentas activas, false para desactivadas
+     * @param {string} filters.sort - Columna de ordenamiento (fecha_creacion, nombre, correo_electronico, rol, frases_publicadas)
+     * @param {string} filters.order - Dirección del ordenamiento ('ASC' o 'DESC')
      * @param {number} limit - Límite de resultados
      * @param {number} offset - Desplazamiento para paginación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Array<Usuario>>} - Lista de usuarios
      */
-    static async findAll(limit = 50, offset = 0) {
-        const db = new Database();
-        const query = 'SELECT * FROM usuario ORDER BY fecha_creacion DESC LIMIT ? OFFSET ?';
+    static async findAll(filters = {}, limit = 50, offset = 0, tx = null) {
+        const db = tx || this.database().reader();
+        const { sql, params } = Usuario.baseQuery()
+            .applyFilters(filters, FILTERS)
+            .orderBy(filters.sort || 'fecha_creacion', filters.order || 'DESC', SORTABLE_COLUMNS)
+            .limit(limit)
+            .offset(offset)
+            .toSQL();
         
         try {
-            const results = await db.query(query, [limit, offset]);
-            return results.map(row => new Usuario(row));
+            const results = await db.query(sql, params, { label: 'Usuario.findAll' });
+            return results.map(row => new this(row));
         } catch (error) {
             throw error;
         }
@@ -182,71 +383,108 @@ class Usuario {
 
     /**
      * Actualiza los datos del usuario
+     * Cambiar el correo electrónico deja la cuenta sin verificar y envía un código
+     * al nuevo correo; verified_at solo cambia mediante verifyEmail()
+     * Cada usuario puede editar sus propios datos; editar a otros usuarios o cambiar
+     * un rol requiere el permiso usuario:manage
      * @param {Object} updateData - Datos a actualizar
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Usuario>} - Usuario actualizado
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
      */
-    async update(updateData = {}) {
+    async update(updateData = {}, actor = null, tx = null) {
         if (this.id_user === null) {
-            throw new Error('No se puede actualizar un usuario sin ID');
+            throw ValidationError.forField('id_user', 'No se puede actualizar un usuario sin ID');
+        }
+
+        if (!this.isSelf(actor)) {
+            permissions.assert(actor, 'usuario:manage', 'Solo un administrador puede modificar a otros usuarios');
         }
+        if (updateData.rol !== undefined && updateData.rol !== this.rol) {
+            permissions.assert(actor, 'usuario:manage', 'Solo un administrador puede cambiar el rol de un usuario');
+        }
+
+        const previousEmail = this.correo_electronico;
 
         // Actualizar propiedades del objeto
         Object.keys(updateData).forEach(key => {
-            if (updateData[key] !== undefined && key !== 'id_user') {
+            if (updateData[key] !== undefined && key !== 'id_user' && key !== 'verified_at') {
                 this[key] = updateData[key];
             }
         });
 
+        const emailChanged = String(previousEmail).toLowerCase() !== String(this.correo_electronico).toLowerCase();
+        if (emailChanged) {
+            this.verified_at = null;
+        }
+
         const validation = this.validate();
         if (!validation.isValid) {
-            throw new Error(`Datos inválidos: ${validation.errors.join(', ')}`);
+            throw new ValidationError(validation.fields);
         }
 
-        const db = new Database();
+        const db = tx || this.constructor.database();
         const query = `
             UPDATE usuario 
-            SET nombre = ?, correo_electronico = ?, rol = ?
+            SET nombre = ?, correo_electronico = ?, rol = ?, verified_at = ?
             WHERE id_user = ?
         `;
         
         try {
-            await db.query(query, [
+            const result = await db.query(query, [
                 this.nombre,
                 this.correo_electronico,
                 this.rol,
+                this.verified_at,
                 this.id_user
-            ]);
-            
-            return this;
+            ], { label: 'Usuario.update' });
+
+            if (result.affectedRows === 0) {
+                throw new NotFoundError(`El usuario ${this.id_user} no existe`);
+            }
         } catch (error) {
-            if (error.code === 'ER_DUP_ENTRY') {
-                throw new Error('El correo electrónico ya está registrado');
+            if (error instanceof ConflictError) {
+                throw new ConflictError('El correo electrónico ya está registrado', {
+                    details: { field: 'correo_electronico' },
+                    cause: error.cause
+                });
             }
             throw error;
         }
+
+        if (emailChanged) {
+            await sendVerificationQuietly(this, tx);
+        }
+
+        return this;
     }
 
     /**
      * Actualiza la contraseña del usuario
      * @param {string} newPassword - Nueva contraseña
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Usuario>} - Usuario actualizado
      */
-    async updatePassword(newPassword) {
+    async updatePassword(newPassword, tx = null) {
         if (this.id_user === null) {
-            throw new Error('No se puede actualizar la contraseña de un usuario sin ID');
+            throw ValidationError.forField('id_user', 'No se puede actualizar la contraseña de un usuario sin ID');
         }
 
         if (!newPassword || newPassword.length < 6) {
-            throw new Error('La contraseña debe tener al menos 6 caracteres');
+            throw ValidationError.forField('password', 'La contraseña debe tener al menos 6 caracteres');
         }
 
-        const db = new Database();
+        const db = tx || this.constructor.database();
         const hashedPassword = Usuario.hashPassword(newPassword);
         
         const query = 'UPDATE usuario SET password_hash = ? WHERE id_user = ?';
         
         try {
-            await db.query(query, [hashedPassword, this.id_user]);
+            const result = await db.query(query, [hashedPassword, this.id_user], { label: 'Usuario.updatePassword' });
+            if (result.affectedRows === 0) {
+                throw new NotFoundError(`El usuario ${this.id_user} no existe`);
+            }
             this.password_hash = hashedPassword;
             
             return this;
@@ -257,47 +495,873 @@ class Usuario {
 
     /**
      * Elimina el usuario de la base de datos
+     * Si el usuario tiene frases no se elimina: ver deleteWithStrategy()
+     * Eliminar a otro usuario requiere el permiso usuario:manage
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<boolean>} - True si se eliminó correctamente
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
      */
-    async delete() {
+    async delete(actor = null, tx = null) {
         if (this.id_user === null) {
-            throw new Error('No se puede eliminar un usuario sin ID');
+            throw ValidationError.forField('id_user', 'No se puede eliminar un usuario sin ID');
+        }
+
+        if (!this.isSelf(actor)) {
+            permissions.assert(actor, 'usuario:manage', 'Solo un administrador puede eliminar a otros usuarios');
+        }
+
+        const db = tx || this.constructor.database();
+
+        // Verificar si el usuario tiene frases (la llave foránea impediría eliminarlo)
+        const countResult = await db.query(
+            'SELECT COUNT(*) as count FROM frase WHERE creado_por = ?',
+            [this.id_user],
+            { label: 'Usuario.delete' }
+        );
+        if (countResult[0].count > 0) {
+            throw new ReferenceError('No se puede eliminar el usuario porque tiene frases; reasigna sus frases, anonimiza o desactiva la cuenta', {
+                details: { frases: countResult[0].count, strategies: DELETE_STRATEGIES }
+            });
         }
 
-        const db = new Database();
         const query = 'DELETE FROM usuario WHERE id_user = ?';
         
         try {
-            const result = await db.query(query, [this.id_user]);
+            const result = await db.query(query, [this.id_user], { label: 'Usuario.delete' });
             return result.affectedRows > 0;
         } catch (error) {
             throw error;
         }
     }
 
+    /**
+     * Muestra lo que afectaría eliminar el usuario, sin modificar nada
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - frases (total y por estado), sesiones abiertas y canDelete
+     * (true si delete() puede eliminarlo directamente)
+     */
+    async previewDelete(tx = null) {
+        if (this.id_user === null) {
+            throw ValidationError.forField('id_user', 'No se puede eliminar un usuario sin ID');
+        }
+
+        const db = tx || this.constructor.database();
+        const frasesRows = await db.query(
+            'SELECT status, COUNT(*) as total FROM frase WHERE creado_por = ? GROUP BY status',
+            [this.id_user],
+            { label: 'Usuario.previewDelete' }
+        );
+        const sesionesRows = await db.query(
+            'SELECT COUNT(*) as total FROM sesion WHERE id_user = ? AND revoked_at IS NULL AND expires_at > ?',
+            [this.id_user, new Date()],
+            { label: 'Usuario.previewDelete' }
+        );
+
+        const frases = { total: 0, draft: 0, scheduled: 0, published: 0 };
+        frasesRows.forEach(row => {
+            frases[row.status] = row.total;
+            frases.total += row.total;
+        });
+
+        return {
+            frases: frases,
+            sesiones: sesionesRows[0].total,
+            canDelete: frases.total === 0
+        };
+    }
+
+    /**
+     * Elimina un usuario conservando su contenido, en una sola transacción
+     * - 'reassign': pasa sus frases a otro usuario (options.reassignTo) y elimina la cuenta
+     * - 'anonymize': borra sus datos personales y preferencias y desactiva la cuenta; las frases se conservan
+     * - 'deactivate': desactiva la cuenta sin borrar datos; puede reactivarse con reactivate()
+     * En todos los casos se cierran sus sesiones y se invalidan sus códigos pendientes
+     * @param {string} strategy - 'reassign', 'anonymize' o 'deactivate'
+     * @param {Object} options - Opciones
+     * @param {number|Usuario} options.reassignTo - Usuario (o su ID) que recibe las frases
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - Reporte con strategy, id_user, frases y sesiones afectadas
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
+     */
+    async deleteWithStrategy(strategy, options = {}, actor = null, tx = null) {
+        if (!DELETE_STRATEGIES.includes(strategy)) {
+            throw ValidationError.forField('strategy', `La estrategia debe ser una de: ${DELETE_STRATEGIES.join(', ')}`);
+        }
+
+        if (this.id_user === null) {
+            throw ValidationError.forField('id_user', 'No se puede eliminar un usuario sin ID');
+        }
+
+        if (!this.isSelf(actor)) {
+            permissions.assert(actor, 'usuario:manage', 'Solo un administrador puede eliminar a otros usuarios');
+        }
+
+        if (!tx) {
+            return this.constructor.database().transaction(
+                (transaction) => this.deleteWithStrategy(strategy, options, actor, transaction),
+                { label: 'Usuario.deleteWithStrategy' }
+            );
+        }
+
+        const now = new Date();
+        const preview = await this.previewDelete(tx);
+        const report = { strategy: strategy, id_user: this.id_user, frases: 0, sesiones: preview.sesiones };
+
+        if (strategy === 'reassign') {
+            const targetId = options.reassignTo && typeof options.reassignTo === 'object'
+                ? options.reassignTo.id_user
+                : options.reassignTo;
+            if (!targetId || Number(targetId) === Number(this.id_user)) {
+                throw ValidationError.forField('reassignTo', 'Debe indicar otro usuario que reciba las frases');
+            }
+
+            const target = await this.constructor.findById(targetId, tx);
+            if (!target || !target.isActive()) {
+                throw new NotFoundError(`El usuario ${targetId} no existe o está desactivado`);
+            }
+
+            const moved = await tx.query(
+                'UPDATE frase SET creado_por = ? WHERE creado_por = ?',
+                [target.id_user, this.id_user],
+                { label: 'Usuario.deleteWithStrategy' }
+            );
+            await loginThrottle.unlock(tx, 'account', this.correo_electronico);
+            // Las sesiones y los códigos se eliminan en cascada con el usuario
+            await tx.query('DELETE FROM usuario WHERE id_user = ?', [this.id_user], { label: 'Usuario.deleteWithStrategy' });
+
+            return { ...report, frases: moved.affectedRows, reassignedTo: target.id_user };
+        }
+
+        report.sesiones = await sessions.revokeAll(tx, this.id_user);
+        await userTokens.invalidateAll(tx, this.id_user, now);
+
+        if (strategy === 'anonymize') {
+            const email = `anonimo-${this.id_user}@usuarios.invalid`;
+            await loginThrottle.unlock(tx, 'account', this.correo_electronico);
+            await Preferencias.deleteByUsuario(this.id_user, tx);
+            await twoFactor.disable(tx, this.id_user);
+            await tx.query(`
+                UPDATE usuario
+                SET nombre = ?, correo_electronico = ?, password_hash = ?, verified_at = NULL,
+                    deactivated_at = ?, anonymized_at = ?
+                WHERE id_user = ?
+            `, ['Usuario eliminado', email, UNUSABLE_PASSWORD_HASH, now, now, this.id_user], { label: 'Usuario.deleteWithStrategy' });
+
+            Object.assign(this, {
+                nombre: 'Usuario eliminado',
+                correo_electronico: email,
+                password_hash: UNUSABLE_PASSWORD_HASH,
+                verified_at: null,
+                deactivated_at: now,
+                anonymized_at: now
+            });
+        } else {
+            await tx.query(
+                'UPDATE usuario SET deactivated_at = ? WHERE id_user = ?',
+                [now, this.id_user],
+                { label: 'Usuario.deleteWithStrategy' }
+            );
+            this.deactivated_at = now;
+        }
+
+        return { ...report, frases: preview.frases.total };
+    }
+
+    /**
+     * Reactiva una cuenta desactivada (las cuentas anonimizadas no pueden reactivarse)
+     * @param {Usuario|null} actor - Usuario con el permiso usuario:manage que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Usuario>} - Usuario reactivado
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
+     */
+    async reactivate(actor = null, tx = null) {
+        if (this.id_user === null) {
+            throw ValidationError.forField('id_user', 'No se puede reactivar un usuario sin ID');
+        }
+
+        permissions.assert(actor, 'usuario:manage', 'Solo un administrador puede reactivar cuentas');
+
+        if (this.anonymized_at) {
+            throw ValidationError.forField('id_user', 'Una cuenta anonimizada no puede reactivarse');
+        }
+
+        const db = tx || this.constructor.database();
+        const result = await db.query(
+            'UPDATE usuario SET deactivated_at = NULL WHERE id_user = ?',
+            [this.id_user],
+            { label: 'Usuario.reactivate' }
+        );
+        if (result.affectedRows === 0) {
+            throw new NotFoundError(`El usuario ${this.id_user} no existe`);
+        }
+
+        this.deactivated_at = null;
+        return this;
+    }
+
     /**
      * Autentica un usuario con email y contraseña
+     * Los intentos fallidos se cuentan por cuenta y por cliente: tras varios fallos se exige
+     * esperar antes de reintentar y al llegar al máximo el inicio de sesión se bloquea
+     * temporalmente. Si la contraseña es correcta pero su hash está desactualizado, se
+     * regenera con el algoritmo y costo actuales
+     *
+     * Si el usuario tiene activa la autenticación en dos pasos, o la política la exige para
+     * su rol, la contraseña correcta no basta: se lanza TwoFactorRequiredError con un token
+     * de desafío y el inicio de sesión se completa con Usuario.completeTwoFactor()
      * @param {string} email - Correo electrónico
      * @param {string} password - Contraseña en texto plano
+     * @param {Object} options - Opciones (también se acepta directamente la transacción)
+     * @param {string} options.clientKey - Identificador del cliente, por ejemplo su IP
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<Usuario|null>} - Usuario autenticado o null
+     * @throws {LockoutError} - Si la cuenta o el cliente están bloqueados o deben esperar
+     * @throws {PermissionError} - Si la cuenta está desactivada, o si la política exige el
+     * correo verificado y no lo está
+     * @throws {TwoFactorRequiredError} - Si falta el segundo paso de la autenticación
      */
-    static async authenticate(email, password) {
+    static async authenticate(email, password, options = {}, tx = null) {
+        if (options && typeof options.query === 'function') {
+            tx = options;
+            options = {};
+        }
+
+        const clientKey = options.clientKey || null;
+        const db = tx || this.database();
+
         try {
-            const usuario = await Usuario.findByEmail(email);
-            if (!usuario) {
+            await loginThrottle.check(db, email, clientKey);
+
+            const usuario = await this.findByEmail(email, tx);
+            let valid = false;
+            if (usuario) {
+                valid = Usuario.verifyPassword(password, usuario.password_hash);
+            } else {
+                // Se verifica igualmente un hash para no revelar por el tiempo de respuesta qué correos existen
+                Usuario.verifyPassword(password, getDummyHash());
+            }
+
+            if (!valid) {
+                const states = await loginThrottle.recordFailure(db, email, clientKey);
+                const locked = states.find(state => state.locked);
+                if (locked) {
+                    throw loginThrottle.createLockoutError(locked);
+                }
                 return null;
             }
 
-            if (Usuario.verifyPassword(password, usuario.password_hash)) {
-                return usuario;
+            await loginThrottle.recordSuccess(db, email);
+
+            if (!usuario.isActive()) {
+                throw new PermissionError('La cuenta está desactivada', { details: { reason: 'deactivated' } });
             }
+            emailVerification.assertCanLogin(usuario);
 
-            return null;
+            if (Usuario.needsRehash(usuario.password_hash)) {
+                await usuario.rehashPassword(password, tx);
+            }
+
+            const twoFactorEnabled = await twoFactor.isEnabled(db, usuario.id_user);
+            if (twoFactorEnabled || twoFactor.isRequired(usuario)) {
+                throw await createTwoFactorChallenge(usuario, twoFactorEnabled, db);
+            }
+
+            return usuario;
         } catch (error) {
             throw error;
         }
     }
 
+    /**
+     * Completa el inicio de sesión con el código del segundo paso
+     * Con la autenticación en dos pasos activa se acepta un código de la aplicación o un
+     * código de recuperación; si la política obligó a activarla, el código confirma el
+     * secreto pendiente y se emiten los códigos de recuperación. Los códigos incorrectos
+     * cuentan como intentos fallidos de inicio de sesión
+     * @param {string} challenge - Token de TwoFactorRequiredError
+     * @param {string} code - Código de 6 dígitos o código de recuperación
+     * @param {Object} options - Opciones
+     * @param {string} options.clientKey - Identificador del cliente, por ejemplo su IP
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object|null>} - usuario y recoveryCodes (solo al activar la autenticación
+     * en dos pasos), o null si el código no es válido
+     * @throws {ValidationError} - Si el desafío no es válido, ya se usó o expiró
+     * @throws {LockoutError} - Si la cuenta o el cliente están bloqueados o deben esperar
+     */
+    static async completeTwoFactor(challenge, code, options = {}, tx = null) {
+        const clientKey = options.clientKey || null;
+        const db = tx || this.database();
+        const invalidChallenge = () => ValidationError.forField(
+            'challenge',
+            'El inicio de sesión expiró o ya se completó; vuelve a ingresar tu contraseña'
+        );
+
+        const userId = await userTokens.find(db, 'two_factor', challenge);
+        const usuario = userId ? await this.findById(userId, tx) : null;
+        if (!usuario || !usuario.isActive()) {
+            throw invalidChallenge();
+        }
+
+        await loginThrottle.check(db, usuario.correo_electronico, clientKey);
+
+        let recoveryCodes = null;
+        let valid;
+        if (await twoFactor.isEnabled(db, usuario.id_user)) {
+            valid = await twoFactor.verifyCode(db, usuario.id_user, code) !== null;
+        } else {
+            recoveryCodes = await twoFactor.confirm(db, usuario.id_user, code);
+            valid = recoveryCodes !== null;
+        }
+
+        if (!valid) {
+            const states = await loginThrottle.recordFailure(db, usuario.correo_electronico, clientKey);
+            const locked = states.find(state => state.locked);
+            if (locked) {
+                await userTokens.invalidate(db, usuario.id_user, 'two_factor');
+                throw loginThrottle.createLockoutError(locked);
+            }
+            return null;
+        }
+
+        if (await userTokens.consume(db, 'two_factor', challenge) === null) {
+            throw invalidChallenge();
+        }
+        await loginThrottle.recordSuccess(db, usuario.correo_electronico);
+
+        return { usuario: usuario, recoveryCodes: recoveryCodes };
+    }
+
+    /**
+     * Obtiene el estado de los intentos fallidos de inicio de sesión de una cuenta
+     * @param {string} email - Correo electrónico
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - failures, remaining, lockedUntil, retryAt y locked
+     */
+    static async getLoginStatus(email, tx = null) {
+        const db = tx || this.database();
+        const state = await loginThrottle.getState(db, 'account', email);
+
+        return {
+            ...state,
+            remaining: state.locked ? 0 : Math.max(0, loginThrottle.settings.maxFailures - state.failures)
+        };
+    }
+
+    /**
+     * Autentica al usuario y abre una sesión
+     * @param {string} email - Correo electrónico
+     * @param {string} password - Contraseña en texto plano
+     * @param {Object} options - Opciones
+     * @param {string} options.clientKey - Identificador del cliente, por ejemplo su IP
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object|null>} - usuario, token y expires_at, o null si las credenciales no son válidas
+     * @throws {LockoutError} - Si la cuenta o el cliente están bloqueados o deben esperar
+     */
+    static async login(email, password, options = {}, tx = null) {
+        const usuario = await this.authenticate(email, password, options, tx);
+        if (!usuario) {
+            return null;
+        }
+
+        const session = await usuario.createSession(options, tx);
+        return {
+            usuario: usuario,
+            token: session.token,
+            expires_at: session.expires_at
+        };
+    }
+
+    /**
+     * Completa el segundo paso de la autenticación y abre una sesión
+     * @param {string} challenge - Token de TwoFactorRequiredError
+     * @param {string} code - Código de 6 dígitos o código de recuperación
+     * @param {Object} options - Opciones
+     * @param {string} options.clientKey - Identificador del cliente, por ejemplo su IP
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object|null>} - usuario, token, expires_at y recoveryCodes, o null si el
+     * código no es válido
+     * @throws {ValidationError} - Si el desafío no es válido, ya se usó o expiró
+     * @throws {LockoutError} - Si la cuenta o el cliente están bloqueados o deben esperar
+     */
+    static async completeLogin(challenge, code, options = {}, tx = null) {
+        const result = await this.completeTwoFactor(challenge, code, options, tx);
+        if (!result) {
+            return null;
+        }
+
+        const session = await result.usuario.createSession(options, tx);
+        return {
+            usuario: result.usuario,
+            token: session.token,
+            expires_at: session.expires_at,
+            recoveryCodes: result.recoveryCodes
+        };
+    }
+
+    /**
+     * Obtiene el usuario de una sesión abierta
+     * @param {string} token - Token de sesión
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Usuario|null>} - Usuario de la sesión, o null si el token no es válido,
+     * expiró o la sesión se cerró
+     */
+    static async fromToken(token, tx = null) {
+        const db = tx || this.database();
+        const session = await sessions.verify(db, token);
+        if (!session) {
+            return null;
+        }
+
+        const usuario = await this.findById(session.id_user, tx);
+        return usuario && usuario.isActive() ? usuario : null;
+    }
+
+    /**
+     * Cierra la sesión de un token
+     * @param {string} token - Token de sesión
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<boolean>} - True si la sesión estaba abierta
+     */
+    static async logout(token, tx = null) {
+        const session = sessions.decode(token);
+        if (!session) {
+            return false;
+        }
+
+        const db = tx || this.database();
+        return sessions.revoke(db, session.id_session);
+    }
+
+    /**
+     * Solicita el restablecimiento de la contraseña de una cuenta
+     * Envía por correo un token de un solo uso; si el correo no está registrado no se envía
+     * nada, y la respuesta es la misma para no revelar qué correos existen
+     * @param {string} email - Correo electrónico de la cuenta
+     * @param {Object} options - Opciones
+     * @param {string} options.resetUrl - URL a la que se agrega el token en el correo (opcional)
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<void>}
+     */
+    static async requestPasswordReset(email, options = {}, tx = null) {
+        const db = tx || this.database();
+        const usuario = await this.findByEmail(String(email || '').trim(), tx);
+        if (!usuario || !usuario.isActive()) {
+            return;
+        }
+
+        const { token, expires_at } = await userTokens.issue(db, usuario.id_user, 'password_reset');
+        const link = options.resetUrl ? `${options.resetUrl}${options.resetUrl.includes('?') ? '&' : '?'}token=${token}` : null;
+
+        await mailer.send({
+            to: usuario.correo_electronico,
+            subject: 'Restablecer tu contraseña de GratiDay',
+            text: [
+                `Hola ${usuario.nombre},`,
+                '',
+                'Recibimos una solicitud para restablecer tu contraseña.',
+                link ? `Abre el siguiente enlace: ${link}` : `Usa este código: ${token}`,
+                '',
+                `El código vence el ${expires_at.toLocaleString()} y solo puede usarse una vez.`,
+                'Si no solicitaste el cambio, ignora este correo.'
+            ].join('\n')
+        });
+    }
+
+    /**
+     * Restablece la contraseña con un token recibido por correo
+     * El token queda usado y se cierran todas las sesiones abiertas del usuario
+     * @param {string} token - Token de restablecimiento
+     * @param {string} newPassword - Nueva contraseña
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Usuario>} - Usuario con la contraseña actualizada
+     * @throws {ValidationError} - Si el token no es válido, ya se usó o expiró
+     */
+    static async resetPassword(token, newPassword, tx = null) {
+        if (!newPassword || newPassword.length < 6) {
+            throw ValidationError.forField('password', 'La contraseña debe tener al menos 6 caracteres');
+        }
+
+        if (!tx) {
+            return this.database().transaction(
+                (transaction) => this.resetPassword(token, newPassword, transaction),
+                { label: 'Usuario.resetPassword' }
+            );
+        }
+
+        const userId = await userTokens.consume(tx, 'password_reset', token);
+        const usuario = userId ? await this.findById(userId, tx) : null;
+        if (!usuario) {
+            throw ValidationError.forField('token', 'El código de restablecimiento no es válido, ya se usó o expiró');
+        }
+
+        await usuario.updatePassword(newPassword, tx);
+        await usuario.revokeAllSessions(null, tx);
+        await loginThrottle.unlock(tx, 'account', usuario.correo_electronico);
+
+        return usuario;
+    }
+
+    /**
+     * Obtiene las preferencias del usuario (los valores por defecto si no las ha guardado)
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Preferencias>} - Preferencias del usuario
+     */
+    async getPreferences(tx = null) {
+        if (this.id_user === null) {
+            throw ValidationError.forField('id_user', 'No se pueden obtener las preferencias de un usuario sin ID');
+        }
+
+        return Preferencias.using(this.constructor.database()).findByUsuario(this.id_user, tx);
+    }
+
+    /**
+     * Actualiza las preferencias del usuario; los campos no indicados conservan su valor
+     * Modificar las preferencias de otro usuario requiere el permiso usuario:manage
+     * @param {Object} data - idioma, zona_horaria, hora_envio (HH:MM o null) y categorias_favoritas
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Preferencias>} - Preferencias guardadas
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso
+     */
+    async setPreferences(data = {}, actor = null, tx = null) {
+        if (!this.isSelf(actor)) {
+            permissions.assert(actor, 'usuario:manage', 'Solo un administrador puede modificar las preferencias de otros usuarios');
+        }
+
+        const preferencias = await this.getPreferences(tx);
+        ['idioma', 'zona_horaria', 'hora_envio', 'categorias_favoritas'].forEach(key => {
+            if (data[key] !== undefined) {
+                preferencias[key] = data[key];
+            }
+        });
+
+        return preferencias.save(tx);
+    }
+
+    /**
+     * Indica si el rol del usuario otorga un permiso
+     * @param {string} permission - Permiso, por ejemplo 'frase:publish'
+     * @returns {boolean} - True si tiene el permiso
+     */
+    can(permission) {
+        return permissions.can(this, permission);
+    }
+
+    /**
+     * Indica si el usuario que actúa es este mismo usuario
+     * @param {Usuario|null} actor - Usuario que actúa
+     * @returns {boolean}
+     */
+    isSelf(actor) {
+        return Boolean(actor) && actor.id_user === this.id_user;
+    }
+
+    /**
+     * Indica si la cuenta está activa (no fue desactivada ni anonimizada)
+     * @returns {boolean} - True si la cuenta está activa
+     */
+    isActive() {
+        return !this.deactivated_at;
+    }
+
+    /**
+     * Indica si el usuario verificó su correo electrónico
+     * @returns {boolean} - True si el correo está verificado
+     */
+    isVerified() {
+        return Boolean(this.verified_at);
+    }
+
+    /**
+     * Envía al usuario un código para verificar su correo electrónico
+     * Los códigos enviados antes dejan de ser válidos
+     * @param {Object} options - Opciones
+     * @param {string} options.verifyUrl - URL a la que se agrega el código en el correo (opcional)
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<boolean>} - True si se envió el correo, false si ya estaba verificado
+     */
+    async sendVerification(options = {}, tx = null) {
+        if (this.id_user === null) {
+            throw ValidationError.forField('id_user', 'No se puede verificar el correo de un usuario sin ID');
+        }
+
+        if (this.isVerified()) {
+            return false;
+        }
+
+        const db = tx || this.constructor.database();
+        const { token, expires_at } = await userTokens.issue(db, this.id_user, 'email_verification');
+        const link = options.verifyUrl ? `${options.verifyUrl}${options.verifyUrl.includes('?') ? '&' : '?'}token=${token}` : null;
+
+        await mailer.send({
+            to: this.correo_electronico,
+            subject: 'Verifica tu correo electrónico de GratiDay',
+            text: [
+                `Hola ${this.nombre},`,
+                '',
+                'Confirma que este correo te pertenece para activar tu cuenta.',
+                link ? `Abre el siguiente enlace: ${link}` : `Usa este código: ${token}`,
+                '',
+                `El código vence el ${expires_at.toLocaleString()} y solo puede usarse una vez.`
+            ].join('\n')
+        });
+
+        return true;
+    }
+
+    /**
+     * Reenvía el código de verificación a una cuenta sin verificar
+     * La respuesta es la misma aunque el correo no exista o ya esté verificado
+     * @param {string} email - Correo electrónico de la cuenta
+     * @param {Object} options - Opciones (verifyUrl)
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<void>}
+     */
+    static async resendVerification(email, options = {}, tx = null) {
+        const usuario = await this.findByEmail(String(email || '').trim(), tx);
+        if (usuario && usuario.isActive()) {
+            await usuario.sendVerification(options, tx);
+        }
+    }
+
+    /**
+     * Verifica el correo electrónico con el código recibido
+     * @param {string} token - Código de verificación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Usuario>} - Usuario verificado
+     * @throws {ValidationError} - Si el código no es válido, ya se usó o expiró
+     */
+    static async verifyEmail(token, tx = null) {
+        if (!tx) {
+            return this.database().transaction(
+                (transaction) => this.verifyEmail(token, transaction),
+                { label: 'Usuario.verifyEmail' }
+            );
+        }
+
+        const userId = await userTokens.consume(tx, 'email_verification', token);
+        const usuario = userId ? await this.findById(userId, tx) : null;
+        if (!usuario) {
+            throw ValidationError.forField('token', 'El código de verificación no es válido, ya se usó o expiró');
+        }
+
+        const verifiedAt = new Date();
+        await tx.query(
+            'UPDATE usuario SET verified_at = ? WHERE id_user = ?',
+            [verifiedAt, usuario.id_user],
+            { label: 'Usuario.verifyEmail' }
+        );
+        usuario.verified_at = verifiedAt;
+
+        return usuario;
+    }
+
+    /**
+     * Obtiene el estado de la autenticación en dos pasos del usuario
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - enabled, pending (secreto sin confirmar), required (por la
+     * política) y recoveryCodes (códigos de recuperación sin usar)
+     */
+    async getTwoFactorStatus(tx = null) {
+        const db = tx || this.constructor.database();
+        const state = await twoFactor.getState(db, this.id_user);
+        const enabled = Boolean(state && state.enabled_at);
+
+        return {
+            enabled: enabled,
+            pending: Boolean(state && !state.enabled_at),
+            required: twoFactor.isRequired(this),
+            recoveryCodes: enabled ? await twoFactor.countRecoveryCodes(db, this.id_user) : 0
+        };
+    }
+
+    /**
+     * Inicia la activación de la autenticación en dos pasos
+     * El secreto queda pendiente hasta confirmarlo con confirmTwoFactor()
+     * @param {Usuario|null} actor - Usuario que realiza la operación (solo el propio usuario)
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - secret (base32) y uri (otpauth://) para la aplicación de autenticación
+     * @throws {PermissionError} - Si no se indica el usuario que actúa o es otro usuario
+     * @throws {ConflictError} - Si ya está activa
+     */
+    async enableTwoFactor(actor = null, tx = null) {
+        if (!this.isSelf(actor)) {
+            throw new PermissionError('Solo el propio usuario puede activar su autenticación en dos pasos');
+        }
+
+        const db = tx || this.constructor.database();
+        if (await twoFactor.isEnabled(db, this.id_user)) {
+            throw new ConflictError('La autenticación en dos pasos ya está activa');
+        }
+
+        return twoFactor.begin(db, this.id_user, this.correo_electronico);
+    }
+
+    /**
+     * Confirma la activación de la autenticación en dos pasos con un código de la aplicación
+     * @param {string} code - Código de 6 dígitos
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Array<string>>} - Códigos de recuperación (solo se muestran esta vez)
+     * @throws {ValidationError} - Si el código no es válido o no hay una activación pendiente
+     */
+    async confirmTwoFactor(code, tx = null) {
+        if (!tx) {
+            return this.constructor.database().transaction(
+                (transaction) => this.confirmTwoFactor(code, transaction),
+                { label: 'Usuario.confirmTwoFactor' }
+            );
+        }
+
+        const recoveryCodes = await twoFactor.confirm(tx, this.id_user, code);
+        if (!recoveryCodes) {
+            throw ValidationError.forField('code', 'El código no es válido o no hay una activación pendiente');
+        }
+
+        return recoveryCodes;
+    }
+
+    /**
+     * Emite códigos de recuperación nuevos; los anteriores dejan de valer
+     * @param {string} code - Código de la aplicación o de recuperación vigente
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Array<string>>} - Códigos de recuperación nuevos
+     * @throws {ValidationError} - Si el código no es válido
+     */
+    async regenerateRecoveryCodes(code, tx = null) {
+        if (!tx) {
+            return this.constructor.database().transaction(
+                (transaction) => this.regenerateRecoveryCodes(code, transaction),
+                { label: 'Usuario.regenerateRecoveryCodes' }
+            );
+        }
+
+        if (!await twoFactor.verifyCode(tx, this.id_user, code)) {
+            throw ValidationError.forField('code', 'El código de autenticación no es válido');
+        }
+
+        return twoFactor.generateRecoveryCodes(tx, this.id_user);
+    }
+
+    /**
+     * Desactiva la autenticación en dos pasos
+     * El propio usuario debe ingresar un código válido y no puede desactivarla si la política
+     * la exige para su rol; un administrador (usuario:manage) puede desactivarla a otros
+     * usuarios sin código, por ejemplo si perdieron su dispositivo y sus códigos. Sin
+     * usuario que actúa (scripts) se aplica la política de permisos
+     * @param {string|null} code - Código de la aplicación o de recuperación
+     * @param {Usuario|null} actor - Usuario que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<boolean>} - True si estaba configurada
+     * @throws {PermissionError} - Si el usuario que actúa no tiene permiso o la política lo impide
+     * @throws {ValidationError} - Si el código no es válido
+     */
+    async disableTwoFactor(code, actor = null, tx = null) {
+        const self = Boolean(actor) && this.isSelf(actor);
+        if (!self) {
+            permissions.assert(actor, 'usuario:manage', 'Solo un administrador puede desactivar la autenticación en dos pasos de otros usuarios');
+        } else if (twoFactor.isRequired(this)) {
+            throw new PermissionError('La autenticación en dos pasos es obligatoria para tu rol', {
+                details: { reason: 'two_factor_required' }
+            });
+        }
+
+        if (!tx) {
+            return this.constructor.database().transaction(
+                (transaction) => this.disableTwoFactor(code, actor, transaction),
+                { label: 'Usuario.disableTwoFactor' }
+            );
+        }
+
+        if (self && await twoFactor.isEnabled(tx, this.id_user) && !await twoFactor.verifyCode(tx, this.id_user, code)) {
+            throw ValidationError.forField('code', 'El código de autenticación no es válido');
+        }
+
+        return twoFactor.disable(tx, this.id_user);
+    }
+
+    /**
+     * Regenera el hash de la contraseña con el algoritmo y costo actuales
+     * Un fallo al guardar el nuevo hash no impide el inicio de sesión: se registra
+     * y se vuelve a intentar en el siguiente inicio de sesión
+     * @param {string} password - Contraseña en texto plano ya verificada
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<boolean>} - True si se actualizó el hash
+     */
+    async rehashPassword(password, tx = null) {
+        const db = tx || this.constructor.database();
+        const hashedPassword = Usuario.hashPassword(password);
+
+        try {
+            await db.query(
+                'UPDATE usuario SET password_hash = ? WHERE id_user = ? AND password_hash = ?',
+                [hashedPassword, this.id_user, this.password_hash],
+                { label: 'Usuario.rehashPassword' }
+            );
+            this.password_hash = hashedPassword;
+            return true;
+        } catch (error) {
+            this.constructor.database().logger.log('warn', 'password:rehash-error', {
+                message: `No se pudo actualizar el hash de la contraseña del usuario ${this.id_user}:`,
+                error: { message: error.message, code: error.code }
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Abre una sesión para este usuario
+     * @param {Object} options - Opciones
+     * @param {string} options.clientKey - Identificador del cliente
+     * @param {number} options.ttl - Milisegundos de validez (por defecto SESSION_TTL_HOURS)
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<Object>} - token, id_session y expires_at
+     */
+    async createSession(options = {}, tx = null) {
+        if (this.id_user === null) {
+            throw ValidationError.forField('id_user', 'No se puede abrir una sesión para un usuario sin ID');
+        }
+
+        const db = tx || this.constructor.database();
+        return sessions.create(db, this.id_user, options);
+    }
+
+    /**
+     * Cierra todas las sesiones abiertas de este usuario
+     * @param {string|null} exceptToken - Token cuya sesión se conserva (opcional)
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<number>} - Número de sesiones cerradas
+     */
+    async revokeAllSessions(exceptToken = null, tx = null) {
+        if (this.id_user === null) {
+            throw ValidationError.forField('id_user', 'No se pueden cerrar las sesiones de un usuario sin ID');
+        }
+
+        const db = tx || this.constructor.database();
+        const current = exceptToken ? sessions.decode(exceptToken) : null;
+        return sessions.revokeAll(db, this.id_user, current ? current.id_session : null);
+    }
+
+    /**
+     * Desbloquea el inicio de sesión de este usuario y borra sus intentos fallidos
+     * @param {Usuario} admin - Usuario con el permiso usuario:manage que realiza la operación
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
+     * @returns {Promise<boolean>} - True si la cuenta tenía fallos o un bloqueo registrados
+     */
+    async unlock(admin, tx = null) {
+        if (!admin || !permissions.can(admin, 'usuario:manage')) {
+            throw new PermissionError('Solo un administrador puede desbloquear cuentas');
+        }
+
+        if (this.id_user === null) {
+            throw ValidationError.forField('id_user', 'No se puede desbloquear un usuario sin ID');
+        }
+
+        const db = tx || this.constructor.database();
+        return loginThrottle.unlock(db, 'account', this.correo_electronico);
+    }
+
     /**
      * Convierte el usuario a un objeto plano sin información sensible
      * @returns {Object} - Objeto sin password_hash
@@ -308,20 +1372,29 @@ class Usuario {
             nombre: this.nombre,
             correo_electronico: this.correo_electronico,
             fecha_creacion: this.fecha_creacion,
-            rol: this.rol
+            rol: this.rol,
+            verified_at: this.verified_at,
+            verificado: this.isVerified(),
+            deactivated_at: this.deactivated_at,
+            activo: this.isActive()
         };
     }
 
     /**
-     * Obtiene el conteo total de usuarios
+     * Obtiene el conteo total de usuarios con filtros opcionales
+     * Usa los mismos filtros que findAll, por lo que el total coincide con el listado
+     * @param {Object} filters - Filtros de búsqueda
+     * @param {Transaction|null} tx - Transacción opcional en la que ejecutar la operación
      * @returns {Promise<number>} - Número total de usuarios
      */
-    static async count() {
-        const db = new Database();
-        const query = 'SELECT COUNT(*) as total FROM usuario';
+    static async count(filters = {}, tx = null) {
+        const db = tx || this.database().reader();
+        const { sql, params } = Usuario.baseQuery()
+            .applyFilters(filters, FILTERS)
+            .toCountSQL();
         
         try {
-            const results = await db.query(query);
+            const results = await db.query(sql, params, { label: 'Usuario.count' });
             return results[0].total;
         } catch (error) {
             throw error;
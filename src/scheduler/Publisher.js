@@ -0,0 +1,123 @@
+const EventEmitter = require('events');
+const Database = require('../database/Database');
+const Frase = require('../models/Frase');
+
+/**
+ * Publicador de frases programadas
+ * runDue() publica una vez las frases vencidas; start() inicia un worker que repite
+ * runDue() cada cierto intervalo hasta llamar a stop(). Varios publicadores pueden
+ * ejecutarse a la vez sobre la misma base de datos sin publicar dos veces una frase.
+ *
+ * Eventos emitidos: 'run' (con el reporte de cada ejecución) y 'error'; si nadie escucha
+ * 'error', los errores del worker se registran con el logger de la base de datos
+ */
+class Publisher extends EventEmitter {
+    /**
+     * @param {Database} db - Base de datos en la que publicar
+     * @param {Object} options - Opciones del publicador
+     * @param {number} options.batchSize - Frases publicadas por transacción (por defecto 100)
+     * @param {number} options.interval - Milisegundos entre ejecuciones del worker (por defecto 60000)
+     */
+    constructor(db = new Database(), options = {}) {
+        super();
+        this.db = db;
+        this.batchSize = options.batchSize || 100;
+        this.interval = options.interval || 60000;
+        this.timer = null;
+        this.running = null;
+        this.stopped = true;
+    }
+
+    /**
+     * Publica todas las frases programadas cuya fecha ya llegó
+     * Trabaja por lotes, cada uno en su propia transacción, para no mantener bloqueos largos
+     * @param {Date} now - Momento de referencia (por defecto, ahora)
+     * @returns {Promise<Object>} - Reporte con startedAt, finishedAt, durationMs, count y published
+     */
+    async runDue(now = new Date()) {
+        const FraseModel = Frase.using(this.db);
+        const startedAt = new Date();
+        const published = [];
+
+        for (;;) {
+            const batch = await FraseModel.publishDue(now, this.batchSize);
+            published.push(...batch);
+
+            if (batch.length < this.batchSize) {
+                break;
+            }
+        }
+
+        const finishedAt = new Date();
+        const report = {
+            startedAt: startedAt,
+            finishedAt: finishedAt,
+            durationMs: finishedAt - startedAt,
+            count: published.length,
+            published: published.map(item => ({
+                ...item,
+                // Retraso entre la fecha programada y la publicación real
+                delayMs: item.scheduled_at ? item.published_at - new Date(item.scheduled_at) : null
+            }))
+        };
+
+        this.emit('run', report);
+        return report;
+    }
+
+    /**
+     * Inicia el worker: ejecuta runDue() de inmediato y luego cada intervalo
+     * Una ejecución nunca se solapa con la anterior; los errores se emiten como 'error'
+     * y el worker continúa en la siguiente ejecución
+     */
+    start() {
+        if (!this.stopped) {
+            return;
+        }
+
+        this.stopped = false;
+        this.tick();
+    }
+
+    /**
+     * Ejecuta una iteración del worker y programa la siguiente
+     */
+    tick() {
+        this.running = this.runDue()
+            .catch(error => {
+                if (this.listenerCount('error') > 0) {
+                    this.emit('error', error);
+                } else {
+                    this.db.logger.log('error', 'publisher:error', {
+                        database: this.db.name,
+                        error: { message: error.message, code: error.code }
+                    });
+                }
+            })
+            .then(() => {
+                this.running = null;
+                if (!this.stopped) {
+                    this.timer = setTimeout(() => this.tick(), this.interval);
+                }
+            });
+    }
+
+    /**
+     * Detiene el worker y espera a que termine la ejecución en curso
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.stopped = true;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.running) {
+            await this.running;
+        }
+    }
+}
+
+module.exports = Publisher;
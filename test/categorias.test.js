@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const { Database, Migrator, Categoria, permissions } = require('../src');
+
+const db = new Database().configure({ driver: 'sqlite', filename: ':memory:', logger: { log() {} } });
+let categoria;
+
+/**
+ * Inserta una frase con la fecha de creación indicada
+ * @param {string} fechaCreacion - Fecha 'YYYY-MM-DD HH:MM:SS' en UTC, o null para CURRENT_TIMESTAMP
+ * @param {Object} options - archived (archivar la frase)
+ * @returns {Promise<void>}
+ */
+async function insertFrase(fechaCreacion, options = {}) {
+    await db.query(
+        'INSERT INTO frase (texto, creado_por, categoria_id, fecha_creacion, archived_at) VALUES (?, 1, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)',
+        ['Una frase de prueba', categoria.id_category, fechaCreacion, options.archived ? new Date() : null]
+    );
+}
+
+before(async () => {
+    await new Migrator(db).up();
+    await db.query("INSERT INTO usuario (nombre, correo_electronico, password_hash, rol) VALUES ('Ana', 'ana@example.com', 'x', 'admin')");
+    categoria = new Categoria({ nombre: 'Gratitud' });
+    await categoria.create(permissions.SYSTEM);
+});
+
+after(async () => {
+    await db.disconnect();
+});
+
+test('getTrends cuenta las frases del último segundo del día to y no las del día siguiente', async () => {
+    await insertFrase('2026-03-10 23:59:59');
+    await insertFrase('2026-03-11 00:00:00');
+
+    const trends = await Categoria.getTrends({ from: '2026-03-01', to: '2026-03-10' });
+
+    assert.strictEqual(trends.totals.creadas, 1);
+    assert.deepStrictEqual(trends.totals.series.at(-1), { periodo: '2026-03-10', creadas: 1, publicadas: 0 });
+});
+
+test('getTrends por defecto cuenta las frases creadas en el segundo actual', async () => {
+    await insertFrase(null);
+
+    const trends = await Categoria.getTrends();
+
+    assert.strictEqual(trends.totals.creadas, 1);
+});
+
+test('getTrends no cuenta las frases archivadas', async () => {
+    await insertFrase('2026-05-15 12:00:00');
+    await insertFrase('2026-05-16 12:00:00', { archived: true });
+    await insertFrase('2026-04-20 12:00:00', { archived: true });
+
+    const trends = await Categoria.getTrends({ from: '2026-05-01', to: '2026-05-31', granularity: 'month' });
+
+    assert.strictEqual(trends.totals.creadas, 1);
+    assert.deepStrictEqual(trends.totals.previous, { creadas: 0, publicadas: 0 });
+});
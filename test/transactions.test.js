@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const { Database, Migrator, Categoria, TransactionScopeError, permissions } = require('../src');
+
+const db = new Database().configure({ driver: 'sqlite', filename: ':memory:', logger: { log() {} } });
+
+before(async () => {
+    await new Migrator(db).up();
+});
+
+after(async () => {
+    await db.disconnect();
+});
+
+test('una consulta sin tx dentro de db.transaction se rechaza en lugar de bloquearse', { timeout: 2000 }, async () => {
+    await assert.rejects(db.transaction(async (tx) => {
+        const categoria = new Categoria({ nombre: 'Dentro' });
+        await categoria.create(permissions.SYSTEM, tx);
+
+        await Categoria.findById(categoria.id);
+    }), TransactionScopeError);
+
+    // La transacción se revirtió y la conexión quedó libre
+    assert.deepStrictEqual(await Categoria.findAll(), []);
+});
+
+test('una transacción anidada con db.transaction se rechaza en lugar de bloquearse', { timeout: 2000 }, async () => {
+    await assert.rejects(db.transaction(async () => {
+        await db.transaction(async () => {});
+    }), TransactionScopeError);
+});
+
+test('las consultas de otros flujos esperan a que la transacción termine', { timeout: 2000 }, async () => {
+    let started;
+    const ready = new Promise(resolve => {
+        started = resolve;
+    });
+
+    const transaction = db.transaction(async (tx) => {
+        await new Categoria({ nombre: 'Revertida' }).create(permissions.SYSTEM, tx);
+        started();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        throw new Error('rollback');
+    });
+
+    await ready;
+    const outside = new Categoria({ nombre: 'Fuera' }).create(permissions.SYSTEM);
+
+    await assert.rejects(transaction, /rollback/);
+    await outside;
+
+    const categorias = await Categoria.findAll();
+    assert.deepStrictEqual(categorias.map(categoria => categoria.nombre), ['Fuera']);
+});